@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+
+/**
+ * Agent entrypoint files (AGENTS.md, CLAUDE.md, .cursorrules) generated from the map
+ *
+ * crmbl only owns the block between the markers below, so hand-written instructions
+ * in the same file survive regeneration.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { isWithin } from './workspaces.js';
+
+export const MANAGED_BLOCK_START = '<!-- crmbl:start -->';
+export const MANAGED_BLOCK_END = '<!-- crmbl:end -->';
+
+/**
+ * Files each supported agent reads its instructions from
+ */
+export const AGENT_TARGETS = {
+  agents: 'AGENTS.md',
+  claude: 'CLAUDE.md',
+  cursor: '.cursorrules'
+};
+
+const MAX_AREAS = 30;
+const MAX_HOT_SPOTS = 10;
+const FREQUENCY_RANK = { 'Frequently Modified': 0, 'Moderate': 1, 'Stable': 2 };
+
+/**
+ * Finds the entries that have no documented ancestor
+ * @param {Object} directories - Map directories
+ * @returns {string[]} Directory keys, sorted
+ */
+function topLevelAreas(directories) {
+  const keys = Object.keys(directories).sort();
+  return keys.filter(dir => !keys.some(other => other !== dir && other !== '/' && isWithin(dir, other)));
+}
+
+/**
+ * Finds the entry points closest to the top of an area
+ * @param {Object} directories - Map directories
+ * @param {string} area - Directory key of the area
+ * @returns {string[]} Entry point paths like "/packages/api/src/index.ts"
+ */
+function areaEntryPoints(directories, area) {
+  const candidates = Object.keys(directories)
+    .filter(dir => isWithin(dir, area) && (directories[dir].entryPoints || []).length > 0)
+    .sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b));
+
+  if (candidates.length === 0) {
+    return [];
+  }
+  const dir = candidates[0];
+  return directories[dir].entryPoints.slice(0, 2).map(file => path.posix.join(dir, file));
+}
+
+/**
+ * Picks the most complex directories, breaking ties by how often they change
+ * @param {Object} directories - Map directories
+ * @returns {string[]} Directory keys
+ */
+function hotSpots(directories) {
+  const rank = entry => (entry.changeFrequency in FREQUENCY_RANK ? FREQUENCY_RANK[entry.changeFrequency] : 3);
+
+  return Object.keys(directories)
+    .filter(dir => Number(directories[dir].complexity) >= 4)
+    .sort((a, b) => {
+      const left = directories[a];
+      const right = directories[b];
+      return right.complexity - left.complexity ||
+        rank(left) - rank(right) ||
+        a.localeCompare(b);
+    })
+    .slice(0, MAX_HOT_SPOTS);
+}
+
+/**
+ * Renders the index that goes inside the managed block
+ * @param {Object} map - The crmbl-map.json content
+ * @param {Object} config - Configuration object
+ * @returns {string} Markdown, without the markers
+ */
+export function renderAgentIndex(map, config) {
+  const directories = map.directories || {};
+  const mapFile = path.posix.basename(config.outputPath || 'crmbl-map.json');
+  const areas = topLevelAreas(directories);
+  const lines = [
+    '## Repository map',
+    '',
+    `Every directory in this repository is documented in \`${mapFile}\` and a README.md next to its code. ` +
+      `Read those breadcrumbs before exploring the tree yourself.`,
+    ''
+  ];
+
+  lines.push('### Top-level areas', '');
+  if (areas.length === 0) {
+    lines.push('- None documented yet');
+  }
+  areas.slice(0, MAX_AREAS).forEach(dir => {
+    lines.push(`- \`${dir}\` - ${directories[dir].purpose || 'No purpose recorded'}`);
+  });
+  if (areas.length > MAX_AREAS) {
+    lines.push(`- ... and ${areas.length - MAX_AREAS} more in \`${mapFile}\``);
+  }
+  lines.push('');
+
+  const starts = areas.map(dir => [dir, areaEntryPoints(directories, dir)]).filter(([, files]) => files.length > 0);
+  if (starts.length > 0) {
+    lines.push('### Where to start', '');
+    starts.slice(0, MAX_AREAS).forEach(([dir, files]) => {
+      lines.push(`- \`${dir}\`: ${files.map(file => `\`${file}\``).join(', ')}`);
+    });
+    lines.push('');
+  }
+
+  const hot = hotSpots(directories);
+  if (hot.length > 0) {
+    lines.push('### Hot spots', '', 'The most complex areas. Read their README in full before changing them:', '');
+    hot.forEach(dir => {
+      const entry = directories[dir];
+      const frequency = entry.changeFrequency && entry.changeFrequency !== 'Unknown' ? `, ${entry.changeFrequency.toLowerCase()}` : '';
+      lines.push(`- \`${dir}\` (complexity ${entry.complexity}/5${frequency}) - ${entry.purpose || 'No purpose recorded'}`);
+    });
+    lines.push('');
+  }
+
+  lines.push(
+    '### Using the breadcrumbs',
+    '',
+    `1. Find the right directory: search \`${mapFile}\` or run \`npx crmbl query <terms>\`.`,
+    '2. Read its README (`readmePath` in the map) for purpose, key files, entry points and dependencies.',
+    '3. For a file, `npx crmbl context <path>` prints the chain of parent directories with their purposes.',
+    '4. After adding, moving or deleting directories, run `npx crmbl scan` and update the affected READMEs and map entries.'
+  );
+
+  return lines.join('\n');
+}
+
+/**
+ * Wraps the index in the managed block markers
+ * @param {string} index - Result of renderAgentIndex
+ * @returns {string} Managed block
+ */
+function managedBlock(index) {
+  return [
+    MANAGED_BLOCK_START,
+    '<!-- Generated by `crmbl export-agents`. Edits inside this block are overwritten. -->',
+    '',
+    index,
+    MANAGED_BLOCK_END
+  ].join('\n');
+}
+
+/**
+ * Inserts or replaces the managed block, keeping everything outside it
+ * @param {string|null} existing - Current file content, or null if the file doesn't exist
+ * @param {string} index - Result of renderAgentIndex
+ * @returns {string} New file content
+ */
+export function upsertManagedBlock(existing, index) {
+  const block = managedBlock(index);
+
+  if (!existing || existing.trim() === '') {
+    return block + '\n';
+  }
+
+  const start = existing.indexOf(MANAGED_BLOCK_START);
+  const end = existing.indexOf(MANAGED_BLOCK_END);
+
+  if (start === -1 && end === -1) {
+    return existing.replace(/\s*$/, '') + '\n\n' + block + '\n';
+  }
+  if (start === -1 || end === -1 || end < start) {
+    throw new Error(`Found ${start === -1 ? MANAGED_BLOCK_END : MANAGED_BLOCK_START} without its matching marker`);
+  }
+
+  return existing.slice(0, start) + block + existing.slice(end + MANAGED_BLOCK_END.length);
+}
+
+/**
+ * Generates or refreshes the agent files
+ * @param {Object} config - Configuration object
+ * @param {Object} map - The crmbl-map.json content
+ * @param {Object} options - { targets: keys of AGENT_TARGETS, dryRun: don't write anything }
+ * @returns {Object[]} One result per file with target, file, path and status (created, updated or unchanged)
+ */
+export function exportAgentFiles(config, map, options = {}) {
+  const targets = options.targets || Object.keys(AGENT_TARGETS);
+  const unknown = targets.filter(target => !AGENT_TARGETS[target]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown target "${unknown[0]}" (use one of: ${Object.keys(AGENT_TARGETS).join(', ')})`);
+  }
+
+  const index = renderAgentIndex(map, config);
+
+  return targets.map(target => {
+    const file = AGENT_TARGETS[target];
+    const filePath = path.join(config.rootPath, file);
+    const existing = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : null;
+
+    let status;
+    let content;
+    try {
+      content = upsertManagedBlock(existing, index);
+    } catch (error) {
+      throw new Error(`${file}: ${error.message}`);
+    }
+
+    if (existing === null) {
+      status = 'created';
+    } else {
+      status = content === existing ? 'unchanged' : 'updated';
+    }
+
+    if (status !== 'unchanged' && !options.dryRun) {
+      fs.writeFileSync(filePath, content, 'utf-8');
+    }
+
+    return { target, file, path: filePath, status };
+  });
+}
@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+
+/**
+ * Programmatic API: the operations behind scan, verify and prompt as functions that
+ * return their results and throw CrmblError instead of printing and exiting
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateConfig } from './config.js';
+import { scanDirectories, verifyDocumentation, findAllDirectories } from './scanner.js';
+import { validateMap } from './schema.js';
+import { locateMap } from './migrate.js';
+import { detectWorkspaces, packagePath, isWithin, scopeMapToPackage, scopeScanResultsToPackage } from './workspaces.js';
+import { generateDefaultPromptTemplate, generatePromptBatches } from './prompt.js';
+import { measureCoverage, checkCoverage, readBaseline, writeBaseline } from './coverage.js';
+import { EXIT_CODES, verificationFindings } from './report.js';
+import { CrmblError, ERROR_CODES } from './errors.js';
+import { CRUMB_FILENAME, loadMap, saveMap } from './shards.js';
+
+export { CrmblError, ERROR_CODES };
+
+const DEFAULT_PROMPT_TEMPLATE = path.join(path.dirname(fileURLToPath(import.meta.url)), '../templates/prompt-template.txt');
+
+/**
+ * Throws unless the configuration is valid
+ * @param {Object} config - Configuration object
+ */
+function assertValidConfig(config) {
+  const validation = validateConfig(config);
+  if (!validation.valid) {
+    throw new CrmblError('Invalid configuration', ERROR_CODES.CONFIG_INVALID, validation.errors);
+  }
+}
+
+/**
+ * Reads the map from config.outputPath, or from the crumb files when config.sharded is set
+ * @param {Object} config - Configuration object
+ * @param {Object} options - { validate: also check the map against the schema }
+ * @returns {Object} The map
+ */
+export function readMap(config, options = {}) {
+  const mapPath = path.resolve(config.outputPath);
+  const map = loadMap(config);
+
+  if (!map) {
+    if (config.sharded) {
+      throw new CrmblError(`No crmbl-map.json or ${CRUMB_FILENAME} files found`, ERROR_CODES.MAP_NOT_FOUND);
+    }
+    const found = locateMap(mapPath);
+    const details = found && found.legacy ? [`Found ${path.basename(found.path)}, run "crmbl migrate" to upgrade it`] : [];
+    throw new CrmblError(`No crmbl-map.json found at ${mapPath}`, ERROR_CODES.MAP_NOT_FOUND, details);
+  }
+
+  if (options.validate) {
+    const validation = validateMap(map);
+    if (!validation.valid) {
+      throw new CrmblError('Invalid crmbl-map.json', ERROR_CODES.MAP_INVALID, validation.errors);
+    }
+  }
+
+  return map;
+}
+
+/**
+ * Writes the map to config.outputPath, and to the crumb files when config.sharded is set.
+ * Files whose content didn't change are left untouched.
+ * @param {Object} config - Configuration object
+ * @param {Object} map - The map
+ */
+export function writeMap(config, map) {
+  saveMap(config, map);
+}
+
+/**
+ * Scans the tree and compares it against the map. Nothing is written unless asked for:
+ * the CLI turns on both the walk cache and map updates.
+ * @param {Object} config - Configuration object
+ * @param {Object} options - { profiler: from createProfiler, cache: read and update the walk cache at config.cachePath, writeMap: save recorded fingerprints, lastUpdated and workspace tags to the map }
+ * @returns {Promise<Object>} Scan results, as saved to scan-results.json by the CLI
+ */
+export async function scan(config, options = {}) {
+  assertValidConfig(config);
+  return scanDirectories(config, options);
+}
+
+/**
+ * Verifies the documentation: READMEs, lint rules, dependencies and coverage
+ * @param {Object} config - Configuration object
+ * @param {Object} options - { strictDeps: fail on dependency mismatches, package: only this workspace package, updateBaseline: record coverage as the new baseline }
+ * @returns {Promise<Object>} { valid, exitCode, map, verification, coverage, baseline, coverageFailures, findings, summary, directories }
+ */
+export async function verify(config, options = {}) {
+  let map = readMap(config, { validate: true });
+
+  const baselinePath = config.coverage && config.coverage.baseline ? path.resolve(config.coverage.baseline) : null;
+  if (options.updateBaseline && options.package) {
+    throw new CrmblError('The coverage baseline covers the whole repository and can\'t be updated for a single package', ERROR_CODES.INVALID_OPTION);
+  }
+  if (options.updateBaseline && !baselinePath) {
+    throw new CrmblError('No coverage baseline configured', ERROR_CODES.INVALID_OPTION, [
+      'Set coverage.baseline in .crmbl-config.json, e.g. ".crmbl-coverage.json"'
+    ]);
+  }
+
+  let dirs = await findAllDirectories(config.rootPath, config.ignore, { useGitignore: config.useGitignore, cachePath: config.cachePath });
+
+  if (options.package) {
+    const workspace = map.packages ? { packages: map.packages } : detectWorkspaces(config.rootPath, dirs);
+    const pkgPath = packagePath(workspace, options.package);
+    map = scopeMapToPackage(map, pkgPath);
+    dirs = dirs.filter(dir => isWithin(dir, pkgPath));
+  }
+
+  const verification = verifyDocumentation(config, map);
+  const depsValid = !options.strictDeps || verification.dependencyMismatches.length === 0;
+
+  // The baseline covers the whole repository, so it isn't compared when verifying one package
+  const coverage = measureCoverage(config, map, dirs);
+  const baseline = baselinePath && !options.package && !options.updateBaseline ? readBaseline(baselinePath) : null;
+  const coverageFailures = checkCoverage(coverage, config.coverage, baseline);
+
+  const valid = verification.valid && depsValid && coverageFailures.length === 0;
+
+  if (options.updateBaseline) {
+    writeBaseline(baselinePath, coverage);
+  }
+
+  const findings = verificationFindings(verification, {
+    strictDeps: options.strictDeps,
+    classifyWindow: config.history.classifyWindow,
+    coverageFailures
+  });
+  const skipped = new Set(verification.skippedDirs);
+
+  return {
+    valid,
+    exitCode: valid ? EXIT_CODES.SUCCESS : EXIT_CODES.DOCS_INCOMPLETE,
+    map,
+    verification,
+    coverage,
+    baseline,
+    coverageFailures,
+    findings,
+    summary: {
+      totalDirectories: verification.totalDirectories,
+      documented: verification.documented,
+      skipped: verification.skippedDirs.length,
+      errors: findings.filter(finding => finding.level === 'error').length,
+      warnings: findings.filter(finding => finding.level === 'warning').length,
+      coverage: {
+        total: coverage.total,
+        documented: coverage.documented,
+        percent: coverage.percent,
+        groups: coverage.groups.map(({ undocumented, ...group }) => group),
+        policies: coverage.policies.map(({ undocumented, ...policy }) => policy)
+      }
+    },
+    directories: Object.keys(map.directories).filter(dir => !skipped.has(dir))
+  };
+}
+
+/**
+ * Builds the prompts asking an agent to document new (and optionally stale) directories
+ * @param {Object} config - Configuration object
+ * @param {Object} scanResults - Result of scan
+ * @param {Object} options - { template: template source, templatePath: template file, stale: include stale directories, maxTokens: budget per batch, package: only this workspace package, map: the map, read from config.outputPath if omitted }
+ * @returns {Object} { batches: prompts with newDirs, staleDirs and tokens (empty if there's nothing to document), scanResults: the results the prompts cover }
+ */
+export function prompt(config, scanResults, options = {}) {
+  let scoped = scanResults;
+  if (options.package) {
+    const workspace = scanResults.workspace || { packages: {} };
+    scoped = scopeScanResultsToPackage(scanResults, packagePath(workspace, options.package));
+  }
+
+  if (options.maxTokens !== undefined && (!Number.isInteger(options.maxTokens) || options.maxTokens < 1)) {
+    throw new CrmblError('maxTokens must be a positive number', ERROR_CODES.INVALID_OPTION);
+  }
+
+  let template = options.template;
+  if (template === undefined) {
+    const templatePath = options.templatePath || DEFAULT_PROMPT_TEMPLATE;
+    // Fall back to the default inline template
+    template = fs.existsSync(templatePath) ? fs.readFileSync(templatePath, 'utf-8') : generateDefaultPromptTemplate();
+  }
+
+  let map = options.map;
+  if (map === undefined) {
+    map = loadMap(config);
+  }
+
+  const batches = generatePromptBatches(template, scoped, config, {
+    includeStale: options.stale,
+    maxTokens: options.maxTokens,
+    map
+  });
+
+  return { batches, scanResults: scoped };
+}
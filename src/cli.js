@@ -4,9 +4,29 @@ import { Command } from 'commander';
 import chalk from 'chalk';
 import fs from 'fs';
 import path from 'path';
-import { loadConfig, createConfig, validateConfig } from './config.js';
-import { scanDirectories, saveScanResults, verifyDocumentation } from './scanner.js';
+import readline from 'readline/promises';
+import { loadConfig, createConfig } from './config.js';
+import { saveScanResults, findAllDirectories } from './scanner.js';
+import { ingestReadmes } from './ingest.js';
+import { describeStaleness } from './fingerprint.js';
+import { planPrune, applyPrunePlan } from './prune.js';
+import { createIgnoreMatcher } from './ignore.js';
+import { evaluateDirectory } from './granularity.js';
+import { scaffoldReadmes } from './scaffold.js';
+import { packagePath, scopeScanResultsToPackage } from './workspaces.js';
 import { createEmptyMap, validateMap } from './schema.js';
+import { migrateMap, locateMap, LEGACY_MAP_FILENAME } from './migrate.js';
+import { queryMap } from './query.js';
+import { createMcpServer, serveStdio } from './mcp.js';
+import { buildContext, resolveDirectoryKey } from './context.js';
+import { AGENT_TARGETS, exportAgentFiles } from './agents.js';
+import { GRAPH_FORMATS, buildGraph, findCycles, findForbiddenDependencies, describeForbiddenDependency, renderGraph } from './graph.js';
+import { batchFilePath } from './prompt.js';
+import { createProfiler, formatProfile } from './profile.js';
+import { DEFAULT_WATCH_DEBOUNCE, watchDirectories, hasChanges } from './watch.js';
+import { EXIT_CODES, OUTPUT_FORMATS, formatReport, scanFindings, describeDependencyMismatch } from './report.js';
+import { CrmblError, ERROR_CODES, scan, verify, prompt, readMap, writeMap } from './api.js';
+import { CRUMB_FILENAME, loadMap, readMapFile, assembleMap, splitMap } from './shards.js';
 
 const program = new Command();
 
@@ -52,27 +72,58 @@ program
   .description('Scans directory tree and identifies new/missing/documented directories')
   .option('-o, --output <path>', 'Output path for scan results (default: ./scan-results.json)')
   .option('-q, --quiet', 'Suppress detailed output')
+  .option('--explain <path>', 'Explain which rule includes or excludes a directory instead of scanning')
+  .option('--format <format>', `Output format: ${OUTPUT_FORMATS.join(', ')}`, 'text')
+  .option('--profile', 'Report how long each phase of the scan took')
+  .option('--no-cache', 'Walk the whole tree instead of reusing the directory cache')
   .action(async (options) => {
+    const machineReadable = options.format !== 'text';
+
     try {
-      const config = loadConfig();
-      const validation = validateConfig(config);
+      if (!OUTPUT_FORMATS.includes(options.format)) {
+        console.error(chalk.red(`✗ Unknown format "${options.format}"`));
+        console.error(chalk.dim(`Use one of: ${OUTPUT_FORMATS.join(', ')}`));
+        process.exit(EXIT_CODES.INVALID_INPUT);
+      }
 
-      if (!validation.valid) {
-        console.error(chalk.red('✗ Invalid configuration:'));
-        validation.errors.forEach(err => console.error(chalk.red(`  - ${err}`)));
-        process.exit(1);
+      const config = await loadConfigOrExit(options);
+
+      if (options.explain) {
+        explainDirectory(config, options.explain);
+        process.exit(EXIT_CODES.SUCCESS);
       }
 
-      if (!options.quiet) {
+      if (!options.quiet && !machineReadable) {
         console.log(chalk.blue('🔍 Scanning directories...'));
         console.log(chalk.dim(`Root: ${config.rootPath}`));
       }
 
-      const results = await scanDirectories(config);
+      const profiler = createProfiler();
+      const results = await scan(config, { profiler, cache: options.cache, writeMap: true });
 
       // Save results to file
       const outputPath = options.output || './scan-results.json';
+      const stop = profiler.start('save');
       saveScanResults(results, outputPath);
+      stop();
+
+      if (machineReadable) {
+        if (options.profile) {
+          // Keep stdout parseable
+          reportProfile(profiler, console.error);
+        }
+        console.log(formatReport(options.format, {
+          command: 'scan',
+          valid: true,
+          exitCode: EXIT_CODES.SUCCESS,
+          summary: results.stats,
+          directories: [...results.unchangedDirs, ...results.staleDirs, ...results.newDirs, ...results.missingDirs],
+          findings: scanFindings(results),
+          rootPath: config.rootPath,
+          version: program.version()
+        }));
+        process.exit(EXIT_CODES.SUCCESS);
+      }
 
       // Display results
       console.log('\n' + chalk.bold('Scan Results:'));
@@ -81,6 +132,15 @@ program
       console.log(chalk.cyan(`📊 Total directories: ${results.stats.total}`));
       console.log(chalk.green(`✓ Documented: ${results.stats.documented}`));
 
+      const packageCount = Object.keys(results.workspace.packages).length;
+      if (packageCount > 0) {
+        console.log(chalk.cyan(`📦 Workspace packages: ${packageCount}`) + chalk.dim(` (${results.workspace.tools.join(', ')})`));
+      }
+
+      if (results.stats.collapsed > 0) {
+        console.log(chalk.dim(`↳ Rolled up into parents by granularity rules: ${results.stats.collapsed}`));
+      }
+
       if (results.stats.new > 0) {
         console.log(chalk.yellow(`\n📝 New directories (${results.stats.new}):`));
         results.newDirs.slice(0, 10).forEach(dir => {
@@ -91,6 +151,16 @@ program
         }
       }
 
+      if (results.stats.stale > 0) {
+        console.log(chalk.magenta(`\n♻ Stale directories (${results.stats.stale}):`));
+        results.staleDirs.slice(0, 10).forEach(dir => {
+          console.log(chalk.magenta(`   ${dir}`) + chalk.dim(` (${describeStaleness(results.staleReasons[dir])})`));
+        });
+        if (results.stats.stale > 10) {
+          console.log(chalk.dim(`   ... and ${results.stats.stale - 10} more`));
+        }
+      }
+
       if (results.stats.missing > 0) {
         console.log(chalk.red(`\n🗑 Missing directories (${results.stats.missing}):`));
         results.missingDirs.slice(0, 10).forEach(dir => {
@@ -101,19 +171,122 @@ program
         }
       }
 
+      if (results.fingerprinted.length > 0) {
+        console.log(chalk.dim(`\n🔖 Recorded content fingerprints for ${results.fingerprinted.length} documented directories`));
+      }
+      if (results.lastUpdatedFilled.length > 0) {
+        console.log(chalk.dim(`🕒 Filled in lastUpdated from git for ${results.lastUpdatedFilled.length} entries`));
+      }
+      results.warnings.forEach(warning => console.log(chalk.yellow(`⚠ ${warning}`)));
+
       console.log(chalk.dim(`\n💾 Full results saved to: ${outputPath}`));
 
-      if (results.stats.new > 0) {
+      if (results.stats.new > 0 || results.stats.stale > 0) {
         console.log(chalk.dim('\nNext steps:'));
-        console.log(chalk.dim('  1. Run: crmbl prompt'));
+        console.log(chalk.dim(results.stats.stale > 0 ? '  1. Run: crmbl prompt --stale' : '  1. Run: crmbl prompt'));
         console.log(chalk.dim('  2. Use the generated prompt with your AI agent'));
       }
 
+      if (options.profile) {
+        reportProfile(profiler, console.log);
+      }
+
     } catch (error) {
+      if (error instanceof CrmblError) {
+        reportCrmblError(error);
+        process.exit(EXIT_CODES.INVALID_INPUT);
+      }
       console.error(chalk.red('✗ Scan failed:'), error.message);
-      if (!options.quiet) {
+      if (!options.quiet && !machineReadable) {
         console.error(error.stack);
       }
+      process.exit(EXIT_CODES.INTERNAL_ERROR);
+    }
+  });
+
+// WATCH command
+program
+  .command('watch')
+  .description('Keeps scan-results.json up to date as directories are created, deleted or renamed')
+  .option('-o, --output <path>', 'Output path for scan results (default: ./scan-results.json)')
+  .option('--debounce <ms>', `Wait this long after the last change before rescanning (default: ${DEFAULT_WATCH_DEBOUNCE})`)
+  .option('--prompt [path]', 'Also regenerate the prompt after each change (default: ./crmbl-prompt.txt)')
+  .option('--stale', 'Include stale directories in the regenerated prompt')
+  .action(async (options) => {
+    try {
+      const config = await loadConfigOrExit(options);
+
+      let debounce;
+      if (options.debounce !== undefined) {
+        debounce = parseInt(options.debounce, 10);
+        if (!Number.isInteger(debounce) || debounce < 0) {
+          throw new Error('--debounce must be a number of milliseconds');
+        }
+      }
+
+      const outputPath = options.output || './scan-results.json';
+      const promptPath = options.prompt === true ? './crmbl-prompt.txt' : options.prompt;
+
+      const regeneratePrompt = (results) => {
+        const { batches } = prompt(config, results, { stale: options.stale });
+        writePromptFiles(batches, promptPath);
+        if (batches.length === 0) {
+          return;
+        }
+        console.log(chalk.dim(`   📄 Prompt updated: ${batches.length === 1 ? promptPath : `${batches.length} batches`}`));
+      };
+
+      const onScan = (results, changes) => {
+        saveScanResults(results, outputPath);
+        const time = chalk.dim(`[${new Date().toLocaleTimeString()}]`);
+
+        if (!changes) {
+          console.log(chalk.green(`✓ Scanned ${results.stats.total} directories`) +
+            chalk.dim(` (${results.stats.new} undocumented, ${results.stats.stale} stale)`));
+        } else if (!hasChanges(changes)) {
+          return;
+        } else {
+          const missing = new Set(results.missingDirs);
+          const undocumented = new Set(results.newDirs);
+          changes.added.forEach(dir => {
+            console.log(`${time} ` + (undocumented.has(dir)
+              ? chalk.yellow(`📝 ${dir} added, not documented yet`)
+              : chalk.green(`+ ${dir} added`)));
+          });
+          changes.removed.forEach(dir => {
+            console.log(`${time} ` + (missing.has(dir)
+              ? chalk.red(`🗑 ${dir} removed, but still in the map`)
+              : chalk.dim(`- ${dir} removed`)));
+          });
+          changes.documented.forEach(dir => console.log(`${time} ` + chalk.green(`✓ ${dir} documented`)));
+          changes.stale.forEach(dir => {
+            console.log(`${time} ` + chalk.magenta(`♻ ${dir} is stale`) + chalk.dim(` (${describeStaleness(results.staleReasons[dir])})`));
+          });
+        }
+
+        if (promptPath) {
+          regeneratePrompt(results);
+        }
+      };
+
+      console.log(chalk.blue('👀 Watching for directory changes...'));
+      console.log(chalk.dim(`Root: ${config.rootPath}`));
+
+      const watcher = watchDirectories(config, {
+        debounce,
+        onScan,
+        onError: error => console.error(chalk.red('✗ Rescan failed:'), error.message)
+      });
+      await watcher.ready;
+      console.log(chalk.dim(`💾 Results are kept in ${outputPath}. Press Ctrl+C to stop.`));
+
+      process.on('SIGINT', () => {
+        watcher.close();
+        process.exit(0);
+      });
+
+    } catch (error) {
+      console.error(chalk.red('✗ Watch failed:'), error.message);
       process.exit(1);
     }
   });
@@ -121,53 +294,115 @@ program
 // VERIFY command
 program
   .command('verify')
-  .description('Verifies all documented directories have READMEs (useful for CI)')
+  .description('Verifies all documented directories have complete, up-to-date READMEs (useful for CI)')
   .option('-q, --quiet', 'Only output errors')
-  .action((options) => {
+  .option('--strict-deps', 'Fail when declared dependencies disagree with detected imports')
+  .option('-p, --package <name>', 'Only verify directories inside this workspace package')
+  .option('--format <format>', `Output format: ${OUTPUT_FORMATS.join(', ')}`, 'text')
+  .option('--update-baseline', 'Record the current coverage as the new coverage.baseline')
+  .action(async (options) => {
     try {
-      const config = loadConfig();
-      const mapPath = path.resolve(config.outputPath);
-
-      if (!fs.existsSync(mapPath)) {
-        console.error(chalk.red('✗ No crmbl-map.json found'));
-        console.error(chalk.dim(`Expected at: ${mapPath}`));
-        process.exit(1);
+      if (!OUTPUT_FORMATS.includes(options.format)) {
+        console.error(chalk.red(`✗ Unknown format "${options.format}"`));
+        console.error(chalk.dim(`Use one of: ${OUTPUT_FORMATS.join(', ')}`));
+        process.exit(EXIT_CODES.INVALID_INPUT);
       }
 
-      const mapContent = fs.readFileSync(mapPath, 'utf-8');
-      const map = JSON.parse(mapContent);
+      const config = await loadConfigOrExit(options);
+      const result = await verify(config, {
+        strictDeps: options.strictDeps,
+        package: options.package,
+        updateBaseline: options.updateBaseline
+      });
+      const { verification, coverage, baseline, coverageFailures, exitCode } = result;
+      const mismatches = verification.dependencyMismatches;
 
-      // Validate map structure
-      const mapValidation = validateMap(map);
-      if (!mapValidation.valid) {
-        console.error(chalk.red('✗ Invalid crmbl-map.json:'));
-        mapValidation.errors.forEach(err => console.error(chalk.red(`  - ${err}`)));
-        process.exit(1);
+      if (options.format !== 'text') {
+        console.log(formatReport(options.format, {
+          command: 'verify',
+          valid: result.valid,
+          exitCode,
+          summary: result.summary,
+          directories: result.directories,
+          findings: result.findings,
+          rootPath: config.rootPath,
+          version: program.version()
+        }));
+        process.exit(exitCode);
       }
 
-      // Verify READMEs
-      const verification = verifyDocumentation(config, map);
-
       if (!options.quiet) {
         console.log(chalk.blue('📋 Verifying documentation...'));
         console.log(chalk.dim(`Total directories: ${verification.totalDirectories}`));
         console.log(chalk.dim(`Documented: ${verification.documented}`));
+        if (verification.skippedDirs.length > 0) {
+          console.log(chalk.dim(`Skipped by granularity rules: ${verification.skippedDirs.length}`));
+        }
+      }
+
+      verification.warnings.forEach(warning => console.log(chalk.yellow(`⚠ ${warning}`)));
+
+      if (mismatches.length > 0) {
+        const color = options.strictDeps ? chalk.red : chalk.yellow;
+        const log = options.strictDeps ? console.error : console.log;
+        log(color(`${options.strictDeps ? '✗' : '⚠'} Found ${mismatches.length} entries with outdated dependencies:`));
+        mismatches.forEach(mismatch => {
+          log(color(`  ${mismatch.directory}:`));
+          describeDependencyMismatch(mismatch).forEach(line => log(color(`    ${line}`)));
+        });
+      }
+
+      const frequencyMismatches = verification.frequencyMismatches;
+      if (frequencyMismatches.length > 0) {
+        const window = config.history.classifyWindow;
+        console.log(chalk.yellow(`⚠ Found ${frequencyMismatches.length} entries whose changeFrequency disagrees with git history:`));
+        frequencyMismatches.forEach(({ directory, declared, computed, commits }) => {
+          console.log(chalk.yellow(`  ${directory}: declared ${declared}, computed ${computed} (${commits[window]} commits in ${window} days)`));
+        });
+      }
+
+      const lintErrors = verification.violations.filter(violation => violation.severity === 'error');
+      const lintWarnings = verification.violations.filter(violation => violation.severity === 'warn');
+      if (lintWarnings.length > 0 && !options.quiet) {
+        console.log(chalk.yellow(`⚠ Found ${lintWarnings.length} documentation warnings:`));
+        lintWarnings.forEach(violation => console.log(chalk.yellow(`  ${formatViolation(violation)}`)));
+      }
+      if (lintErrors.length > 0) {
+        console.error(chalk.red(`✗ Found ${lintErrors.length} documentation errors:`));
+        lintErrors.forEach(violation => console.error(chalk.red(`  ${formatViolation(violation)}`)));
+      }
+
+      if (!options.quiet) {
+        reportCoverage(coverage, config.coverage, baseline);
+      }
+      coverageFailures.forEach(failure => {
+        console.error(chalk.red(`✗ ${failure.message}`));
+        failure.directories.slice(0, 10).forEach(dir => console.error(chalk.red(`  ${dir}`)));
+        if (failure.directories.length > 10) {
+          console.error(chalk.dim(`  ... and ${failure.directories.length - 10} more`));
+        }
+      });
+      if (options.updateBaseline) {
+        console.log(chalk.green(`✓ Saved coverage baseline to ${config.coverage.baseline}`));
       }
 
-      if (verification.valid) {
+      if (result.valid) {
         console.log(chalk.green('✓ All directories have valid READMEs'));
-        process.exit(0);
-      } else {
+      } else if (verification.missingReadmes.length > 0) {
         console.error(chalk.red(`✗ Found ${verification.missingReadmes.length} missing READMEs:`));
         verification.missingReadmes.forEach(({ directory, expectedReadme }) => {
           console.error(chalk.red(`  ${directory}: ${expectedReadme}`));
         });
-        process.exit(1);
       }
+      process.exit(exitCode);
 
     } catch (error) {
+      if (error instanceof CrmblError) {
+        reportCrmblError(error);
+        process.exit(EXIT_CODES.INVALID_INPUT);
+      }
       console.error(chalk.red('✗ Verification failed:'), error.message);
-      process.exit(1);
+      process.exit(EXIT_CODES.INTERNAL_ERROR);
     }
   });
 
@@ -177,129 +412,776 @@ program
   .description('Generates LLM prompt with context about new directories')
   .option('-o, --output <path>', 'Output path for prompt file (default: ./crmbl-prompt.txt)')
   .option('-t, --template <path>', 'Custom prompt template file')
+  .option('--stale', 'Also ask the agent to re-document stale directories')
+  .option('-p, --package <name>', 'Only include directories inside this workspace package')
+  .option('--max-tokens <count>', 'Token budget per prompt file (default: prompt.maxTokens from the config)')
+  .option('-i, --input <path>', 'Scan results to read (default: ./scan-results.json)')
   .action(async (options) => {
     try {
-      const config = loadConfig();
-      const scanResultsPath = './scan-results.json';
+      const config = await loadConfigOrExit(options);
+      const scanResultsPath = options.input || './scan-results.json';
 
       if (!fs.existsSync(scanResultsPath)) {
-        console.error(chalk.yellow('⚠ No scan-results.json found'));
+        console.error(chalk.yellow(`⚠ No scan results found at ${scanResultsPath}`));
         console.log(chalk.dim('Run "crmbl scan" first'));
         process.exit(1);
       }
 
-      const scanResults = JSON.parse(fs.readFileSync(scanResultsPath, 'utf-8'));
-
-      if (scanResults.stats.new === 0) {
-        console.log(chalk.green('✓ No new directories to document'));
-        process.exit(0);
+      let maxTokens;
+      if (options.maxTokens !== undefined) {
+        maxTokens = parseInt(options.maxTokens, 10);
+        if (!Number.isInteger(maxTokens) || maxTokens < 1) {
+          throw new Error('--max-tokens must be a positive number');
+        }
       }
 
-      // Load template
-      const templatePath = options.template || path.join(path.dirname(new URL(import.meta.url).pathname), '../templates/prompt-template.txt');
-      let template;
+      const { batches, scanResults } = prompt(config, JSON.parse(fs.readFileSync(scanResultsPath, 'utf-8')), {
+        templatePath: options.template,
+        stale: options.stale,
+        package: options.package,
+        maxTokens
+      });
+      const staleCount = options.stale ? (scanResults.staleDirs || []).length : 0;
 
-      if (fs.existsSync(templatePath)) {
-        template = fs.readFileSync(templatePath, 'utf-8');
-      } else {
-        // Use default inline template
-        template = generateDefaultPromptTemplate();
+      if (batches.length === 0) {
+        console.log(chalk.green(options.stale ? '✓ No new or stale directories to document' : '✓ No new directories to document'));
+        process.exit(0);
       }
 
-      // Generate prompt
-      const prompt = generatePrompt(template, scanResults, config);
-
-      // Save prompt
       const outputPath = options.output || './crmbl-prompt.txt';
-      fs.writeFileSync(outputPath, prompt, 'utf-8');
+      writePromptFiles(batches, outputPath);
 
-      console.log(chalk.green(`✓ Generated prompt for ${scanResults.stats.new} new directories`));
-      console.log(chalk.dim(`📄 Saved to: ${outputPath}`));
+      const staleSummary = staleCount > 0 ? ` and ${staleCount} stale` : '';
+      console.log(chalk.green(`✓ Generated prompt for ${scanResults.stats.new} new${staleSummary} directories`));
+      if (batches.length === 1) {
+        console.log(chalk.dim(`📄 Saved to: ${outputPath}`) + chalk.dim(` (~${batches[0].tokens} tokens)`));
+      } else {
+        console.log(chalk.dim(`📄 Split into ${batches.length} batches:`));
+        batches.forEach((batch, idx) => {
+          const count = batch.newDirs.length + batch.staleDirs.length;
+          console.log(chalk.dim(`   ${batchFilePath(outputPath, idx + 1, batches.length)} - ${count} directories, ~${batch.tokens} tokens`));
+        });
+      }
       console.log(chalk.dim('\nNext steps:'));
-      console.log(chalk.dim('  1. Copy the prompt to your AI agent (Claude Code, Cursor, etc.)'));
+      console.log(chalk.dim(batches.length === 1
+        ? '  1. Copy the prompt to your AI agent (Claude Code, Cursor, etc.)'
+        : '  1. Give each prompt file to your AI agent (Claude Code, Cursor, etc.) in turn'));
       console.log(chalk.dim('  2. Review and refine the generated READMEs'));
       console.log(chalk.dim('  3. Run: crmbl verify'));
 
     } catch (error) {
+      if (error instanceof CrmblError) {
+        reportCrmblError(error);
+        process.exit(1);
+      }
       console.error(chalk.red('✗ Prompt generation failed:'), error.message);
       process.exit(1);
     }
   });
 
+// INGEST command
+program
+  .command('ingest')
+  .description('Parses directory READMEs and writes their metadata into crmbl-map.json')
+  .option('--dry-run', 'Report what would change without writing the map')
+  .action(async (options) => {
+    try {
+      const config = await loadConfigOrExit(options);
+      const map = loadMap(config);
+
+      const currentDirs = await findAllDirectories(config.rootPath, config.ignore, { useGitignore: config.useGitignore, cachePath: config.cachePath });
+      const mappedDirs = map && map.directories ? Object.keys(map.directories) : [];
+      const dirs = Array.from(new Set([...mappedDirs, ...currentDirs])).sort();
+
+      const result = ingestReadmes(config, map, dirs);
+
+      console.log(chalk.blue(`📥 Ingested ${result.ingested.length} READMEs`));
+
+      if (result.issues.length > 0) {
+        console.log(chalk.yellow(`\n⚠ Malformed sections in ${result.issues.length} READMEs:`));
+        result.issues.forEach(({ directory, readmePath, errors }) => {
+          console.log(chalk.yellow(`  ${directory}:`));
+          errors.forEach(({ line, message }) => {
+            console.log(chalk.yellow(`    ${readmePath}:${line} - ${message}`));
+          });
+        });
+      }
+
+      if (!result.validation.valid) {
+        console.error(chalk.red('\n✗ Resulting crmbl-map.json is invalid:'));
+        result.validation.errors.forEach(err => console.error(chalk.red(`  - ${err}`)));
+        process.exit(1);
+      }
+
+      if (options.dryRun) {
+        console.log(chalk.dim('\nDry run: crmbl-map.json was not modified'));
+      } else {
+        writeMap(config, result.map);
+        console.log(chalk.green(`\n✓ Updated ${config.outputPath}`));
+      }
+
+      if (result.issues.length > 0) {
+        process.exit(1);
+      }
+
+    } catch (error) {
+      console.error(chalk.red('✗ Ingest failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// SCAFFOLD command
+program
+  .command('scaffold')
+  .description('Creates pre-filled README stubs for new directories from the README template')
+  .option('-f, --force', 'Overwrite existing READMEs')
+  .option('--dry-run', 'List the READMEs that would be created without writing them')
+  .option('-p, --package <name>', 'Only scaffold directories inside this workspace package')
+  .option('-i, --input <path>', 'Scan results to read (default: ./scan-results.json)')
+  .action(async (options) => {
+    try {
+      const config = await loadConfigOrExit(options);
+      const scanResultsPath = options.input || './scan-results.json';
+
+      if (!fs.existsSync(scanResultsPath)) {
+        console.error(chalk.yellow(`⚠ No scan results found at ${scanResultsPath}`));
+        console.log(chalk.dim('Run "crmbl scan" first'));
+        process.exit(1);
+      }
+
+      let scanResults = JSON.parse(fs.readFileSync(scanResultsPath, 'utf-8'));
+      const knownDirs = [...scanResults.newDirs, ...scanResults.unchangedDirs, ...(scanResults.staleDirs || [])];
+
+      if (options.package) {
+        const workspace = scanResults.workspace || { packages: {} };
+        scanResults = scopeScanResultsToPackage(scanResults, packagePath(workspace, options.package));
+      }
+
+      if (scanResults.newDirs.length === 0) {
+        console.log(chalk.green('✓ No new directories to scaffold'));
+        process.exit(0);
+      }
+
+      const { created, skipped } = scaffoldReadmes(config, scanResults.newDirs, {
+        force: options.force,
+        dryRun: options.dryRun,
+        knownDirs
+      });
+
+      const verb = options.dryRun ? 'Would create' : 'Created';
+      console.log(chalk.green(`✓ ${verb} ${created.length} README stubs`));
+      created.forEach(readme => console.log(chalk.dim(`   ${readme}`)));
+
+      if (skipped.length > 0) {
+        console.log(chalk.yellow(`\n⚠ Skipped ${skipped.length} existing READMEs (use --force to overwrite):`));
+        skipped.forEach(readme => console.log(chalk.yellow(`   ${readme}`)));
+      }
+
+      if (created.length > 0 && !options.dryRun) {
+        console.log(chalk.dim('\nNext steps:'));
+        console.log(chalk.dim('  1. Fill in the TODO(crmbl) sections (or ask your AI agent to)'));
+        console.log(chalk.dim('  2. Run: crmbl ingest'));
+      }
+
+    } catch (error) {
+      if (error instanceof CrmblError) {
+        reportCrmblError(error);
+        process.exit(EXIT_CODES.INVALID_INPUT);
+      }
+      console.error(chalk.red('✗ Scaffold failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// PRUNE command
+program
+  .command('prune')
+  .description('Removes missing directories from crmbl-map.json, migrating moved or renamed ones')
+  .option('--dry-run', 'Show what would change without writing the map')
+  .option('-y, --yes', 'Apply changes without asking for confirmation')
+  .option('--no-detect-moves', 'Remove all missing directories without looking for moves')
+  .action(async (options) => {
+    try {
+      const config = await loadConfigOrExit(options);
+      const scanResults = await scan(config, { cache: true, writeMap: true });
+      // Scanning may record fingerprints in the map, so read it afterwards
+      const map = readMapOrExit(config);
+      const plan = planPrune(config.rootPath, map, scanResults, { detectMoves: options.detectMoves });
+
+      if (plan.moves.length === 0 && plan.removals.length === 0) {
+        console.log(chalk.green('✓ No missing directories to prune'));
+        process.exit(0);
+      }
+
+      if (plan.moves.length > 0) {
+        console.log(chalk.cyan(`🚚 Moved or renamed (${plan.moves.length}):`));
+        plan.moves.forEach(({ from, to, method, score }) => {
+          console.log(chalk.cyan(`   ${from} → ${to}`) + chalk.dim(` (${method}, ${Math.round(score * 100)}% match)`));
+        });
+      }
+
+      if (plan.removals.length > 0) {
+        console.log(chalk.red(`🗑 To remove (${plan.removals.length}):`));
+        plan.removals.forEach(dir => console.log(chalk.red(`   ${dir}`)));
+      }
+
+      if (options.dryRun) {
+        console.log(chalk.dim('\nDry run: crmbl-map.json was not modified'));
+        process.exit(0);
+      }
+
+      if (!options.yes) {
+        if (!process.stdin.isTTY) {
+          console.error(chalk.red('\n✗ Refusing to prune without confirmation in a non-interactive shell'));
+          console.error(chalk.dim('Use --yes to apply or --dry-run to preview'));
+          process.exit(1);
+        }
+
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+        const answer = await rl.question('\nApply these changes to crmbl-map.json? (y/N) ');
+        rl.close();
+
+        if (!/^y(es)?$/i.test(answer.trim())) {
+          console.log(chalk.dim('Aborted: crmbl-map.json was not modified'));
+          process.exit(0);
+        }
+      }
+
+      const updated = applyPrunePlan(map, plan);
+      writeMap(config, updated);
+
+      console.log(chalk.green(`\n✓ Migrated ${plan.moves.length} and removed ${plan.removals.length} entries`));
+      console.log(chalk.dim('Run "crmbl scan" to refresh scan-results.json'));
+
+    } catch (error) {
+      console.error(chalk.red('✗ Prune failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// MIGRATE command
+program
+  .command('migrate')
+  .description(`Upgrades crmbl-map.json (or a legacy ${LEGACY_MAP_FILENAME}) to the current schema version`)
+  .option('--dry-run', 'Show what would change without writing the map')
+  .action(async (options) => {
+    try {
+      const config = await loadConfigOrExit(options);
+      const mapPath = path.resolve(config.outputPath);
+      // Read through loadMap so a sharded map is migrated crumbs and all
+      const current = loadMap(config, { migrate: false });
+      const found = current ? { path: mapPath, legacy: false } : locateMap(config.outputPath);
+
+      if (!found) {
+        console.error(chalk.red('✗ No crmbl-map.json found'));
+        console.error(chalk.dim(`Expected at: ${mapPath}`));
+        process.exit(1);
+      }
+
+      const map = current || readMapFile(found.path);
+      const result = migrateMap(map);
+
+      if (result.changes.length === 0 && !found.legacy) {
+        console.log(chalk.green(`✓ ${config.outputPath} is already at schema version ${result.to}`));
+        process.exit(0);
+      }
+
+      if (found.legacy) {
+        console.log(chalk.cyan(`🚚 ${path.relative(process.cwd(), found.path)} → ${config.outputPath}`));
+      }
+      console.log(chalk.cyan(`⬆ Schema version ${result.from} → ${result.to}`));
+      result.changes.forEach(change => console.log(chalk.dim(`   ${change}`)));
+
+      const validation = validateMap(result.map);
+      if (!validation.valid) {
+        console.error(chalk.red('\n✗ Migrated map is still invalid, fix these entries by hand:'));
+        validation.errors.forEach(err => console.error(chalk.red(`  - ${err}`)));
+        process.exit(1);
+      }
+
+      if (options.dryRun) {
+        console.log(chalk.dim('\nDry run: no files were modified'));
+        process.exit(0);
+      }
+
+      writeMap(config, result.map);
+      if (found.legacy) {
+        fs.unlinkSync(found.path);
+      }
+
+      console.log(chalk.green(`\n✓ Wrote ${config.outputPath}`));
+      console.log(chalk.dim('Run "crmbl verify" to check the migrated map'));
+
+    } catch (error) {
+      if (error instanceof CrmblError) {
+        reportCrmblError(error);
+        process.exit(EXIT_CODES.INVALID_INPUT);
+      }
+      console.error(chalk.red('✗ Migrate failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// ASSEMBLE command
+program
+  .command('assemble')
+  .description(`Builds crmbl-map.json from the ${CRUMB_FILENAME} files of a sharded map`)
+  .option('--check', 'Exit with an error when crmbl-map.json is out of date')
+  .option('--split', `Move the entries of crmbl-map.json into ${CRUMB_FILENAME} files, to switch to sharded mode`)
+  .action(async (options) => {
+    try {
+      const config = await loadConfigOrExit(options);
+
+      if (!config.sharded) {
+        console.error(chalk.red('✗ The map is not sharded'));
+        console.error(chalk.dim(`Set "sharded": true in the config to keep entries in ${CRUMB_FILENAME} files`));
+        process.exit(EXIT_CODES.INVALID_INPUT);
+      }
+      if (options.check && options.split) {
+        console.error(chalk.red('✗ Use either --check or --split'));
+        process.exit(EXIT_CODES.INVALID_INPUT);
+      }
+
+      if (options.split) {
+        const result = splitMap(config);
+        result.written.forEach(file => console.log(chalk.green(`✓ Wrote ${path.relative(process.cwd(), file)}`)));
+        if (result.skipped.length > 0) {
+          console.log(chalk.yellow(`\n⚠ Dropped ${result.skipped.length} entries whose directories no longer exist:`));
+          result.skipped.forEach(dir => console.log(chalk.yellow(`   ${dir}`)));
+        }
+        console.log(chalk.dim(`\nCommit the ${CRUMB_FILENAME} files; from now on they are the source of truth`));
+        console.log(chalk.dim(`${config.outputPath} is now generated from them, add it to .gitignore`));
+        process.exit(0);
+      }
+
+      const { map, content, upToDate } = assembleMap(config);
+      const count = Object.keys(map.directories).length;
+
+      const validation = validateMap(map);
+      if (!validation.valid) {
+        console.error(chalk.red('✗ The assembled map is invalid:'));
+        validation.errors.forEach(err => console.error(chalk.red(`  - ${err}`)));
+        process.exit(1);
+      }
+
+      if (upToDate) {
+        console.log(chalk.green(`✓ ${config.outputPath} is up to date (${count} directories)`));
+        process.exit(0);
+      }
+
+      if (options.check) {
+        console.error(chalk.red(`✗ ${config.outputPath} is out of date`));
+        console.error(chalk.dim('Run "crmbl assemble" to regenerate it'));
+        process.exit(1);
+      }
+
+      fs.writeFileSync(path.resolve(config.outputPath), content, 'utf-8');
+      console.log(chalk.green(`✓ Assembled ${count} directories into ${config.outputPath}`));
+
+    } catch (error) {
+      if (error instanceof CrmblError) {
+        reportCrmblError(error);
+      } else {
+        console.error(chalk.red('✗ Assemble failed:'), error.message);
+      }
+      process.exit(1);
+    }
+  });
+
+// QUERY command
+program
+  .command('query')
+  .description('Searches crmbl-map.json by keyword, complexity, change frequency, dependency and path')
+  .argument('[terms...]', 'Words to look for in paths, purposes, entry points and key files')
+  .option('-c, --complexity <range>', 'Complexity score, range or comparison (e.g. 3, 2-4, >=3)')
+  .option('-f, --frequency <values>', 'Comma-separated change frequencies (e.g. "Stable,Moderate")')
+  .option('-d, --depends-on <dep>', 'Only directories that depend on this directory (/src/db) or package (zod)')
+  .option('--path <pattern>', 'Only directories under this path or matching this glob')
+  .option('-n, --limit <count>', 'Maximum number of results', '20')
+  .option('--json', 'Output compact JSON')
+  .action(async (terms, options) => {
+    try {
+      const config = await loadConfigOrExit(options);
+      const map = readMapOrExit(config);
+
+      const limit = parseInt(options.limit, 10);
+      if (!Number.isInteger(limit) || limit < 1) {
+        throw new Error('--limit must be a positive number');
+      }
+
+      const results = queryMap(map, {
+        text: terms,
+        complexity: options.complexity,
+        changeFrequency: options.frequency,
+        dependsOn: options.dependsOn,
+        path: options.path,
+        limit
+      });
+
+      if (options.json) {
+        console.log(JSON.stringify(results));
+        process.exit(0);
+      }
+
+      if (results.length === 0) {
+        console.log(chalk.yellow('No matching directories'));
+        process.exit(0);
+      }
+
+      results.forEach(result => {
+        const details = [
+          result.complexity !== undefined ? `complexity ${result.complexity}` : null,
+          result.changeFrequency,
+          result.score > 0 ? `score ${result.score}` : null
+        ].filter(Boolean).join(', ');
+
+        console.log(chalk.cyan(result.directory) + chalk.dim(` (${details})`));
+        if (result.purpose) {
+          console.log(`  ${result.purpose}`);
+        }
+        if (result.matches.length > 0) {
+          console.log(chalk.dim(`  matched: ${result.matches.join(', ')}`));
+        }
+      });
+
+    } catch (error) {
+      console.error(chalk.red('✗ Query failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// CONTEXT command
+program
+  .command('context')
+  .description('Prints the breadcrumb chain from the root down to a file or directory as markdown')
+  .argument('<path>', 'File or directory to build context for')
+  .option('--readme', 'Inline README excerpts for the directory and its ancestors')
+  .option('-t, --max-tokens <count>', 'Trim the output to roughly this many tokens')
+  .option('-o, --output <path>', 'Write the markdown to a file instead of stdout')
+  .action(async (targetPath, options) => {
+    try {
+      const config = await loadConfigOrExit(options);
+      const map = readMapOrExit(config);
+
+      let maxTokens;
+      if (options.maxTokens !== undefined) {
+        maxTokens = parseInt(options.maxTokens, 10);
+        if (!Number.isInteger(maxTokens) || maxTokens < 1) {
+          throw new Error('--max-tokens must be a positive number');
+        }
+      }
+
+      const context = buildContext(config, map, targetPath, { readme: options.readme, maxTokens });
+
+      if (options.output) {
+        fs.writeFileSync(options.output, context.markdown, 'utf-8');
+        console.log(chalk.green(`✓ Context for ${context.target} saved to ${options.output}`) + chalk.dim(` (~${context.tokens} tokens)`));
+        if (context.omitted.length > 0) {
+          console.log(chalk.yellow(`⚠ Omitted to fit the budget: ${context.omitted.join(', ')}`));
+        }
+      } else {
+        process.stdout.write(context.markdown);
+      }
+
+    } catch (error) {
+      if (error instanceof CrmblError) {
+        reportCrmblError(error);
+        process.exit(EXIT_CODES.INVALID_INPUT);
+      }
+      console.error(chalk.red('✗ Context failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// GRAPH command
+program
+  .command('graph')
+  .description('Renders the internal dependency graph from crmbl-map.json and checks it for cycles and forbidden dependencies')
+  .option('--format <format>', `Graph format: ${GRAPH_FORMATS.join(', ')}`, 'mermaid')
+  .option('--subtree <path>', 'Only include directories inside this subtree')
+  .option('-d, --depth <levels>', 'Collapse directories more than this many levels below the subtree into their ancestor')
+  .option('-o, --output <path>', 'Write the graph to a file instead of stdout')
+  .option('--check', 'Exit with an error when the graph has cycles or forbidden dependencies')
+  .action(async (options) => {
+    try {
+      if (!GRAPH_FORMATS.includes(options.format)) {
+        throw new Error(`Unknown format "${options.format}" (use one of: ${GRAPH_FORMATS.join(', ')})`);
+      }
+
+      let depth;
+      if (options.depth !== undefined) {
+        depth = parseInt(options.depth, 10);
+        if (!Number.isInteger(depth) || depth < 1) {
+          throw new Error('--depth must be a positive number');
+        }
+      }
+
+      const config = await loadConfigOrExit(options);
+      const map = readMapOrExit(config);
+
+      const root = options.subtree ? resolveDirectoryKey(config.rootPath, options.subtree) : '/';
+      const graph = buildGraph(map, { root, depth });
+      const cycles = findCycles(graph);
+      const violations = findForbiddenDependencies(graph, config.graph.forbidden);
+      const output = renderGraph(options.format, graph, { cycles, violations });
+
+      // Keep stdout clean for the graph itself
+      const log = options.output ? console.log : console.error;
+      if (options.output) {
+        fs.writeFileSync(options.output, output, 'utf-8');
+        log(chalk.green(`✓ Graph of ${graph.nodes.length} directories saved to ${options.output}`));
+      } else {
+        process.stdout.write(output);
+      }
+
+      if (cycles.length > 0) {
+        log(chalk.yellow(`⚠ Found ${cycles.length} dependency cycles:`));
+        cycles.forEach(cycle => log(chalk.yellow(`  ${cycle.join(' → ')}`)));
+      }
+      if (violations.length > 0) {
+        log(chalk.red(`✗ Found ${violations.length} forbidden dependencies:`));
+        violations.forEach(violation => log(chalk.red(`  ${describeForbiddenDependency(violation)}`)));
+      }
+
+      if (options.check && (cycles.length > 0 || violations.length > 0)) {
+        process.exit(1);
+      }
+
+    } catch (error) {
+      console.error(chalk.red('✗ Graph failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// EXPORT-AGENTS command
+program
+  .command('export-agents')
+  .description('Writes a repository index from crmbl-map.json into AGENTS.md, CLAUDE.md and .cursorrules')
+  .option('-t, --target <names...>', `Only these files: ${Object.keys(AGENT_TARGETS).join(', ')} (default: all)`)
+  .option('--dry-run', 'Show which files would change without writing them')
+  .option('--check', 'Exit with an error when a file is out of date (useful for CI)')
+  .action(async (options) => {
+    try {
+      const config = await loadConfigOrExit(options);
+      const map = readMapOrExit(config);
+
+      const results = exportAgentFiles(config, map, {
+        targets: options.target,
+        dryRun: options.dryRun || options.check
+      });
+
+      const verbs = options.dryRun || options.check
+        ? { created: 'Would create', updated: 'Would update', unchanged: 'Up to date' }
+        : { created: 'Created', updated: 'Updated', unchanged: 'Up to date' };
+      results.forEach(({ file, status }) => {
+        const line = `${verbs[status]}: ${file}`;
+        console.log(status === 'unchanged' ? chalk.dim(`  ${line}`) : chalk.green(`✓ ${line}`));
+      });
+
+      const outdated = results.filter(result => result.status !== 'unchanged');
+      if (options.check && outdated.length > 0) {
+        console.error(chalk.red(`✗ ${outdated.length} agent files are out of date`));
+        console.error(chalk.dim('Run "crmbl export-agents" and commit the result'));
+        process.exit(1);
+      }
+
+      if (!options.dryRun && !options.check && outdated.length > 0) {
+        console.log(chalk.dim('\nContent outside the <!-- crmbl:start --> / <!-- crmbl:end --> block is left untouched.'));
+      }
+
+    } catch (error) {
+      console.error(chalk.red('✗ Export failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// SERVE command
+program
+  .command('serve')
+  .description('Serves the breadcrumb map to agents')
+  .option('--mcp', 'Run a Model Context Protocol server over stdio')
+  .action(async (options) => {
+    try {
+      if (!options.mcp) {
+        console.error(chalk.red('✗ Choose a protocol to serve'));
+        console.error(chalk.dim('Use: crmbl serve --mcp'));
+        process.exit(1);
+      }
+
+      const config = await loadConfigOrExit(options);
+
+      // stdout carries the protocol, so status messages go to stderr
+      console.error(chalk.dim(`crmbl MCP server ready (map: ${config.outputPath})`));
+      const server = createMcpServer(config, { name: program.name(), version: program.version() });
+      await serveStdio(server);
+
+    } catch (error) {
+      console.error(chalk.red('✗ Serve failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
 /**
- * Generates the default prompt template
+ * Saves prompt batches, replacing files left over from a previous run
  */
-function generateDefaultPromptTemplate() {
-  return `# Monorepo Documentation Task
-
-I need you to help document the following directories in my monorepo by:
-1. Creating a README.md file in each directory
-2. Updating the monorepo-map.json file with metadata about each directory
-
-## New Directories to Document
-{{NEW_DIRS}}
-
-## Instructions
-
-For each directory above, please:
-
-1. **Analyze the directory contents** to understand:
-   - What is the purpose of this directory?
-   - What are the key files and their roles?
-   - What dependencies does it have (internal and external)?
-   - What is the complexity level (1-5)?
-   - How frequently does it change?
-
-2. **Create a README.md** in each directory with:
-   - Clear purpose statement
-   - List of key files with descriptions
-   - Dependencies (both internal paths and external npm packages)
-   - Entry points for the code
-   - Any important architectural notes
-
-3. **Update monorepo-map.json** with a new entry for each directory following this schema:
-\`\`\`json
-{
-  "purpose": "Brief description of what this directory does",
-  "complexity": 1-5,
-  "changeFrequency": "Stable|Moderate|Frequently Modified",
-  "entryPoints": ["main.ts", "index.ts"],
-  "internalDeps": ["/other/directory/path"],
-  "externalDeps": ["package-name"],
-  "readmePath": "/path/to/README.md",
-  "keyFiles": [
-    {"file": "filename.ts", "description": "What it does"}
-  ],
-  "subdirectories": ["/path/to/subdirs"]
+function writePromptFiles(batches, outputPath) {
+  removeOldPromptFiles(outputPath);
+  batches.forEach((batch, idx) => {
+    fs.writeFileSync(batchFilePath(outputPath, idx + 1, batches.length), batch.prompt, 'utf-8');
+  });
 }
-\`\`\`
 
-## Current Configuration
-- Root path: {{ROOT_PATH}}
-- Output file: {{OUTPUT_PATH}}
+/**
+ * Deletes prompt files (crmbl-prompt.txt, crmbl-prompt-001.txt, ...) written by an earlier run
+ */
+function removeOldPromptFiles(outputPath) {
+  const dir = path.dirname(path.resolve(outputPath));
+  const ext = path.extname(outputPath);
+  const base = path.basename(outputPath, ext);
 
-Please be thorough and accurate in your documentation.
-`;
+  for (const file of fs.readdirSync(dir)) {
+    const batchNumber = file.startsWith(`${base}-`) && file.endsWith(ext)
+      ? file.slice(base.length + 1, file.length - ext.length)
+      : null;
+    if (file === path.basename(outputPath) || /^\d{3,}$/.test(batchNumber)) {
+      fs.unlinkSync(path.join(dir, file));
+    }
+  }
 }
 
 /**
- * Generates the final prompt from template and scan results
+ * Prints an input error from the API along with its details
  */
-function generatePrompt(template, scanResults, config) {
-  let prompt = template;
+function reportCrmblError(error) {
+  console.error(chalk.red(`✗ ${error.message}`));
+  const hints = [ERROR_CODES.CONFIG_NOT_FOUND, ERROR_CODES.MAP_NOT_FOUND, ERROR_CODES.INVALID_OPTION];
+  const log = hints.includes(error.code) ? chalk.dim : chalk.red;
+  error.details.forEach(detail => console.error(log(`  - ${detail}`)));
+}
 
-  // Replace placeholders
-  const newDirsList = scanResults.newDirs.map(dir => `- ${dir}`).join('\n');
+/**
+ * Loads the configuration with the command's --config, --root and --map, exiting when it's invalid
+ */
+async function loadConfigOrExit(options) {
+  const overrides = {};
+  if (options.root) {
+    overrides.rootPath = options.root;
+  }
+  if (options.map) {
+    overrides.outputPath = options.map;
+  }
 
-  prompt = prompt.replace('{{NEW_DIRS}}', newDirsList);
-  prompt = prompt.replace('{{ROOT_PATH}}', config.rootPath);
-  prompt = prompt.replace('{{OUTPUT_PATH}}', config.outputPath);
-  prompt = prompt.replace('{{TOTAL_NEW}}', scanResults.stats.new.toString());
+  try {
+    return await loadConfig({ configPath: options.config, overrides });
+  } catch (error) {
+    if (!(error instanceof CrmblError)) {
+      throw error;
+    }
+    reportCrmblError(error);
+    process.exit(EXIT_CODES.INVALID_INPUT);
+  }
+}
 
-  return prompt;
+/**
+ * Reads the map, exiting when it's missing or unreadable
+ */
+function readMapOrExit(config) {
+  try {
+    return readMap(config);
+  } catch (error) {
+    if (!(error instanceof CrmblError)) {
+      throw error;
+    }
+    reportCrmblError(error);
+    process.exit(1);
+  }
+}
+
+/**
+ * Prints which ignore or granularity rule decides whether a directory is scanned
+ */
+function explainDirectory(config, target) {
+  const absoluteRoot = path.resolve(config.rootPath);
+  const relative = path.relative(absoluteRoot, path.resolve(target));
+
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw new Error(`${target} is outside the scan root ${config.rootPath}`);
+  }
+
+  const dirPath = '/' + relative.split(path.sep).join('/');
+  console.log(chalk.bold(`🔎 ${dirPath}`));
+
+  if (dirPath === '/') {
+    console.log(chalk.green('  ✓ The scan root itself is always scanned'));
+    return;
+  }
+
+  if (!fs.existsSync(path.join(absoluteRoot, dirPath))) {
+    console.log(chalk.yellow('  ⚠ Directory does not exist'));
+  }
+
+  const matcher = createIgnoreMatcher(absoluteRoot, config.ignore, { useGitignore: config.useGitignore, cachePath: config.cachePath });
+  const verdict = matcher.explain(dirPath);
+
+  if (verdict.ignored) {
+    console.log(chalk.red(`  ✗ Excluded: ${verdict.reason}`));
+    return;
+  }
+
+  console.log(chalk.green(`  ✓ Included: ${verdict.reason}`));
+
+  const granularity = evaluateDirectory(absoluteRoot, dirPath, config.granularity);
+  if (granularity.documentable) {
+    console.log(chalk.green('  ✓ Documented on its own under the granularity rules'));
+  } else {
+    console.log(chalk.yellow(`  ↳ Rolled up into a parent: ${granularity.reason}`));
+  }
+}
+
+/**
+ * Prints coverage overall, per path prefix and per policy
+ */
+function reportCoverage(coverage, settings, baseline) {
+  const line = ({ documented, total, percent }) => `${documented}/${total} (${percent}%)`;
+  const width = Math.max(0, ...coverage.groups.map(group => group.prefix.length), ...coverage.policies.map(policy => policy.path.length));
+
+  console.log(chalk.cyan(`📊 Documentation coverage: ${line(coverage)}`) +
+    chalk.dim(settings.minimum > 0 ? `, minimum ${settings.minimum}%` : ''));
+  if (coverage.groups.length > 1) {
+    coverage.groups.forEach(group => console.log(chalk.dim(`   ${group.prefix.padEnd(width)}  ${line(group)}`)));
+  }
+  coverage.policies.forEach(policy => {
+    console.log(chalk.dim(`   ${policy.path.padEnd(width)}  ${line(policy)}, minimum ${policy.minimum}%`));
+  });
+
+  if (baseline && coverage.percent > baseline.overall) {
+    console.log(chalk.green(`↑ Coverage is up from ${baseline.overall}%. Run "crmbl verify --update-baseline" to lock it in`));
+  }
+}
+
+/**
+ * Prints the phase timings recorded by --profile
+ */
+function reportProfile(profiler, log) {
+  log(chalk.bold('\n⏱ Scan profile:'));
+  formatProfile(profiler.phases).forEach(line => log(chalk.dim(`   ${line}`)));
+}
+
+/**
+ * Formats a lint violation from verifyDocumentation as "file:line message (rule)"
+ */
+function formatViolation({ file, line, message, rule }) {
+  return `${file}${line ? `:${line}` : ''} ${message} (${rule})`;
 }
 
 // Parse and execute
+// Every command but init reads the config, so they all take the flags that locate it
+for (const command of program.commands.filter(cmd => cmd.name() !== 'init')) {
+  command.option('--config <path>', 'Config file to use instead of searching up from the current directory');
+  command.option('--root <path>', 'Directory to scan, overriding rootPath');
+  command.option('--map <path>', 'Map file to read and write, overriding outputPath');
+}
+
 program.parse(process.argv);
 
 // Show help if no command provided
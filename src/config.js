@@ -2,9 +2,50 @@
 
 import fs from 'fs';
 import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import yaml from 'js-yaml';
+import { CrmblError, ERROR_CODES } from './errors.js';
+import { DEFAULT_HISTORY_CONFIG } from './history.js';
+import { DEFAULT_GRANULARITY_CONFIG } from './granularity.js';
+import { DEFAULT_PROMPT_CONFIG } from './prompt.js';
+import { DEFAULT_LINT_CONFIG, LINT_RULES, SEVERITIES } from './lint.js';
+import { DEFAULT_COVERAGE_CONFIG } from './coverage.js';
+import { DEFAULT_GRAPH_CONFIG } from './graph.js';
 
 const CONFIG_FILENAME = '.crmbl-config.json';
 
+/**
+ * Config files looked for in each directory, in order of precedence; package.json
+ * counts only when it has a "crmbl" key
+ */
+export const CONFIG_FILENAMES = [
+  CONFIG_FILENAME,
+  '.crmbl-config.js',
+  '.crmbl-config.mjs',
+  '.crmbl-config.yaml',
+  '.crmbl-config.yml'
+];
+
+const PACKAGE_JSON_KEY = 'crmbl';
+
+/**
+ * Environment variables that override a config value, applied after the config file
+ */
+export const ENV_OVERRIDES = {
+  CRMBL_ROOT: { key: 'rootPath', type: 'path' },
+  CRMBL_MAP: { key: 'outputPath', type: 'path' },
+  CRMBL_CACHE: { key: 'cachePath', type: 'path' },
+  CRMBL_IGNORE: { key: 'ignore', type: 'list' },
+  CRMBL_USE_GITIGNORE: { key: 'useGitignore', type: 'boolean' },
+  CRMBL_PROMPT_MAX_TOKENS: { key: 'prompt.maxTokens', type: 'number' },
+  CRMBL_COVERAGE_MINIMUM: { key: 'coverage.minimum', type: 'number' }
+};
+
+// Sections merged key by key rather than replaced, and the maps inside them merged one level deeper
+const SECTIONS = ['history', 'granularity', 'prompt', 'lint', 'coverage', 'graph'];
+const NESTED_SECTIONS = { history: 'thresholds', lint: 'rules' };
+
 /**
  * Default configuration values
  */
@@ -12,36 +53,246 @@ export const DEFAULT_CONFIG = {
   rootPath: './',
   ignore: ['node_modules', '.git', 'dist', 'build', '.next', 'coverage', '.cache'],
   outputPath: './crmbl-map.json',
-  readmeTemplate: 'templates/readme-template.md'
+  readmeTemplate: 'templates/readme-template.md',
+  useGitignore: true,
+  // Under node_modules/.cache like other tools' caches, so it's already git-ignored
+  cachePath: './node_modules/.cache/crmbl/walk-cache.json',
+  sharded: false,
+  history: DEFAULT_HISTORY_CONFIG,
+  granularity: DEFAULT_GRANULARITY_CONFIG,
+  prompt: DEFAULT_PROMPT_CONFIG,
+  lint: DEFAULT_LINT_CONFIG,
+  coverage: DEFAULT_COVERAGE_CONFIG,
+  graph: DEFAULT_GRAPH_CONFIG
 };
 
 /**
- * Loads configuration from .crmbl-config.json
- * @param {string} cwd - Current working directory to search for config
- * @returns {Object} Configuration object (merged with defaults)
+ * Loads the configuration: the defaults, then the presets the config file extends,
+ * the config file itself, CRMBL_* environment variables and finally the overrides
+ * @param {Object} options - { cwd: where to start looking, configPath: use this file instead of looking, overrides: config values from the command line, env: environment variables }
+ * @returns {Promise<Object>} Configuration object with rootPath, outputPath, cachePath, readmeTemplate and coverage.baseline made absolute
+ * @throws {CrmblError} CONFIG_NOT_FOUND or CONFIG_INVALID, naming the file the problem came from
  */
-export function loadConfig(cwd = process.cwd()) {
-  const configPath = path.join(cwd, CONFIG_FILENAME);
+export async function loadConfig(options = {}) {
+  const cwd = path.resolve(options.cwd || process.cwd());
+  const env = options.env || process.env;
+  const explicitPath = options.configPath || env.CRMBL_CONFIG;
+
+  let configPath = null;
+  if (explicitPath) {
+    configPath = path.resolve(cwd, explicitPath);
+    if (!fs.existsSync(configPath)) {
+      throw new CrmblError(`Config file not found: ${configPath}`, ERROR_CODES.CONFIG_NOT_FOUND);
+    }
+  } else {
+    configPath = findConfig(cwd);
+  }
 
+  // Paths from config files (presets included) are relative to the project's config file,
+  // paths from the environment and command line to the working directory
+  const baseDir = configPath ? path.dirname(configPath) : cwd;
+  const layers = configPath ? await readConfigChain(configPath, baseDir, []) : [];
+
+  const envConfig = readEnvOverrides(env);
+  if (Object.keys(envConfig).length > 0) {
+    layers.push({ source: 'CRMBL_* environment variables', config: resolveConfigPaths(envConfig, cwd) });
+  }
+  if (options.overrides && Object.keys(options.overrides).length > 0) {
+    layers.push({ source: 'command line options', config: resolveConfigPaths(options.overrides, cwd) });
+  }
+
+  // Each layer is validated on its own so errors name the file that caused them
+  const defaults = resolveConfigPaths(DEFAULT_CONFIG, baseDir);
+  let config = defaults;
+  for (const layer of layers) {
+    const validation = validateConfig(mergeConfig(defaults, layer.config));
+    if (!validation.valid) {
+      throw new CrmblError(`Invalid configuration in ${layer.source}`, ERROR_CODES.CONFIG_INVALID, validation.errors);
+    }
+    config = mergeConfig(config, layer.config);
+  }
+
+  const validation = validateConfig(config);
+  if (!validation.valid) {
+    throw new CrmblError(`Invalid configuration in ${configPath || 'defaults'}`, ERROR_CODES.CONFIG_INVALID, validation.errors);
+  }
+
+  return config;
+}
+
+/**
+ * Reads a config file and, before it, the presets it extends
+ * @param {string} filePath - Absolute path of the config file
+ * @param {string} baseDir - Directory relative paths are resolved against
+ * @param {string[]} chain - Files already being read, to detect cycles
+ * @returns {Promise<Object[]>} Layers of { source, config }, lowest precedence first
+ */
+async function readConfigChain(filePath, baseDir, chain) {
+  if (chain.includes(filePath)) {
+    throw new CrmblError(`Circular extends in ${filePath}`, ERROR_CODES.CONFIG_INVALID, [...chain, filePath]);
+  }
+
+  const { extends: presets, ...config } = await readConfigFile(filePath);
+  const specs = presets === undefined ? [] : [].concat(presets);
+  if (!specs.every(spec => typeof spec === 'string' && spec)) {
+    throw new CrmblError(`Invalid configuration in ${filePath}`, ERROR_CODES.CONFIG_INVALID, [
+      'extends must be a path, a package name or an array of them'
+    ]);
+  }
+
+  const layers = [];
+  for (const spec of specs) {
+    layers.push(...await readConfigChain(resolvePreset(spec, filePath), baseDir, [...chain, filePath]));
+  }
+  layers.push({ source: filePath, config: resolveConfigPaths(config, baseDir) });
+
+  return layers;
+}
+
+/**
+ * Reads one config file according to its format
+ * @param {string} filePath - Absolute path of the config file
+ * @returns {Promise<Object>} The raw configuration, extends included
+ */
+async function readConfigFile(filePath) {
+  let config;
   try {
-    if (fs.existsSync(configPath)) {
-      const content = fs.readFileSync(configPath, 'utf-8');
-      const userConfig = JSON.parse(content);
-
-      // Merge with defaults
-      return {
-        ...DEFAULT_CONFIG,
-        ...userConfig,
-        // Ensure arrays are replaced, not merged
-        ignore: userConfig.ignore || DEFAULT_CONFIG.ignore
-      };
+    const ext = path.extname(filePath);
+    if (ext === '.js' || ext === '.mjs' || ext === '.cjs') {
+      const module = await import(pathToFileURL(filePath).href);
+      config = typeof module.default === 'function' ? await module.default() : module.default;
+    } else if (ext === '.yaml' || ext === '.yml') {
+      config = yaml.load(fs.readFileSync(filePath, 'utf-8'));
+    } else if (path.basename(filePath) === 'package.json') {
+      config = JSON.parse(fs.readFileSync(filePath, 'utf-8'))[PACKAGE_JSON_KEY];
+    } else {
+      config = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
     }
   } catch (error) {
-    console.error(`Error reading config file at ${configPath}:`, error.message);
-    console.log('Using default configuration');
+    throw new CrmblError(`Could not read config file ${filePath}`, ERROR_CODES.CONFIG_INVALID, [error.message]);
+  }
+
+  if (!isPlainObject(config)) {
+    throw new CrmblError(`Invalid configuration in ${filePath}`, ERROR_CODES.CONFIG_INVALID, ['Config must be an object']);
+  }
+
+  return config;
+}
+
+/**
+ * Resolves an extends entry to a file: a path relative to the extending file or a package
+ * @param {string} spec - Entry from extends, e.g. "./base.json" or "@acme/crmbl-config"
+ * @param {string} fromFile - Config file that extends it
+ * @returns {string} Absolute path of the preset
+ */
+function resolvePreset(spec, fromFile) {
+  if (spec.startsWith('.') || path.isAbsolute(spec)) {
+    const presetPath = path.resolve(path.dirname(fromFile), spec);
+    if (!fs.existsSync(presetPath)) {
+      throw new CrmblError(`Config file not found: ${presetPath}`, ERROR_CODES.CONFIG_NOT_FOUND, [`Extended by ${fromFile}`]);
+    }
+    return presetPath;
   }
 
-  return { ...DEFAULT_CONFIG };
+  try {
+    return createRequire(fromFile).resolve(spec);
+  } catch (error) {
+    throw new CrmblError(`Cannot find preset "${spec}"`, ERROR_CODES.CONFIG_NOT_FOUND, [`Extended by ${fromFile}`]);
+  }
+}
+
+/**
+ * Reads the CRMBL_* overrides from the environment
+ * @param {Object} env - Environment variables
+ * @returns {Object} Partial configuration
+ */
+function readEnvOverrides(env) {
+  const config = {};
+
+  for (const [name, { key, type }] of Object.entries(ENV_OVERRIDES)) {
+    const raw = env[name];
+    if (raw === undefined || raw === '') {
+      continue;
+    }
+
+    let value = raw;
+    if (type === 'list') {
+      value = raw.split(',').map(item => item.trim()).filter(Boolean);
+    } else if (type === 'number') {
+      // Left as a string when it isn't a number so validation reports it
+      value = Number.isNaN(Number(raw)) ? raw : Number(raw);
+    } else if (type === 'boolean') {
+      value = { true: true, 1: true, false: false, 0: false }[raw.toLowerCase()];
+      value = value === undefined ? raw : value;
+    } else if (type === 'path' && ['false', 'off', 'none'].includes(raw.toLowerCase())) {
+      value = null;
+    }
+
+    const [section, field] = key.split('.');
+    if (field) {
+      config[section] = { ...config[section], [field]: value };
+    } else {
+      config[section] = value;
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Makes the path settings of a partial configuration absolute
+ * @param {Object} config - Partial configuration
+ * @param {string} baseDir - Directory relative paths are resolved against
+ * @returns {Object} Copy of the configuration
+ */
+function resolveConfigPaths(config, baseDir) {
+  const resolved = { ...config };
+  const resolve = value => (typeof value === 'string' && value ? path.resolve(baseDir, value) : value);
+
+  for (const key of ['rootPath', 'outputPath', 'cachePath', 'readmeTemplate']) {
+    if (key in resolved) {
+      resolved[key] = resolve(resolved[key]);
+    }
+  }
+  if (isPlainObject(resolved.coverage) && 'baseline' in resolved.coverage) {
+    resolved.coverage = { ...resolved.coverage, baseline: resolve(resolved.coverage.baseline) };
+  }
+
+  return resolved;
+}
+
+/**
+ * Merges a partial configuration over another: sections are merged key by key,
+ * everything else (arrays included) is replaced
+ * @param {Object} base - Configuration to merge into
+ * @param {Object} override - Partial configuration taking precedence
+ * @returns {Object} Merged configuration
+ */
+export function mergeConfig(base, override) {
+  const merged = { ...base, ...override };
+
+  for (const section of SECTIONS) {
+    if (!isPlainObject(base[section]) || !isPlainObject(override[section])) {
+      continue;
+    }
+    merged[section] = { ...base[section], ...override[section] };
+
+    const nested = NESTED_SECTIONS[section];
+    if (isPlainObject(base[section][nested]) && isPlainObject(override[section][nested])) {
+      merged[section][nested] = { ...base[section][nested], ...override[section][nested] };
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Checks for a plain object (not null or an array)
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether it's an object
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
 }
 
 /**
@@ -100,30 +351,280 @@ export function validateConfig(config) {
     errors.push('readmeTemplate must be a string');
   }
 
+  if (config.useGitignore !== undefined && typeof config.useGitignore !== 'boolean') {
+    errors.push('useGitignore must be a boolean');
+  }
+
+  if (config.cachePath !== undefined && config.cachePath !== null && (typeof config.cachePath !== 'string' || config.cachePath === '')) {
+    errors.push('cachePath must be a non-empty string or null');
+  }
+
+  if (config.sharded !== undefined && typeof config.sharded !== 'boolean') {
+    errors.push('sharded must be a boolean');
+  }
+
+  if (config.history !== undefined) {
+    errors.push(...validateHistoryConfig(config.history));
+  }
+
+  if (config.granularity !== undefined) {
+    errors.push(...validateGranularityConfig(config.granularity));
+  }
+
+  if (config.prompt !== undefined) {
+    errors.push(...validatePromptConfig(config.prompt));
+  }
+
+  if (config.lint !== undefined) {
+    errors.push(...validateLintConfig(config.lint));
+  }
+
+  if (config.coverage !== undefined) {
+    errors.push(...validateCoverageConfig(config.coverage));
+  }
+
+  if (config.graph !== undefined) {
+    errors.push(...validateGraphConfig(config.graph));
+  }
+
   return {
     valid: errors.length === 0,
     errors
   };
 }
 
+/**
+ * Validates the "graph" section of the configuration
+ * @param {Object} graph - Dependency graph settings
+ * @returns {string[]} Array of error messages
+ */
+function validateGraphConfig(graph) {
+  if (typeof graph !== 'object' || graph === null) {
+    return ['graph must be an object'];
+  }
+
+  if (graph.forbidden === undefined) {
+    return [];
+  }
+  if (!Array.isArray(graph.forbidden)) {
+    return ['graph.forbidden must be an array'];
+  }
+
+  const errors = [];
+  graph.forbidden.forEach((rule, idx) => {
+    for (const field of ['from', 'to']) {
+      if (!rule || typeof rule[field] !== 'string' || !rule[field]) {
+        errors.push(`graph.forbidden[${idx}].${field} must be a non-empty string`);
+      }
+    }
+    if (rule && rule.reason !== undefined && typeof rule.reason !== 'string') {
+      errors.push(`graph.forbidden[${idx}].reason must be a string`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validates the "coverage" section of the configuration
+ * @param {Object} coverage - Coverage policy
+ * @returns {string[]} Array of error messages
+ */
+function validateCoverageConfig(coverage) {
+  const errors = [];
+  const isPercentage = value => typeof value === 'number' && value >= 0 && value <= 100;
+
+  if (typeof coverage !== 'object' || coverage === null) {
+    return ['coverage must be an object'];
+  }
+
+  if (coverage.minimum !== undefined && !isPercentage(coverage.minimum)) {
+    errors.push('coverage.minimum must be a percentage between 0 and 100');
+  }
+
+  if (coverage.groupDepth !== undefined && !(Number.isInteger(coverage.groupDepth) && coverage.groupDepth > 0)) {
+    errors.push('coverage.groupDepth must be a positive integer');
+  }
+
+  if (coverage.baseline !== undefined && coverage.baseline !== null && typeof coverage.baseline !== 'string') {
+    errors.push('coverage.baseline must be a file path or null');
+  }
+
+  if (coverage.policies !== undefined) {
+    if (!Array.isArray(coverage.policies)) {
+      errors.push('coverage.policies must be an array');
+    } else {
+      coverage.policies.forEach((policy, idx) => {
+        if (!policy || typeof policy.path !== 'string' || !policy.path) {
+          errors.push(`coverage.policies[${idx}].path must be a non-empty string`);
+        }
+        if (!policy || !isPercentage(policy.minimum)) {
+          errors.push(`coverage.policies[${idx}].minimum must be a percentage between 0 and 100`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validates the "lint" section of the configuration
+ * @param {Object} lint - Lint rule settings
+ * @returns {string[]} Array of error messages
+ */
+function validateLintConfig(lint) {
+  if (typeof lint !== 'object' || lint === null) {
+    return ['lint must be an object'];
+  }
+
+  if (lint.rules === undefined) {
+    return [];
+  }
+  if (typeof lint.rules !== 'object' || lint.rules === null) {
+    return ['lint.rules must be an object'];
+  }
+
+  const errors = [];
+  for (const [rule, severity] of Object.entries(lint.rules)) {
+    if (!LINT_RULES[rule]) {
+      errors.push(`lint.rules: unknown rule "${rule}"`);
+    } else if (!SEVERITIES.includes(severity)) {
+      errors.push(`lint.rules["${rule}"] must be one of: ${SEVERITIES.join(', ')}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validates the "prompt" section of the configuration
+ * @param {Object} prompt - Prompt batching settings
+ * @returns {string[]} Array of error messages
+ */
+function validatePromptConfig(prompt) {
+  if (typeof prompt !== 'object' || prompt === null) {
+    return ['prompt must be an object'];
+  }
+
+  return ['maxTokens', 'treeDepth', 'treeEntries', 'excerptLines']
+    .filter(field => prompt[field] !== undefined && !(Number.isInteger(prompt[field]) && prompt[field] > 0))
+    .map(field => `prompt.${field} must be a positive integer`);
+}
+
+/**
+ * Validates the "granularity" section of the configuration
+ * @param {Object} granularity - Granularity rules
+ * @returns {string[]} Array of error messages
+ */
+function validateGranularityConfig(granularity) {
+  const errors = [];
+  const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+  if (typeof granularity !== 'object' || granularity === null) {
+    return ['granularity must be an object'];
+  }
+
+  if (granularity.maxDepth !== undefined && granularity.maxDepth !== null &&
+      !(Number.isInteger(granularity.maxDepth) && granularity.maxDepth > 0)) {
+    errors.push('granularity.maxDepth must be a positive integer or null');
+  }
+
+  if (granularity.minFiles !== undefined &&
+      !(Number.isInteger(granularity.minFiles) && granularity.minFiles >= 0)) {
+    errors.push('granularity.minFiles must be a non-negative integer');
+  }
+
+  for (const field of ['include', 'exclude', 'collapse', 'sourceExtensions']) {
+    if (granularity[field] !== undefined && !isStringArray(granularity[field])) {
+      errors.push(`granularity.${field} must be an array of strings`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validates the "history" section of the configuration
+ * @param {Object} history - History settings
+ * @returns {string[]} Array of error messages
+ */
+function validateHistoryConfig(history) {
+  const errors = [];
+  const isPositiveNumber = value => typeof value === 'number' && value > 0;
+
+  if (typeof history !== 'object' || history === null) {
+    return ['history must be an object'];
+  }
+
+  if (history.windows !== undefined &&
+      (!Array.isArray(history.windows) || !history.windows.every(isPositiveNumber))) {
+    errors.push('history.windows must be an array of positive day counts');
+  }
+
+  if (history.classifyWindow !== undefined && !isPositiveNumber(history.classifyWindow)) {
+    errors.push('history.classifyWindow must be a positive number of days');
+  }
+
+  if (history.thresholds !== undefined) {
+    const thresholds = history.thresholds;
+    if (typeof thresholds !== 'object' || thresholds === null ||
+        !Object.values(thresholds).every(isPositiveNumber)) {
+      errors.push('history.thresholds must map frequencies to positive commit counts');
+    } else if (thresholds['Moderate'] > thresholds['Frequently Modified']) {
+      errors.push('history.thresholds.Moderate must not exceed history.thresholds["Frequently Modified"]');
+    }
+  }
+
+  if (history.topAuthors !== undefined && !(Number.isInteger(history.topAuthors) && history.topAuthors >= 0)) {
+    errors.push('history.topAuthors must be a non-negative integer');
+  }
+
+  if (history.fillLastUpdated !== undefined && typeof history.fillLastUpdated !== 'boolean') {
+    errors.push('history.fillLastUpdated must be a boolean');
+  }
+
+  return errors;
+}
+
 /**
  * Finds the config file by walking up the directory tree
  * @param {string} startDir - Directory to start searching from
- * @returns {string|null} Path to config file or null if not found
+ * @returns {string|null} Path to the nearest config file (or package.json with a "crmbl" key), null if there is none
  */
 export function findConfig(startDir = process.cwd()) {
   let currentDir = path.resolve(startDir);
-  const root = path.parse(currentDir).root;
 
-  while (currentDir !== root) {
-    const configPath = path.join(currentDir, CONFIG_FILENAME);
+  while (true) {
+    for (const filename of CONFIG_FILENAMES) {
+      const configPath = path.join(currentDir, filename);
+      if (fs.existsSync(configPath)) {
+        return configPath;
+      }
+    }
 
-    if (fs.existsSync(configPath)) {
-      return configPath;
+    const packageJsonPath = path.join(currentDir, 'package.json');
+    if (fs.existsSync(packageJsonPath) && hasPackageConfig(packageJsonPath)) {
+      return packageJsonPath;
     }
 
-    currentDir = path.dirname(currentDir);
+    const parentDir = path.dirname(currentDir);
+    if (parentDir === currentDir) {
+      return null;
+    }
+    currentDir = parentDir;
   }
+}
 
-  return null;
+/**
+ * Checks whether a package.json carries crmbl configuration
+ * @param {string} packageJsonPath - Path to package.json
+ * @returns {boolean} Whether it has a "crmbl" key
+ */
+function hasPackageConfig(packageJsonPath) {
+  try {
+    return JSON.parse(fs.readFileSync(packageJsonPath, 'utf-8'))[PACKAGE_JSON_KEY] !== undefined;
+  } catch (error) {
+    return false;
+  }
 }
@@ -0,0 +1,269 @@
+#!/usr/bin/env node
+
+/**
+ * Breadcrumb chain export: everything an agent needs to know about a directory and its ancestors
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { estimateTokens, truncateToTokens } from './tokens.js';
+import { CrmblError, ERROR_CODES } from './errors.js';
+
+/**
+ * Turns a file or directory path into the directory key it belongs to
+ * Paths starting with "/" that aren't inside the project are treated as map keys.
+ * @param {string} rootPath - Project root
+ * @param {string} inputPath - File or directory, relative to the working directory or a map key
+ * @returns {string} Directory key such as "/src/api"
+ */
+export function resolveDirectoryKey(rootPath, inputPath) {
+  const absoluteRoot = path.resolve(rootPath);
+  const absolute = path.resolve(inputPath);
+  const insideRoot = absolute === absoluteRoot || absolute.startsWith(absoluteRoot + path.sep);
+
+  let filePath;
+  let key;
+  if (insideRoot && (!inputPath.startsWith('/') || fs.existsSync(absolute))) {
+    filePath = absolute;
+    key = '/' + path.relative(absoluteRoot, absolute).split(path.sep).join('/');
+  } else {
+    key = '/' + inputPath.replace(/^\/+/, '');
+    filePath = path.join(absoluteRoot, key);
+  }
+
+  key = key.replace(/\/+$/, '') || '/';
+  if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+    key = path.posix.dirname(key);
+  }
+  return key;
+}
+
+/**
+ * Builds the chain of map entries from the top of the hierarchy down to a directory
+ * Parents come from the `subdirectories` lists; directories nobody lists fall back to
+ * their nearest documented ancestor on disk.
+ * @param {Object} map - The crmbl-map.json content
+ * @param {string} dirPath - Directory key
+ * @returns {string[]} Directory keys, outermost first, ending with the nearest documented directory
+ */
+export function buildChain(map, dirPath) {
+  const directories = map.directories || {};
+
+  let target = dirPath;
+  while (!directories[target] && target !== '/') {
+    target = path.posix.dirname(target);
+  }
+  if (!directories[target]) {
+    throw new Error(`No entry in crmbl-map.json covers ${dirPath}`);
+  }
+
+  const parentOf = {};
+  for (const [dir, entry] of Object.entries(directories)) {
+    for (const sub of entry.subdirectories || []) {
+      if (sub !== dir && !parentOf[sub]) {
+        parentOf[sub] = dir;
+      }
+    }
+  }
+
+  const nearestAncestor = (dir) => {
+    let current = dir;
+    while (current !== '/') {
+      current = path.posix.dirname(current);
+      if (directories[current]) {
+        return current;
+      }
+    }
+    return null;
+  };
+
+  const chain = [target];
+  const seen = new Set(chain);
+  let current = target;
+
+  while (true) {
+    const parent = (directories[parentOf[current]] && parentOf[current]) || nearestAncestor(current);
+    if (!parent || seen.has(parent)) {
+      break;
+    }
+    chain.unshift(parent);
+    seen.add(parent);
+    current = parent;
+  }
+
+  return chain;
+}
+
+/**
+ * Formats a list of files or deps as markdown bullets, adding purposes for documented directories
+ * @param {string[]} items - Items to list
+ * @param {Object} directories - Map directories, used to annotate internal deps
+ * @returns {string} Markdown list
+ */
+function bulletList(items, directories = {}) {
+  return items.map(item => {
+    const entry = directories[item];
+    return entry && entry.purpose ? `- \`${item}\` - ${entry.purpose}` : `- \`${item}\``;
+  }).join('\n');
+}
+
+/**
+ * Reads a README without its title line, one heading level deeper
+ * @param {string} rootPath - Project root
+ * @param {Object} entry - Map entry
+ * @returns {string|null} README body, or null if it doesn't exist
+ */
+function readReadmeExcerpt(rootPath, entry) {
+  if (!entry.readmePath) {
+    return null;
+  }
+  try {
+    const content = fs.readFileSync(path.join(rootPath, entry.readmePath), 'utf-8');
+    // Nest the README's headings under the excerpt's own heading
+    return content.replace(/^#\s+.*\n+/, '').trim().replace(/^(#{1,5})\s/gm, '#$1 ');
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Adds blocks in order while they fit, trimming truncatable blocks that don't fit whole.
+ * Each block only gets the room left after the note for everything still outside, so
+ * the note fits whatever ends up omitted.
+ * @param {Object[]} blocks - { name, text, truncatable } in priority order
+ * @param {number} budget - Tokens available for the blocks and the omission note
+ * @param {Function} noteTokens - Cost of the omission note for a list of block names
+ * @returns {Object} { parts: texts to include, omitted: names of blocks left out }
+ */
+function fitBlocks(blocks, budget, noteTokens) {
+  const parts = [];
+  const omitted = [];
+  let used = 0;
+
+  blocks.forEach((block, index) => {
+    const pending = blocks.slice(index + 1).map(({ name }) => name);
+    const room = budget - used - noteTokens([...omitted, ...pending]);
+    const cost = estimateTokens('\n\n' + block.text);
+    if (cost <= room) {
+      parts.push(block.text);
+      used += cost;
+      return;
+    }
+
+    const partial = block.truncatable ? truncateToTokens(block.text, room - 1, '_…trimmed_') : '';
+    if (partial) {
+      parts.push(partial);
+      used += estimateTokens('\n\n' + partial);
+    } else {
+      omitted.push(block.name);
+    }
+  });
+
+  return { parts, omitted };
+}
+
+/**
+ * Footnote for the blocks that didn't fit, naming them or, when names don't fit, counting them
+ * @param {number} maxTokens - Token budget
+ * @param {string[]} omitted - Names of omitted blocks
+ * @param {boolean} named - Whether to list the names
+ * @returns {string} Markdown, '' if nothing was omitted
+ */
+function omissionNote(maxTokens, omitted, named) {
+  if (omitted.length === 0) {
+    return '';
+  }
+  const what = named ? omitted.join(', ') : `${omitted.length} ${omitted.length === 1 ? 'section' : 'sections'}`;
+  return `\n_Omitted to fit ${maxTokens} tokens: ${what}._\n`;
+}
+
+/**
+ * Renders the breadcrumb context for a path as markdown, trimmed to a token budget
+ * Blocks are added in priority order: the chain and target summary, entry points,
+ * key files, dependencies, then README excerpts from the target outwards.
+ * @param {Object} config - Configuration object
+ * @param {Object} map - The crmbl-map.json content
+ * @param {string} inputPath - File or directory to build context for
+ * @param {Object} options - { readme: boolean, maxTokens: number }
+ * @returns {Object} { target, chain, markdown, tokens, omitted }
+ * @throws {CrmblError} INVALID_OPTION when the chain and target summary alone exceed maxTokens
+ */
+export function buildContext(config, map, inputPath, options = {}) {
+  const directories = map.directories || {};
+  const requested = resolveDirectoryKey(config.rootPath, inputPath);
+  const chain = buildChain(map, requested);
+  const target = chain[chain.length - 1];
+  const entry = directories[target];
+
+  const crumbs = chain.map((dir, depth) => {
+    const purpose = directories[dir].purpose ? ` - ${directories[dir].purpose}` : '';
+    return `${'  '.repeat(depth)}- \`${dir}\`${purpose}`;
+  }).join('\n');
+
+  const facts = [
+    entry.complexity !== undefined ? `**Complexity:** ${entry.complexity}/5` : null,
+    entry.changeFrequency ? `**Change Frequency:** ${entry.changeFrequency}` : null,
+    entry.package ? `**Package:** ${entry.package.name}` : null
+  ].filter(Boolean).join(' · ');
+
+  const header = [
+    `# Context: ${requested}`,
+    requested !== target ? `\n_${requested} is not documented; showing its nearest documented directory ${target}._` : null,
+    '\n## Breadcrumbs\n',
+    crumbs,
+    `\n## ${target}\n`,
+    entry.purpose || '_No purpose recorded._',
+    facts ? `\n${facts}` : null
+  ].filter(item => item !== null).join('\n');
+
+  const blocks = [];
+  if ((entry.entryPoints || []).length > 0) {
+    blocks.push({ name: 'entry points', text: `### Entry Points\n\n${bulletList(entry.entryPoints)}` });
+  }
+  if ((entry.keyFiles || []).length > 0) {
+    const rows = entry.keyFiles.map(({ file, description }) => `| \`${file}\` | ${description} |`);
+    blocks.push({
+      name: 'key files',
+      text: ['### Key Files', '', '| File | Description |', '|------|-------------|', ...rows].join('\n'),
+      truncatable: true
+    });
+  }
+  if ((entry.internalDeps || []).length > 0) {
+    blocks.push({ name: 'internal dependencies', text: `### Internal Dependencies\n\n${bulletList(entry.internalDeps, directories)}` });
+  }
+  if ((entry.externalDeps || []).length > 0) {
+    blocks.push({ name: 'external dependencies', text: `### External Dependencies\n\n${bulletList(entry.externalDeps)}` });
+  }
+
+  if (options.readme) {
+    for (const dir of [...chain].reverse()) {
+      const excerpt = readReadmeExcerpt(config.rootPath, directories[dir]);
+      if (excerpt) {
+        blocks.push({
+          name: `README for ${dir}`,
+          text: `## README: ${directories[dir].readmePath}\n\n${excerpt}`,
+          truncatable: true
+        });
+      }
+    }
+  }
+
+  const maxTokens = options.maxTokens || Infinity;
+  const headerTokens = estimateTokens(header + '\n');
+  const allNames = blocks.map(({ name }) => name);
+
+  // The omission note counts against the budget; it lists names when it can afford to
+  const named = headerTokens + estimateTokens(omissionNote(maxTokens, allNames, true)) <= maxTokens;
+  const noteTokens = names => estimateTokens(omissionNote(maxTokens, names, named));
+
+  if (headerTokens + noteTokens(allNames) > maxTokens) {
+    throw new CrmblError(`Context for ${target} doesn't fit in ${maxTokens} tokens`, ERROR_CODES.INVALID_OPTION, [
+      `The breadcrumb chain and target summary need at least ~${headerTokens + noteTokens(allNames)} tokens`
+    ]);
+  }
+
+  const { parts, omitted } = fitBlocks(blocks, maxTokens - headerTokens, noteTokens);
+  const markdown = [header, ...parts].join('\n\n') + '\n' + omissionNote(maxTokens, omitted, named);
+
+  return { target, chain, markdown, tokens: estimateTokens(markdown), omitted };
+}
@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+
+/**
+ * Documentation coverage: how many documentable directories have a map entry and a README,
+ * checked against minimums, path-scoped policies and a committed baseline
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { applyGranularity, isUnderPattern } from './granularity.js';
+
+/**
+ * Default coverage policy, overridable via the "coverage" config key
+ */
+export const DEFAULT_COVERAGE_CONFIG = {
+  minimum: 0,
+  groupDepth: 1,
+  policies: [],
+  baseline: null
+};
+
+/**
+ * Computes a percentage rounded to one decimal, counting an empty set as fully covered
+ * @param {number} documented - Documented directories
+ * @param {number} total - All directories
+ * @returns {number} Percentage between 0 and 100
+ */
+function percentage(documented, total) {
+  return total === 0 ? 100 : Math.round((documented / total) * 1000) / 10;
+}
+
+/**
+ * Summarizes a set of directories
+ * @param {string[]} dirs - Directory keys
+ * @param {Set<string>} documentedSet - Directories that are documented
+ * @returns {Object} { total, documented, percent, undocumented }
+ */
+function summarize(dirs, documentedSet) {
+  const undocumented = dirs.filter(dir => !documentedSet.has(dir));
+  const documented = dirs.length - undocumented.length;
+  return { total: dirs.length, documented, percent: percentage(documented, dirs.length), undocumented };
+}
+
+/**
+ * Measures documentation coverage of the directories on disk
+ * @param {Object} config - Configuration object
+ * @param {Object} map - The crmbl-map.json content
+ * @param {string[]} dirs - Directory keys found on disk (e.g. from findAllDirectories)
+ * @returns {Object} Overall { total, documented, percent, undocumented } plus groups and policies
+ */
+export function measureCoverage(config, map, dirs) {
+  const { rootPath } = config;
+  const settings = { ...DEFAULT_COVERAGE_CONFIG, ...config.coverage };
+  const directories = map.directories || {};
+
+  // Directories the granularity rules roll up don't need their own README
+  const { documentable } = applyGranularity(rootPath, dirs, config.granularity);
+  const documentedSet = new Set(documentable.filter(dir => {
+    const entry = directories[dir];
+    return entry && entry.readmePath && fs.existsSync(path.join(rootPath, entry.readmePath));
+  }));
+
+  const groupDirs = new Map();
+  for (const dir of documentable) {
+    const prefix = '/' + dir.split('/').filter(Boolean).slice(0, settings.groupDepth).join('/');
+    if (!groupDirs.has(prefix)) {
+      groupDirs.set(prefix, []);
+    }
+    groupDirs.get(prefix).push(dir);
+  }
+
+  return {
+    ...summarize(documentable, documentedSet),
+    groups: [...groupDirs.keys()].sort().map(prefix => ({ prefix, ...summarize(groupDirs.get(prefix), documentedSet) })),
+    policies: settings.policies.map(policy => ({
+      path: policy.path,
+      minimum: policy.minimum,
+      ...summarize(documentable.filter(dir => isUnderPattern(dir, policy.path)), documentedSet)
+    }))
+  };
+}
+
+/**
+ * Reduces coverage to the percentages stored in a baseline file
+ * @param {Object} coverage - Result of measureCoverage
+ * @returns {Object} { overall, groups: { prefix: percent }, policies: { path: percent } }
+ */
+export function createBaseline(coverage) {
+  return {
+    overall: coverage.percent,
+    groups: Object.fromEntries(coverage.groups.map(group => [group.prefix, group.percent])),
+    policies: Object.fromEntries(coverage.policies.map(policy => [policy.path, policy.percent]))
+  };
+}
+
+/**
+ * Reads a coverage baseline file
+ * @param {string} baselinePath - Path to the baseline JSON
+ * @returns {Object|null} Baseline, or null if the file doesn't exist yet
+ */
+export function readBaseline(baselinePath) {
+  if (!fs.existsSync(baselinePath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(baselinePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not read coverage baseline ${baselinePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Writes the current coverage as the new baseline
+ * @param {string} baselinePath - Path to the baseline JSON
+ * @param {Object} coverage - Result of measureCoverage
+ */
+export function writeBaseline(baselinePath, coverage) {
+  fs.writeFileSync(baselinePath, JSON.stringify(createBaseline(coverage), null, 2) + '\n', 'utf-8');
+}
+
+/**
+ * Checks coverage against the configured minimums and the baseline
+ * @param {Object} coverage - Result of measureCoverage
+ * @param {Object} settings - "coverage" section of the config
+ * @param {Object|null} baseline - Result of readBaseline
+ * @returns {Object[]} Failures with rule, scope, directories and message
+ */
+export function checkCoverage(coverage, settings = {}, baseline = null) {
+  const { minimum } = { ...DEFAULT_COVERAGE_CONFIG, ...settings };
+  const failures = [];
+
+  if (coverage.percent < minimum) {
+    failures.push({
+      rule: 'coverage-minimum',
+      scope: '/',
+      directories: coverage.undocumented,
+      message: `Documentation coverage is ${coverage.percent}%, below the minimum of ${minimum}%`
+    });
+  }
+
+  for (const policy of coverage.policies) {
+    if (policy.percent < policy.minimum) {
+      failures.push({
+        rule: 'coverage-policy',
+        scope: policy.path,
+        directories: policy.undocumented,
+        message: `Coverage of ${policy.path} is ${policy.percent}%, below its minimum of ${policy.minimum}%`
+      });
+    }
+  }
+
+  if (baseline) {
+    if (typeof baseline.overall === 'number' && coverage.percent < baseline.overall) {
+      failures.push({
+        rule: 'coverage-regression',
+        scope: '/',
+        directories: coverage.undocumented,
+        message: `Documentation coverage dropped from ${baseline.overall}% to ${coverage.percent}%`
+      });
+    }
+
+    const scopes = [
+      ...coverage.groups.map(group => ({ scope: group.prefix, current: group, previous: (baseline.groups || {})[group.prefix] })),
+      ...coverage.policies.map(policy => ({ scope: policy.path, current: policy, previous: (baseline.policies || {})[policy.path] }))
+    ];
+    for (const { scope, current, previous } of scopes) {
+      if (typeof previous === 'number' && current.percent < previous) {
+        failures.push({
+          rule: 'coverage-regression',
+          scope,
+          directories: current.undocumented,
+          message: `Coverage of ${scope} dropped from ${previous}% to ${current.percent}%`
+        });
+      }
+    }
+  }
+
+  return failures;
+}
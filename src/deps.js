@@ -0,0 +1,338 @@
+#!/usr/bin/env node
+
+/**
+ * Static dependency detection for JS/TS source files
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { builtinModules } from 'module';
+
+/**
+ * File extensions that are parsed for import statements
+ */
+export const SOURCE_EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.mts', '.cts'];
+
+const RESOLVE_EXTENSIONS = ['', ...SOURCE_EXTENSIONS, '.json'];
+
+// Strings are matched first so comment markers inside them ("src/*", "http://") are kept
+const COMMENT_PATTERN = /('(?:\\.|[^'\\\n])*'|"(?:\\.|[^"\\\n])*"|`(?:\\.|[^`\\])*`)|\/\*[\s\S]*?\*\/|\/\/.*$/gm;
+
+const IMPORT_PATTERNS = [
+  // import x from 'y', import { x } from 'y', export { x } from 'y', export * from 'y'
+  /\b(?:import|export)\s+(?:type\s+)?[^'"`;]*?\bfrom\s*['"]([^'"\n]+)['"]/g,
+  // import 'y'
+  /\bimport\s*['"]([^'"\n]+)['"]/g,
+  // import('y')
+  /\bimport\s*\(\s*['"]([^'"\n]+)['"]\s*\)/g,
+  // require('y')
+  /\brequire\s*\(\s*['"]([^'"\n]+)['"]\s*\)/g
+];
+
+/**
+ * Extracts module specifiers from source code
+ * @param {string} source - File contents
+ * @returns {string[]} Unique specifiers in order of appearance
+ */
+export function extractImports(source) {
+  const stripped = source.replace(COMMENT_PATTERN, (match, str) => str || '');
+
+  const found = [];
+  for (const pattern of IMPORT_PATTERNS) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(stripped)) !== null) {
+      found.push({ index: match.index, specifier: match[1] });
+    }
+  }
+
+  found.sort((a, b) => a.index - b.index);
+  return [...new Set(found.map(f => f.specifier))];
+}
+
+/**
+ * Reads tsconfig.json path aliases for the project
+ * @param {string} rootPath - Project root
+ * @param {string[]} warnings - Collects config files that couldn't be read
+ * @returns {Object} Alias context with baseUrl (absolute) and paths
+ */
+export function loadPathAliases(rootPath, warnings = []) {
+  const absoluteRoot = path.resolve(rootPath);
+  const candidates = ['tsconfig.json', 'jsconfig.json'];
+
+  for (const name of candidates) {
+    const configPath = path.join(absoluteRoot, name);
+    if (!fs.existsSync(configPath)) {
+      continue;
+    }
+
+    try {
+      const content = fs.readFileSync(configPath, 'utf-8');
+      const tsconfig = JSON.parse(stripJsonComments(content));
+      const options = tsconfig.compilerOptions || {};
+      const baseUrl = options.baseUrl ? path.resolve(absoluteRoot, options.baseUrl) : null;
+
+      return {
+        baseUrl,
+        paths: options.paths || {},
+        pathsBase: baseUrl || absoluteRoot
+      };
+    } catch (error) {
+      warnings.push(`Could not read ${configPath}: ${error.message}`);
+    }
+  }
+
+  return { baseUrl: null, paths: {}, pathsBase: absoluteRoot };
+}
+
+/**
+ * Removes comments and trailing commas so tsconfig files parse as JSON
+ * @param {string} content - Raw tsconfig contents
+ * @returns {string} Parseable JSON
+ */
+function stripJsonComments(content) {
+  return content
+    .replace(COMMENT_PATTERN, (match, str) => str || '')
+    .replace(/,(\s*[}\]])/g, '$1');
+}
+
+/**
+ * Returns the npm package name for a bare specifier
+ * @param {string} specifier - Bare module specifier
+ * @returns {string} Package name (including scope)
+ */
+export function packageName(specifier) {
+  const parts = specifier.split('/');
+  if (specifier.startsWith('@') && parts.length > 1) {
+    return `${parts[0]}/${parts[1]}`;
+  }
+  return parts[0];
+}
+
+/**
+ * Checks whether a specifier refers to a Node.js builtin module
+ * @param {string} specifier - Module specifier
+ * @returns {boolean} True for builtins
+ */
+function isBuiltin(specifier) {
+  if (specifier.startsWith('node:')) {
+    return true;
+  }
+  return builtinModules.includes(packageName(specifier));
+}
+
+/**
+ * Matches a specifier against tsconfig paths and returns candidate targets
+ * @param {string} specifier - Module specifier
+ * @param {Object} aliases - Alias context from loadPathAliases
+ * @returns {string[]|null} Absolute candidate paths or null if no alias matched
+ */
+function matchAlias(specifier, aliases) {
+  for (const [pattern, targets] of Object.entries(aliases.paths)) {
+    const starIndex = pattern.indexOf('*');
+    let captured = null;
+
+    if (starIndex === -1) {
+      if (specifier === pattern) {
+        captured = '';
+      }
+    } else {
+      const prefix = pattern.slice(0, starIndex);
+      const suffix = pattern.slice(starIndex + 1);
+      if (specifier.startsWith(prefix) && specifier.endsWith(suffix) &&
+          specifier.length >= prefix.length + suffix.length) {
+        captured = specifier.slice(prefix.length, specifier.length - suffix.length);
+      }
+    }
+
+    if (captured !== null) {
+      return targets.map(target => path.resolve(aliases.pathsBase, target.replace('*', captured)));
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Finds the directory a resolved import target lives in
+ * @param {string} target - Absolute path the import points at (may lack an extension)
+ * @returns {string|null} Absolute directory, or null if nothing exists there
+ */
+function targetDirectory(target) {
+  for (const ext of RESOLVE_EXTENSIONS) {
+    const candidate = target + ext;
+    try {
+      const stats = fs.statSync(candidate);
+      return stats.isDirectory() ? candidate : path.dirname(candidate);
+    } catch (err) {
+      continue;
+    }
+  }
+  return null;
+}
+
+/**
+ * Converts an absolute path into a map directory key
+ * @param {string} absoluteRoot - Absolute project root
+ * @param {string} absoluteDir - Absolute directory path
+ * @returns {string|null} Key like "/src/api", or null if outside the root
+ */
+function toDirectoryKey(absoluteRoot, absoluteDir) {
+  const relative = path.relative(absoluteRoot, absoluteDir);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    return null;
+  }
+  return '/' + relative.split(path.sep).join('/');
+}
+
+/**
+ * Classifies a single specifier as an internal directory or external package
+ * @param {string} specifier - Module specifier
+ * @param {string} fromFile - Absolute path of the importing file
+ * @param {Object} context - Context with absoluteRoot and aliases
+ * @returns {Object|null} { type: 'internal', dir } or { type: 'external', name }, null if ignored
+ */
+export function resolveSpecifier(specifier, fromFile, context) {
+  const { absoluteRoot, aliases } = context;
+
+  if (specifier.startsWith('.') || specifier.startsWith('/')) {
+    const target = specifier.startsWith('/')
+      ? path.join(absoluteRoot, specifier)
+      : path.resolve(path.dirname(fromFile), specifier);
+    const dir = targetDirectory(target) || path.dirname(target);
+    const key = toDirectoryKey(absoluteRoot, dir);
+    return key ? { type: 'internal', dir: key } : null;
+  }
+
+  // URLs, data: imports and package.json "imports" subpaths are not tracked
+  if (/^[a-z]+:/i.test(specifier) && !specifier.startsWith('node:')) {
+    return null;
+  }
+  if (specifier.startsWith('#')) {
+    return null;
+  }
+
+  const aliasTargets = matchAlias(specifier, aliases);
+  if (aliasTargets) {
+    for (const target of aliasTargets) {
+      const dir = targetDirectory(target);
+      if (dir) {
+        const key = toDirectoryKey(absoluteRoot, dir);
+        return key ? { type: 'internal', dir: key } : null;
+      }
+    }
+    const key = toDirectoryKey(absoluteRoot, path.dirname(aliasTargets[0]));
+    return key ? { type: 'internal', dir: key } : null;
+  }
+
+  if (isBuiltin(specifier)) {
+    return null;
+  }
+
+  if (aliases.baseUrl) {
+    const dir = targetDirectory(path.resolve(aliases.baseUrl, specifier));
+    if (dir) {
+      const key = toDirectoryKey(absoluteRoot, dir);
+      if (key) {
+        return { type: 'internal', dir: key };
+      }
+    }
+  }
+
+  return { type: 'external', name: packageName(specifier) };
+}
+
+/**
+ * Detects the dependencies of a single directory from the source files directly inside it
+ * @param {string} dirPath - Directory key (e.g. "/src/api")
+ * @param {Object} context - Context with absoluteRoot and aliases
+ * @returns {Object} Sorted internalDeps and externalDeps arrays
+ */
+export function analyzeDirectory(dirPath, context) {
+  const absoluteDir = path.join(context.absoluteRoot, dirPath);
+  const internal = new Set();
+  const external = new Set();
+
+  let entries;
+  try {
+    entries = fs.readdirSync(absoluteDir, { withFileTypes: true });
+  } catch (err) {
+    return { internalDeps: [], externalDeps: [] };
+  }
+
+  for (const entry of entries) {
+    if (!entry.isFile() || !SOURCE_EXTENSIONS.includes(path.extname(entry.name))) {
+      continue;
+    }
+
+    const filePath = path.join(absoluteDir, entry.name);
+    let source;
+    try {
+      source = fs.readFileSync(filePath, 'utf-8');
+    } catch (err) {
+      continue;
+    }
+
+    for (const specifier of extractImports(source)) {
+      const resolved = resolveSpecifier(specifier, filePath, context);
+      if (!resolved) {
+        continue;
+      }
+      if (resolved.type === 'internal') {
+        if (resolved.dir !== dirPath) {
+          internal.add(resolved.dir);
+        }
+      } else {
+        external.add(resolved.name);
+      }
+    }
+  }
+
+  return {
+    internalDeps: Array.from(internal).sort(),
+    externalDeps: Array.from(external).sort()
+  };
+}
+
+/**
+ * Detects dependencies for a list of directories
+ * @param {string} rootPath - Project root
+ * @param {string[]} dirs - Directory keys to analyze
+ * @param {string[]} warnings - Collects problems that didn't stop detection, such as an unreadable tsconfig.json
+ * @returns {Object} Map of directory key to { internalDeps, externalDeps }
+ */
+export function detectDependencies(rootPath, dirs, warnings = []) {
+  const context = {
+    absoluteRoot: path.resolve(rootPath),
+    aliases: loadPathAliases(rootPath, warnings)
+  };
+
+  const detected = {};
+  for (const dir of dirs) {
+    detected[dir] = analyzeDirectory(dir, context);
+  }
+  return detected;
+}
+
+/**
+ * Compares declared dependencies in a map entry with detected ones
+ * @param {Object} declared - Map entry with internalDeps/externalDeps
+ * @param {Object} detected - Detected { internalDeps, externalDeps }
+ * @returns {Object|null} Differences, or null if they agree
+ */
+export function compareDependencies(declared, detected) {
+  const diff = (a = [], b = []) => {
+    const other = new Set(b);
+    return a.filter(item => !other.has(item)).sort();
+  };
+
+  const result = {
+    undeclaredInternal: diff(detected.internalDeps, declared.internalDeps),
+    unusedInternal: diff(declared.internalDeps, detected.internalDeps),
+    undeclaredExternal: diff(detected.externalDeps, declared.externalDeps),
+    unusedExternal: diff(declared.externalDeps, detected.externalDeps)
+  };
+
+  const hasDifferences = Object.values(result).some(list => list.length > 0);
+  return hasDifferences ? result : null;
+}
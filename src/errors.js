@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+
+/**
+ * Error type shared by the library modules, re-exported from api.js
+ */
+
+/**
+ * Error codes carried by CrmblError
+ */
+export const ERROR_CODES = {
+  CONFIG_NOT_FOUND: 'CONFIG_NOT_FOUND',
+  CONFIG_INVALID: 'CONFIG_INVALID',
+  MAP_NOT_FOUND: 'MAP_NOT_FOUND',
+  MAP_INVALID: 'MAP_INVALID',
+  INVALID_OPTION: 'INVALID_OPTION'
+};
+
+/**
+ * Error raised for bad input (config, map or options), with the individual problems in details
+ */
+export class CrmblError extends Error {
+  constructor(message, code, details = []) {
+    super(message);
+    this.name = 'CrmblError';
+    this.code = code;
+    this.details = details;
+  }
+}
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+/**
+ * Content fingerprints used to detect directories whose code changed after documentation
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const HASH_LENGTH = 12;
+
+/**
+ * Hashes a string or buffer and truncates it to keep the map compact
+ * @param {string|Buffer} data - Data to hash
+ * @returns {string} Short hex digest
+ */
+function shortHash(data) {
+  return crypto.createHash('sha1').update(data).digest('hex').slice(0, HASH_LENGTH);
+}
+
+/**
+ * Hash recorded for an empty file
+ */
+export const EMPTY_FILE_HASH = shortHash('');
+
+/**
+ * Computes a fingerprint of the files directly inside a directory
+ * Subdirectories are fingerprinted separately, and the directory's own README is
+ * skipped so that documentation edits don't mark the directory as stale.
+ * @param {string} rootPath - Project root
+ * @param {string} dirPath - Directory key (e.g. "/src/api")
+ * @param {string} readmePath - README path to exclude (defaults to README.md in the directory)
+ * @returns {Object|null} Fingerprint with hash and per-file hashes, or null if unreadable
+ */
+export function fingerprintDirectory(rootPath, dirPath, readmePath) {
+  const absoluteDir = path.join(rootPath, dirPath);
+  const readmeName = readmePath && path.posix.dirname(readmePath) === dirPath
+    ? path.posix.basename(readmePath)
+    : 'README.md';
+
+  let entries;
+  try {
+    entries = fs.readdirSync(absoluteDir, { withFileTypes: true });
+  } catch (err) {
+    return null;
+  }
+
+  const files = {};
+  const names = entries
+    .filter(entry => entry.isFile() && entry.name !== readmeName)
+    .map(entry => entry.name)
+    .sort();
+
+  for (const name of names) {
+    try {
+      files[name] = shortHash(fs.readFileSync(path.join(absoluteDir, name)));
+    } catch (err) {
+      continue;
+    }
+  }
+
+  const summary = Object.entries(files).map(([name, hash]) => `${name}:${hash}`).join('\n');
+
+  return {
+    hash: shortHash(summary),
+    files
+  };
+}
+
+/**
+ * Describes how a directory changed between two fingerprints
+ * @param {Object} previous - Fingerprint recorded in the map
+ * @param {Object} current - Freshly computed fingerprint
+ * @returns {Object|null} Added, removed and modified file names, or null if unchanged
+ */
+export function diffFingerprints(previous, current) {
+  if (previous.hash === current.hash) {
+    return null;
+  }
+
+  const before = previous.files || {};
+  const after = current.files || {};
+
+  const added = Object.keys(after).filter(name => !(name in before)).sort();
+  const removed = Object.keys(before).filter(name => !(name in after)).sort();
+  const modified = Object.keys(after)
+    .filter(name => name in before && before[name] !== after[name])
+    .sort();
+
+  return { added, removed, modified };
+}
+
+/**
+ * Formats a fingerprint diff as a short human-readable reason
+ * @param {Object} diff - Result of diffFingerprints
+ * @returns {string} Reason such as "files added: a.ts; files modified: b.ts"
+ */
+export function describeStaleness(diff) {
+  const parts = [];
+  if (diff.added.length > 0) {
+    parts.push(`files added: ${diff.added.join(', ')}`);
+  }
+  if (diff.removed.length > 0) {
+    parts.push(`files removed: ${diff.removed.join(', ')}`);
+  }
+  if (diff.modified.length > 0) {
+    parts.push(`files modified: ${diff.modified.join(', ')}`);
+  }
+  return parts.join('; ') || 'contents changed';
+}
+
+/**
+ * Checks whether an entry's fingerprint was recorded after its documentation was last updated
+ * @param {Object} entry - Map directory entry
+ * @returns {boolean} True if the fingerprint can be compared against current contents
+ */
+export function hasCurrentFingerprint(entry) {
+  if (!entry.fingerprint || !entry.fingerprint.recordedAt) {
+    return false;
+  }
+  if (!entry.lastUpdated) {
+    return true;
+  }
+  return Date.parse(entry.lastUpdated) <= Date.parse(entry.fingerprint.recordedAt);
+}
+
+/**
+ * Records current fingerprints on map entries
+ * Recording a fingerprint doesn't count as a documentation update, so lastUpdated is kept.
+ * @param {string} rootPath - Project root
+ * @param {Object} map - The crmbl-map.json content (modified in place)
+ * @param {string[]} dirs - Directory keys to fingerprint (defaults to every entry)
+ * @returns {string[]} Directories whose fingerprint was recorded
+ */
+export function recordFingerprints(rootPath, map, dirs = Object.keys(map.directories)) {
+  const recorded = [];
+  const recordedAt = new Date().toISOString();
+
+  for (const dirPath of dirs) {
+    const entry = map.directories[dirPath];
+    if (!entry) {
+      continue;
+    }
+
+    const fingerprint = fingerprintDirectory(rootPath, dirPath, entry.readmePath);
+    if (fingerprint) {
+      entry.fingerprint = { ...fingerprint, recordedAt };
+      recorded.push(dirPath);
+    }
+  }
+
+  return recorded;
+}
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+/**
+ * Rules deciding which directories are worth documenting on their own
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { minimatch } from 'minimatch';
+
+/**
+ * Default granularity rules, overridable via the "granularity" config key
+ */
+export const DEFAULT_GRANULARITY_CONFIG = {
+  maxDepth: null,
+  minFiles: 0,
+  include: [],
+  exclude: [],
+  collapse: ['**/__tests__', '**/__mocks__', '**/__snapshots__', '**/__fixtures__', '**/fixtures'],
+  sourceExtensions: [
+    '.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.mts', '.cts', '.vue', '.svelte',
+    '.py', '.rb', '.go', '.rs', '.java', '.kt', '.scala', '.swift', '.php', '.cs',
+    '.c', '.h', '.cc', '.cpp', '.hpp', '.m', '.sh', '.sql', '.graphql', '.proto'
+  ]
+};
+
+/**
+ * Merges user rules with the defaults
+ * @param {Object} rules - Granularity config
+ * @returns {Object} Complete rules
+ */
+function withDefaults(rules = {}) {
+  return { ...DEFAULT_GRANULARITY_CONFIG, ...rules };
+}
+
+/**
+ * Checks a directory key against glob patterns (matched without the leading slash)
+ * @param {string} dirPath - Directory key like "/src/api"
+ * @param {string[]} patterns - Glob patterns
+ * @returns {string|null} The first matching pattern, or null
+ */
+function matchPattern(dirPath, patterns) {
+  const relative = dirPath.replace(/^\//, '');
+  return patterns.find(pattern => minimatch(relative, pattern.replace(/^\//, ''), { dot: true })) || null;
+}
+
+/**
+ * Checks whether a directory or one of its ancestors matches a glob (matched without the leading slash)
+ * @param {string} dirPath - Directory key like "/packages/api/src/routes"
+ * @param {string} pattern - Glob pattern like "packages/*\/src"
+ * @returns {boolean} True if the directory falls under the pattern
+ */
+export function isUnderPattern(dirPath, pattern) {
+  const segments = dirPath.split('/').filter(Boolean);
+  const glob = pattern.replace(/^\//, '').replace(/\/$/, '');
+  for (let i = segments.length; i > 0; i--) {
+    if (minimatch(segments.slice(0, i).join('/'), glob, { dot: true })) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Counts source files directly inside a directory
+ * @param {string} rootPath - Project root
+ * @param {string} dirPath - Directory key
+ * @param {string[]} extensions - Extensions that count as source files
+ * @returns {number} Number of source files
+ */
+export function countSourceFiles(rootPath, dirPath, extensions) {
+  try {
+    return fs.readdirSync(path.join(rootPath, dirPath), { withFileTypes: true })
+      .filter(entry => entry.isFile() && extensions.includes(path.extname(entry.name)))
+      .length;
+  } catch (err) {
+    return 0;
+  }
+}
+
+/**
+ * Decides whether a directory should be documented on its own
+ * @param {string} rootPath - Project root
+ * @param {string} dirPath - Directory key
+ * @param {Object} rules - Granularity config
+ * @returns {Object} { documentable, reason } where reason explains a rejection
+ */
+export function evaluateDirectory(rootPath, dirPath, rules) {
+  const settings = withDefaults(rules);
+  const segments = dirPath.split('/').filter(Boolean);
+
+  // A collapsed directory takes its whole subtree with it
+  for (let i = segments.length; i > 0; i--) {
+    const ancestor = '/' + segments.slice(0, i).join('/');
+    const pattern = matchPattern(ancestor, settings.collapse);
+    if (pattern) {
+      return { documentable: false, reason: `collapsed into parent by "${pattern}"` };
+    }
+  }
+
+  if (settings.maxDepth && segments.length > settings.maxDepth) {
+    return { documentable: false, reason: `deeper than maxDepth ${settings.maxDepth}` };
+  }
+
+  if (settings.include.length > 0 && !matchPattern(dirPath, settings.include)) {
+    return { documentable: false, reason: 'not matched by any include pattern' };
+  }
+
+  const excluded = matchPattern(dirPath, settings.exclude);
+  if (excluded) {
+    return { documentable: false, reason: `excluded by "${excluded}"` };
+  }
+
+  if (settings.minFiles > 0) {
+    const count = countSourceFiles(rootPath, dirPath, settings.sourceExtensions);
+    if (count < settings.minFiles) {
+      return { documentable: false, reason: `${count} source files, fewer than minFiles ${settings.minFiles}` };
+    }
+  }
+
+  return { documentable: true, reason: null };
+}
+
+/**
+ * Splits directories into documentable ones and ones rolled up into an ancestor
+ * @param {string} rootPath - Project root
+ * @param {string[]} dirs - Directory keys
+ * @param {Object} rules - Granularity config
+ * @returns {Object} { documentable, collapsed } where collapsed maps a key to { into, reason }
+ */
+export function applyGranularity(rootPath, dirs, rules) {
+  const verdicts = {};
+  for (const dir of dirs) {
+    verdicts[dir] = evaluateDirectory(rootPath, dir, rules);
+  }
+
+  const documentable = dirs.filter(dir => verdicts[dir].documentable);
+  const documentableSet = new Set(documentable);
+  const collapsed = {};
+
+  for (const dir of dirs) {
+    if (verdicts[dir].documentable) {
+      continue;
+    }
+
+    // Roll up into the nearest ancestor that is documented on its own
+    let into = null;
+    let parent = path.posix.dirname(dir);
+    while (parent !== '/' && parent !== '.') {
+      if (documentableSet.has(parent)) {
+        into = parent;
+        break;
+      }
+      parent = path.posix.dirname(parent);
+    }
+
+    collapsed[dir] = { into, reason: verdicts[dir].reason };
+  }
+
+  return { documentable, collapsed };
+}
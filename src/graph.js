@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+
+/**
+ * The internal dependency graph recorded in crmbl-map.json: rendering, cycles and layering rules
+ */
+
+import { isUnderPattern } from './granularity.js';
+import { isWithin } from './workspaces.js';
+
+export const GRAPH_FORMATS = ['mermaid', 'dot', 'json'];
+
+/**
+ * Default graph settings, overridable via the "graph" config key
+ */
+export const DEFAULT_GRAPH_CONFIG = {
+  forbidden: []
+};
+
+/**
+ * Builds the graph of internalDeps between map entries
+ * @param {Object} map - The crmbl-map.json content
+ * @param {Object} options - { root: only include this subtree, depth: collapse directories deeper than this below the root }
+ * @returns {Object} { nodes: string[], edges: Object } where edges maps a node to the nodes it depends on
+ */
+export function buildGraph(map, options = {}) {
+  const root = options.root && options.root !== '/' ? options.root.replace(/\/+$/, '') : '/';
+  const rootDepth = root === '/' ? 0 : root.split('/').filter(Boolean).length;
+  const inScope = dir => root === '/' || isWithin(dir, root);
+
+  // Directories below the depth limit are drawn as their ancestor at the limit
+  const nodeFor = (dir) => {
+    if (!options.depth) {
+      return dir;
+    }
+    const segments = dir.split('/').filter(Boolean);
+    return '/' + segments.slice(0, rootDepth + options.depth).join('/');
+  };
+
+  const nodes = new Set();
+  const edges = {};
+
+  for (const [dir, entry] of Object.entries(map.directories || {})) {
+    if (!inScope(dir)) {
+      continue;
+    }
+
+    const from = nodeFor(dir);
+    nodes.add(from);
+    edges[from] = edges[from] || new Set();
+
+    for (const dep of entry.internalDeps || []) {
+      if (!inScope(dep)) {
+        continue;
+      }
+      const to = nodeFor(dep);
+      nodes.add(to);
+      if (to !== from || !options.depth) {
+        edges[from].add(to);
+      }
+    }
+  }
+
+  return {
+    nodes: [...nodes].sort(),
+    edges: Object.fromEntries([...nodes].sort().map(node => [node, [...(edges[node] || [])].sort()]))
+  };
+}
+
+/**
+ * Finds dependency cycles, one per strongly connected component
+ * @param {Object} graph - Result of buildGraph
+ * @returns {string[][]} Cycles as node paths that end where they start, e.g. ['/a', '/b', '/a']
+ */
+export function findCycles(graph) {
+  // Tarjan's algorithm, iterating nodes in sorted order for stable output
+  let index = 0;
+  const indexes = new Map();
+  const lowlinks = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+
+  const connect = (node) => {
+    indexes.set(node, index);
+    lowlinks.set(node, index);
+    index++;
+    stack.push(node);
+    onStack.add(node);
+
+    for (const next of graph.edges[node] || []) {
+      if (!indexes.has(next)) {
+        connect(next);
+        lowlinks.set(node, Math.min(lowlinks.get(node), lowlinks.get(next)));
+      } else if (onStack.has(next)) {
+        lowlinks.set(node, Math.min(lowlinks.get(node), indexes.get(next)));
+      }
+    }
+
+    if (lowlinks.get(node) === indexes.get(node)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== node);
+      components.push(component);
+    }
+  };
+
+  for (const node of graph.nodes) {
+    if (!indexes.has(node)) {
+      connect(node);
+    }
+  }
+
+  return components
+    .filter(component => component.length > 1 || (graph.edges[component[0]] || []).includes(component[0]))
+    .map(component => cyclePath(graph, component.sort()))
+    .sort((a, b) => a[0].localeCompare(b[0]));
+}
+
+/**
+ * Walks one cycle through a strongly connected component, starting at its first node
+ * @param {Object} graph - Result of buildGraph
+ * @param {string[]} component - Nodes of the component, sorted
+ * @returns {string[]} Path that ends at its first node
+ */
+function cyclePath(graph, component) {
+  const members = new Set(component);
+  const start = component[0];
+  const visited = new Set();
+
+  const walk = (node, trail) => {
+    for (const next of graph.edges[node] || []) {
+      if (next === start) {
+        return [...trail, start];
+      }
+      if (members.has(next) && !visited.has(next)) {
+        visited.add(next);
+        const found = walk(next, [...trail, next]);
+        if (found) {
+          return found;
+        }
+      }
+    }
+    return null;
+  };
+
+  return walk(start, [start]);
+}
+
+/**
+ * Checks edges against the "forbidden" layering rules
+ * @param {Object} graph - Result of buildGraph
+ * @param {Object[]} forbidden - Rules like { from: 'packages/ui', to: 'packages/server', reason }
+ * @returns {Object[]} Violations with from, to and the rule that forbids them
+ */
+export function findForbiddenDependencies(graph, forbidden = []) {
+  const violations = [];
+
+  for (const from of graph.nodes) {
+    for (const to of graph.edges[from]) {
+      const rule = forbidden.find(candidate => isUnderPattern(from, candidate.from) && isUnderPattern(to, candidate.to));
+      if (rule) {
+        violations.push({ from, to, rule });
+      }
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Describes a forbidden dependency in one sentence
+ * @param {Object} violation - Entry from findForbiddenDependencies
+ * @returns {string} Message
+ */
+export function describeForbiddenDependency({ from, to, rule }) {
+  const reason = rule.reason ? `: ${rule.reason}` : '';
+  return `${from} depends on ${to}, but "${rule.from}" must not depend on "${rule.to}"${reason}`;
+}
+
+/**
+ * Collects the edges that are part of a cycle or a forbidden dependency
+ * @param {string[][]} cycles - Result of findCycles
+ * @param {Object[]} violations - Result of findForbiddenDependencies
+ * @returns {Set<string>} Edges as "from -> to"
+ */
+function problemEdges(cycles, violations) {
+  const keys = new Set(violations.map(({ from, to }) => `${from} -> ${to}`));
+  for (const cycle of cycles) {
+    for (let i = 0; i < cycle.length - 1; i++) {
+      keys.add(`${cycle[i]} -> ${cycle[i + 1]}`);
+    }
+  }
+  return keys;
+}
+
+/**
+ * Renders the graph as a Mermaid flowchart, with problem edges in red
+ * @param {Object} graph - Result of buildGraph
+ * @param {Set<string>} highlighted - Edges from problemEdges
+ * @returns {string} Mermaid source
+ */
+function renderMermaid(graph, highlighted) {
+  const ids = new Map(graph.nodes.map((node, idx) => [node, `n${idx}`]));
+  const lines = ['graph LR'];
+  const redLinks = [];
+
+  graph.nodes.forEach(node => lines.push(`  ${ids.get(node)}["${node.replace(/"/g, '#quot;')}"]`));
+
+  let link = 0;
+  for (const from of graph.nodes) {
+    for (const to of graph.edges[from]) {
+      lines.push(`  ${ids.get(from)} --> ${ids.get(to)}`);
+      if (highlighted.has(`${from} -> ${to}`)) {
+        redLinks.push(link);
+      }
+      link++;
+    }
+  }
+
+  if (redLinks.length > 0) {
+    lines.push(`  linkStyle ${redLinks.join(',')} stroke:#d33,stroke-width:2px`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Renders the graph as Graphviz DOT, with problem edges in red
+ * @param {Object} graph - Result of buildGraph
+ * @param {Set<string>} highlighted - Edges from problemEdges
+ * @returns {string} DOT source
+ */
+function renderDot(graph, highlighted) {
+  const quote = text => `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  const lines = ['digraph crmbl {', '  rankdir=LR;', '  node [shape=box];'];
+
+  graph.nodes.forEach(node => lines.push(`  ${quote(node)};`));
+  for (const from of graph.nodes) {
+    for (const to of graph.edges[from]) {
+      const style = highlighted.has(`${from} -> ${to}`) ? ' [color=red]' : '';
+      lines.push(`  ${quote(from)} -> ${quote(to)}${style};`);
+    }
+  }
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Renders the graph in one of GRAPH_FORMATS
+ * @param {string} format - mermaid, dot or json
+ * @param {Object} graph - Result of buildGraph
+ * @param {Object} problems - { cycles, violations } to highlight or include
+ * @returns {string} Rendered graph
+ */
+export function renderGraph(format, graph, problems = {}) {
+  const cycles = problems.cycles || [];
+  const violations = problems.violations || [];
+
+  switch (format) {
+    case 'mermaid':
+      return renderMermaid(graph, problemEdges(cycles, violations));
+    case 'dot':
+      return renderDot(graph, problemEdges(cycles, violations));
+    case 'json':
+      return JSON.stringify({
+        nodes: graph.nodes,
+        adjacency: graph.edges,
+        cycles,
+        violations: violations.map(({ from, to, rule }) => ({ from, to, rule }))
+      }, null, 2) + '\n';
+    default:
+      throw new Error(`Unknown graph format "${format}" (use one of: ${GRAPH_FORMATS.join(', ')})`);
+  }
+}
@@ -0,0 +1,262 @@
+#!/usr/bin/env node
+
+/**
+ * Change statistics computed from the local git history
+ */
+
+import { execFileSync } from 'child_process';
+import path from 'path';
+
+const COMMIT_MARKER = '\x1e';
+
+/**
+ * Default history settings, overridable via the "history" config key
+ */
+export const DEFAULT_HISTORY_CONFIG = {
+  windows: [30, 90, 365],
+  classifyWindow: 90,
+  thresholds: {
+    'Moderate': 3,
+    'Frequently Modified': 10
+  },
+  topAuthors: 3,
+  fillLastUpdated: true
+};
+
+/**
+ * Runs git in the given directory
+ * @param {string} cwd - Directory to run git in
+ * @param {string[]} args - git arguments
+ * @returns {string|null} stdout, or null if git failed or isn't installed
+ */
+export function runGit(cwd, args) {
+  try {
+    return execFileSync('git', args, {
+      cwd,
+      encoding: 'utf-8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      maxBuffer: 256 * 1024 * 1024
+    });
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Checks whether the path is inside a git work tree with at least one commit
+ * @param {string} rootPath - Project root
+ * @returns {boolean} True if git history is available
+ */
+export function hasGitHistory(rootPath) {
+  return runGit(path.resolve(rootPath), ['rev-parse', '--verify', '--quiet', 'HEAD']) !== null;
+}
+
+/**
+ * Reads commits touching the project root within the given number of days
+ * @param {string} rootPath - Project root
+ * @param {number} days - How far back to read
+ * @returns {Object[]|null} Commits with date, author and root-relative files, or null without git
+ */
+export function readCommits(rootPath, days) {
+  const output = runGit(path.resolve(rootPath), [
+    'log',
+    `--since=${days}.days.ago`,
+    '--relative',
+    '--name-only',
+    '--no-renames',
+    `--format=${COMMIT_MARKER}%aI%x09%aN`,
+    '--',
+    '.'
+  ]);
+
+  if (output === null) {
+    return null;
+  }
+
+  return output
+    .split(COMMIT_MARKER)
+    .filter(chunk => chunk.trim() !== '')
+    .map(chunk => {
+      const [header, ...files] = chunk.split('\n');
+      const [date, author] = header.split('\t');
+      return {
+        date,
+        author,
+        files: files.filter(file => file.trim() !== '')
+      };
+    });
+}
+
+/**
+ * Maps a commit count onto the changeFrequency enum
+ * @param {number} commits - Commits within the classification window
+ * @param {Object} thresholds - Minimum commit counts per frequency
+ * @returns {string} Stable, Moderate or Frequently Modified
+ */
+export function classifyFrequency(commits, thresholds = DEFAULT_HISTORY_CONFIG.thresholds) {
+  if (commits >= thresholds['Frequently Modified']) {
+    return 'Frequently Modified';
+  }
+  if (commits >= thresholds['Moderate']) {
+    return 'Moderate';
+  }
+  return 'Stable';
+}
+
+/**
+ * Computes per-directory change statistics from files directly inside each directory
+ * @param {string} rootPath - Project root
+ * @param {string[]} dirs - Directory keys to compute statistics for
+ * @param {Object} historyConfig - Windows, classifyWindow, thresholds and topAuthors
+ * @returns {Object} { available, directories } where directories maps key to statistics
+ */
+export function computeHistory(rootPath, dirs, historyConfig = {}) {
+  const settings = {
+    ...DEFAULT_HISTORY_CONFIG,
+    ...historyConfig,
+    thresholds: { ...DEFAULT_HISTORY_CONFIG.thresholds, ...(historyConfig.thresholds || {}) }
+  };
+
+  if (!hasGitHistory(rootPath)) {
+    return { available: false, directories: {} };
+  }
+
+  const windows = Array.from(new Set([...settings.windows, settings.classifyWindow])).sort((a, b) => a - b);
+  const commits = readCommits(rootPath, windows[windows.length - 1]);
+  if (commits === null) {
+    return { available: false, directories: {} };
+  }
+
+  const wanted = new Set(dirs);
+  const now = Date.now();
+  const stats = {};
+
+  for (const dir of dirs) {
+    stats[dir] = {
+      commits: Object.fromEntries(windows.map(days => [days, 0])),
+      lastTouched: 0,
+      authors: {}
+    };
+  }
+
+  for (const commit of commits) {
+    const ageDays = (now - Date.parse(commit.date)) / (24 * 60 * 60 * 1000);
+    const touched = new Set(commit.files.map(file => '/' + path.posix.dirname(file)));
+
+    for (const dir of touched) {
+      if (!wanted.has(dir)) {
+        continue;
+      }
+
+      const dirStats = stats[dir];
+      for (const days of windows) {
+        if (ageDays <= days) {
+          dirStats.commits[days]++;
+        }
+      }
+      // %aI carries each author's own offset, so compare instants rather than strings
+      dirStats.lastTouched = Math.max(dirStats.lastTouched, Date.parse(commit.date));
+      dirStats.authors[commit.author] = (dirStats.authors[commit.author] || 0) + 1;
+    }
+  }
+
+  const directories = {};
+  for (const [dir, dirStats] of Object.entries(stats)) {
+    const topAuthors = Object.entries(dirStats.authors)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, settings.topAuthors)
+      .map(([name, count]) => ({ name, commits: count }));
+
+    directories[dir] = {
+      commits: dirStats.commits,
+      lastTouched: dirStats.lastTouched ? new Date(dirStats.lastTouched).toISOString() : null,
+      topAuthors,
+      changeFrequency: classifyFrequency(dirStats.commits[settings.classifyWindow], settings.thresholds)
+    };
+  }
+
+  return { available: true, directories };
+}
+
+/**
+ * Fills in lastUpdated on entries that have none from the last commit touching their README,
+ * the closest thing git has to when the documentation was written
+ * @param {string} rootPath - Project root
+ * @param {Object} map - The crmbl-map.json content (modified in place)
+ * @param {Object} historyConfig - History settings; nothing is filled when fillLastUpdated is false
+ * @returns {string[]} Directories whose lastUpdated was filled
+ */
+export function fillLastUpdated(rootPath, map, historyConfig = {}) {
+  const enabled = historyConfig.fillLastUpdated !== undefined
+    ? historyConfig.fillLastUpdated
+    : DEFAULT_HISTORY_CONFIG.fillLastUpdated;
+
+  const missing = Object.entries(map.directories || {})
+    .filter(([, entry]) => !entry.lastUpdated && entry.readmePath);
+  if (!enabled || missing.length === 0 || !hasGitHistory(rootPath)) {
+    return [];
+  }
+
+  const readmes = missing.map(([, entry]) => entry.readmePath.replace(/^\/+/, ''));
+  const output = runGit(path.resolve(rootPath), [
+    'log',
+    '--relative',
+    '--name-only',
+    '--no-renames',
+    `--format=${COMMIT_MARKER}%aI`,
+    '--',
+    ...readmes
+  ]);
+  if (output === null) {
+    return [];
+  }
+
+  // Commits come newest first, but author dates needn't, so keep the latest per file
+  const lastCommit = {};
+  for (const chunk of output.split(COMMIT_MARKER)) {
+    const [date, ...files] = chunk.split('\n');
+    for (const file of files.filter(name => name.trim() !== '')) {
+      lastCommit[file] = Math.max(lastCommit[file] || 0, Date.parse(date));
+    }
+  }
+
+  const filled = [];
+  missing.forEach(([dir, entry], index) => {
+    if (lastCommit[readmes[index]]) {
+      entry.lastUpdated = new Date(lastCommit[readmes[index]]).toISOString();
+      filled.push(dir);
+    }
+  });
+  return filled;
+}
+
+/**
+ * Lists entries whose declared changeFrequency disagrees with the computed one
+ * @param {Object} map - The crmbl-map.json content
+ * @param {Object} history - Result of computeHistory
+ * @returns {Object[]} Mismatches with directory, declared and computed values
+ */
+export function findFrequencyMismatches(map, history) {
+  if (!history.available) {
+    return [];
+  }
+
+  const mismatches = [];
+  for (const [dir, entry] of Object.entries(map.directories)) {
+    const computed = history.directories[dir];
+    const declared = entry.changeFrequency;
+    if (!computed || !declared || declared === 'Unknown') {
+      continue;
+    }
+    if (declared !== computed.changeFrequency) {
+      mismatches.push({
+        directory: dir,
+        declared,
+        computed: computed.changeFrequency,
+        commits: computed.commits
+      });
+    }
+  }
+
+  return mismatches;
+}
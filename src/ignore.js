@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+
+/**
+ * gitignore-style rules from the config, nested .gitignore files and .crmblignore
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { minimatch } from 'minimatch';
+
+export const CRMBLIGNORE_FILENAME = '.crmblignore';
+const GITIGNORE_FILENAME = '.gitignore';
+
+/**
+ * Parses gitignore-formatted content into rules
+ * @param {string} content - File contents
+ * @param {string} base - Directory key the file lives in ("/" for the root)
+ * @param {string} source - Label used when explaining matches (e.g. "/.gitignore")
+ * @returns {Object[]} Rules with pattern, negate, dirOnly, anchored, base and source
+ */
+export function parseIgnoreRules(content, base, source) {
+  const rules = [];
+
+  content.split(/\r?\n/).forEach((rawLine, idx) => {
+    // Trailing spaces are ignored unless escaped with a backslash
+    let line = rawLine.replace(/(?<!\\)\s+$/, '');
+    if (line === '' || line.startsWith('#')) {
+      return;
+    }
+
+    let negate = false;
+    if (line.startsWith('!')) {
+      negate = true;
+      line = line.slice(1);
+    } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+      line = line.slice(1);
+    }
+
+    let dirOnly = false;
+    if (line.endsWith('/')) {
+      dirOnly = true;
+      line = line.replace(/\/+$/, '');
+    }
+
+    // A slash at the start or in the middle anchors the pattern to the file's directory
+    const anchored = line.includes('/');
+    line = line.replace(/^\//, '');
+
+    if (line === '') {
+      return;
+    }
+
+    rules.push({
+      pattern: line,
+      negate,
+      dirOnly,
+      anchored,
+      base,
+      source: `${source}:${idx + 1}`,
+      text: rawLine.trim()
+    });
+  });
+
+  return rules;
+}
+
+/**
+ * Turns the config "ignore" list into rules (plain names match at any depth)
+ * @param {string[]} patterns - Patterns from .crmbl-config.json
+ * @returns {Object[]} Rules
+ */
+export function configIgnoreRules(patterns = []) {
+  return parseIgnoreRules(patterns.join('\n'), '/', '.crmbl-config.json ignore')
+    .map((rule, idx) => ({ ...rule, source: `.crmbl-config.json ignore[${idx}]` }));
+}
+
+/**
+ * Checks whether a rule matches a directory
+ * @param {Object} rule - Rule from parseIgnoreRules
+ * @param {string} dirPath - Directory key like "/src/api"
+ * @returns {boolean} True if the rule matches
+ */
+function ruleMatches(rule, dirPath) {
+  let relative;
+  if (rule.base === '/') {
+    relative = dirPath.slice(1);
+  } else if (dirPath.startsWith(rule.base + '/')) {
+    relative = dirPath.slice(rule.base.length + 1);
+  } else {
+    return false;
+  }
+
+  const pattern = rule.anchored ? rule.pattern : `**/${rule.pattern}`;
+  return minimatch(relative, pattern, { dot: true });
+}
+
+/**
+ * Creates a matcher that decides whether directories are ignored
+ * Rules are applied in order of increasing precedence: the config "ignore" list,
+ * then for each directory from the root down its .gitignore and .crmblignore.
+ * The last matching rule wins, and a directory inside an ignored directory can't
+ * be re-included, just like in git.
+ * @param {string} rootPath - Project root
+ * @param {string[]} ignorePatterns - Config "ignore" list
+ * @param {Object} options - { useGitignore: boolean }
+ * @returns {Object} Matcher with explain(dirPath) and isIgnored(dirPath)
+ */
+export function createIgnoreMatcher(rootPath, ignorePatterns, options = {}) {
+  const absoluteRoot = path.resolve(rootPath);
+  const useGitignore = options.useGitignore !== false;
+  const baseRules = configIgnoreRules(ignorePatterns);
+  const fileRules = new Map();
+  const verdicts = new Map();
+
+  const loadRules = (dirPath) => {
+    if (fileRules.has(dirPath)) {
+      return fileRules.get(dirPath);
+    }
+
+    const filenames = useGitignore ? [GITIGNORE_FILENAME, CRMBLIGNORE_FILENAME] : [CRMBLIGNORE_FILENAME];
+    const rules = [];
+    for (const filename of filenames) {
+      const filePath = path.join(absoluteRoot, dirPath, filename);
+      try {
+        const content = fs.readFileSync(filePath, 'utf-8');
+        const source = path.posix.join(dirPath, filename);
+        rules.push(...parseIgnoreRules(content, dirPath, source));
+      } catch (err) {
+        continue;
+      }
+    }
+
+    fileRules.set(dirPath, rules);
+    return rules;
+  };
+
+  const explain = (dirPath) => {
+    if (verdicts.has(dirPath)) {
+      return verdicts.get(dirPath);
+    }
+
+    const name = path.posix.basename(dirPath);
+    const parent = path.posix.dirname(dirPath);
+    let verdict;
+
+    if (parent !== '/' && explain(parent).ignored) {
+      verdict = { ignored: true, rule: null, reason: `parent directory ${parent} is excluded` };
+    } else if (name.startsWith('.')) {
+      verdict = { ignored: true, rule: null, reason: 'hidden directory' };
+    } else {
+      const ancestors = ['/'];
+      const segments = parent.split('/').filter(Boolean);
+      for (let i = 1; i <= segments.length; i++) {
+        ancestors.push('/' + segments.slice(0, i).join('/'));
+      }
+
+      const rules = [...baseRules, ...ancestors.flatMap(loadRules)];
+      let match = null;
+      for (const rule of rules) {
+        if (ruleMatches(rule, dirPath)) {
+          match = rule;
+        }
+      }
+
+      if (match && !match.negate) {
+        verdict = { ignored: true, rule: match, reason: `excluded by "${match.text}" (${match.source})` };
+      } else if (match) {
+        verdict = { ignored: false, rule: match, reason: `re-included by "${match.text}" (${match.source})` };
+      } else {
+        verdict = { ignored: false, rule: null, reason: 'no ignore rule matches' };
+      }
+    }
+
+    verdicts.set(dirPath, verdict);
+    return verdict;
+  };
+
+  return {
+    explain,
+    isIgnored: (dirPath) => explain(dirPath).ignored
+  };
+}
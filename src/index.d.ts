@@ -0,0 +1,382 @@
+/**
+ * Types for the crmbl library entry point (src/index.js)
+ */
+
+// Configuration
+
+export type Severity = 'off' | 'warn' | 'error';
+export type ChangeFrequency = 'Stable' | 'Moderate' | 'Frequently Modified' | 'Unknown';
+export type OutputFormat = 'text' | 'json' | 'junit' | 'sarif' | 'github';
+
+export interface HistoryConfig {
+  windows: number[];
+  classifyWindow: number;
+  thresholds: { 'Moderate': number; 'Frequently Modified': number };
+  topAuthors: number;
+  /** Fill in a missing lastUpdated from the last commit touching the entry's README */
+  fillLastUpdated: boolean;
+}
+
+export interface GranularityConfig {
+  maxDepth: number;
+  minFiles: number;
+  include: string[];
+  exclude: string[];
+  collapse: string[];
+}
+
+export interface PromptConfig {
+  maxTokens: number;
+  treeDepth: number;
+  treeEntries: number;
+  excerptLines: number;
+}
+
+export interface CoveragePolicy {
+  path: string;
+  minimum: number;
+}
+
+export interface CoverageConfig {
+  minimum: number;
+  groupDepth: number;
+  policies: CoveragePolicy[];
+  baseline: string | null;
+}
+
+export interface ForbiddenDependency {
+  from: string;
+  to: string;
+  reason?: string;
+}
+
+export interface Config {
+  rootPath: string;
+  ignore: string[];
+  outputPath: string;
+  readmeTemplate?: string;
+  useGitignore?: boolean;
+  cachePath?: string | null;
+  /** Keep each directory entry in a .crumb.json next to it; crmbl-map.json is assembled from them */
+  sharded?: boolean;
+  history: HistoryConfig;
+  granularity: GranularityConfig;
+  prompt: PromptConfig;
+  lint: { rules: Record<string, Severity> };
+  coverage: CoverageConfig;
+  graph: { forbidden: ForbiddenDependency[] };
+}
+
+export const DEFAULT_CONFIG: Config;
+
+export interface LoadConfigOptions {
+  /** Directory to search up from, defaults to process.cwd() */
+  cwd?: string;
+  /** Config file to use instead of searching */
+  configPath?: string;
+  /** Values applied last, e.g. from command line flags; relative paths resolve against cwd */
+  overrides?: Partial<Config>;
+  /** Where CRMBL_* overrides are read from, defaults to process.env */
+  env?: Record<string, string | undefined>;
+}
+
+/**
+ * Finds the nearest config file (.crmbl-config.json/.js/.mjs/.yaml/.yml or package.json "crmbl")
+ * and merges it, its extends presets and CRMBL_* variables over the defaults.
+ * Throws CrmblError (CONFIG_NOT_FOUND or CONFIG_INVALID) naming the offending file.
+ */
+export function loadConfig(options?: LoadConfigOptions): Promise<Config>;
+
+export function validateConfig(config: Config): { valid: boolean; errors: string[] };
+
+// Map
+
+export interface KeyFile {
+  file: string;
+  description: string;
+}
+
+export interface DirectoryEntry {
+  purpose: string;
+  complexity: number;
+  changeFrequency: ChangeFrequency;
+  entryPoints: string[];
+  internalDeps: string[];
+  externalDeps: string[];
+  readmePath: string;
+  keyFiles: KeyFile[];
+  subdirectories: string[];
+  lastUpdated: string;
+  fingerprint?: { hash: string; files: Record<string, string>; recordedAt: string };
+  package?: { name: string; version: string | null };
+}
+
+export interface WorkspacePackage {
+  path: string;
+  version: string | null;
+  dependencies: string[];
+}
+
+export interface CrmblMap {
+  schemaVersion: number;
+  generated: string;
+  packages?: Record<string, WorkspacePackage>;
+  /** Entries keyed by directory path relative to the root, e.g. "/packages/api" */
+  directories: Record<string, DirectoryEntry>;
+}
+
+export interface MapValidation {
+  valid: boolean;
+  errors: string[];
+  details: { path: string; message: string }[];
+}
+
+export const SCHEMA_VERSION: number;
+export const CHANGE_FREQUENCIES: ChangeFrequency[];
+
+export function createEmptyMap(): CrmblMap;
+export function createDirectoryEntry(info?: Partial<DirectoryEntry>): DirectoryEntry;
+export function validateMap(map: unknown): MapValidation;
+export function updateMap(existingMap: CrmblMap | null, dirPath: string, dirInfo: Partial<DirectoryEntry>): CrmblMap;
+export function removeDirectories(existingMap: CrmblMap, dirPaths: string[]): CrmblMap;
+
+/** Reads the map at config.outputPath (or its crumb files when sharded), throwing CrmblError if it's missing or unreadable */
+export function readMap(config: Config, options?: { validate?: boolean }): CrmblMap;
+/** Writes the map with sorted keys, keeping "generated" when nothing else changed; when sharded also writes the crumb files */
+export function writeMap(config: Config, map: CrmblMap): void;
+
+// Errors
+
+export const ERROR_CODES: {
+  CONFIG_NOT_FOUND: 'CONFIG_NOT_FOUND';
+  CONFIG_INVALID: 'CONFIG_INVALID';
+  MAP_NOT_FOUND: 'MAP_NOT_FOUND';
+  MAP_INVALID: 'MAP_INVALID';
+  INVALID_OPTION: 'INVALID_OPTION';
+};
+
+export type ErrorCode = typeof ERROR_CODES[keyof typeof ERROR_CODES];
+
+export class CrmblError extends Error {
+  constructor(message: string, code: ErrorCode, details?: string[]);
+  name: 'CrmblError';
+  code: ErrorCode;
+  /** Individual problems, e.g. each config or map validation error */
+  details: string[];
+}
+
+// Scan
+
+export interface Profiler {
+  phases: { name: string; ms: number; details: Record<string, number | string> }[];
+  start(name: string): (details?: Record<string, number | string>) => void;
+}
+
+export function createProfiler(): Profiler;
+
+export interface ScanOptions {
+  profiler?: Profiler;
+  /** Read and update the walk cache at config.cachePath (default false; the CLI turns it on) */
+  cache?: boolean;
+  /** Save recorded fingerprints, filled-in lastUpdated and workspace tags to the map (default false; the CLI turns it on) */
+  writeMap?: boolean;
+}
+
+export interface Staleness {
+  added: string[];
+  removed: string[];
+  modified: string[];
+}
+
+export interface ScanResults {
+  newDirs: string[];
+  missingDirs: string[];
+  unchangedDirs: string[];
+  staleDirs: string[];
+  staleReasons: Record<string, Staleness>;
+  /** Directories rolled up into an ancestor by granularity rules */
+  collapsedDirs: Record<string, { into: string; reason: string }>;
+  detectedDeps: Record<string, { internalDeps: string[]; externalDeps: string[] }>;
+  history: { available: boolean; directories: Record<string, unknown> };
+  fingerprinted: string[];
+  /** Entries whose missing lastUpdated was filled in from git */
+  lastUpdatedFilled: string[];
+  /** Problems that didn't stop the scan, such as an unreadable tsconfig.json */
+  warnings: string[];
+  workspace: { tools: string[]; packages: Record<string, WorkspacePackage> };
+  stats: {
+    total: number;
+    new: number;
+    missing: number;
+    stale: number;
+    documented: number;
+    collapsed: number;
+  };
+}
+
+export function scan(config: Config, options?: ScanOptions): Promise<ScanResults>;
+
+// Verify
+
+export interface Violation {
+  rule: string;
+  severity: Severity;
+  directory: string;
+  file: string;
+  line: number | null;
+  message: string;
+}
+
+export interface DependencyMismatch {
+  directory: string;
+  undeclaredInternal: string[];
+  unusedInternal: string[];
+  undeclaredExternal: string[];
+  unusedExternal: string[];
+}
+
+export interface Verification {
+  valid: boolean;
+  missingReadmes: { directory: string; expectedReadme: string }[];
+  violations: Violation[];
+  skippedDirs: string[];
+  dependencyMismatches: DependencyMismatch[];
+  historyAvailable: boolean;
+  frequencyMismatches: { directory: string; declared: ChangeFrequency; computed: ChangeFrequency; commits: Record<number, number> }[];
+  /** Problems that didn't stop verification, such as an unreadable tsconfig.json */
+  warnings: string[];
+  totalDirectories: number;
+  documented: number;
+}
+
+export interface CoverageSummary {
+  total: number;
+  documented: number;
+  percent: number;
+  undocumented: string[];
+}
+
+export interface Coverage extends CoverageSummary {
+  groups: (CoverageSummary & { prefix: string })[];
+  policies: (CoverageSummary & { path: string; minimum: number })[];
+}
+
+export interface CoverageFailure {
+  rule: 'coverage-minimum' | 'coverage-policy' | 'coverage-regression';
+  scope: string;
+  directories: string[];
+  message: string;
+}
+
+export interface Finding {
+  rule: string;
+  level: 'error' | 'warning';
+  directory: string;
+  file: string;
+  line: number | null;
+  message: string;
+}
+
+export interface VerifyOptions {
+  /** Fail when declared dependencies disagree with detected imports */
+  strictDeps?: boolean;
+  /** Only verify directories inside this workspace package */
+  package?: string;
+  /** Record the current coverage as the new coverage.baseline */
+  updateBaseline?: boolean;
+}
+
+export interface VerifyResult {
+  valid: boolean;
+  exitCode: number;
+  /** The map that was verified, scoped to the package if one was given */
+  map: CrmblMap;
+  verification: Verification;
+  coverage: Coverage;
+  baseline: { overall: number; groups: Record<string, number>; policies: Record<string, number> } | null;
+  coverageFailures: CoverageFailure[];
+  findings: Finding[];
+  summary: Record<string, unknown>;
+  directories: string[];
+}
+
+export function verify(config: Config, options?: VerifyOptions): Promise<VerifyResult>;
+
+// Prompt
+
+export interface PromptOptions {
+  /** Template source; takes precedence over templatePath */
+  template?: string;
+  templatePath?: string;
+  /** Also ask for stale directories to be re-documented */
+  stale?: boolean;
+  /** Token budget per batch, defaults to config.prompt.maxTokens */
+  maxTokens?: number;
+  /** Only include directories inside this workspace package */
+  package?: string;
+  /** Read from config.outputPath when omitted */
+  map?: CrmblMap | null;
+}
+
+export interface PromptBatch {
+  prompt: string;
+  newDirs: string[];
+  staleDirs: string[];
+  tokens: number;
+}
+
+export function prompt(config: Config, scanResults: ScanResults, options?: PromptOptions): { batches: PromptBatch[]; scanResults: ScanResults };
+
+// Query and context
+
+export interface QueryOptions {
+  text?: string | string[];
+  complexity?: string | number;
+  changeFrequency?: string;
+  dependsOn?: string;
+  path?: string;
+  limit?: number;
+}
+
+export interface QueryResult {
+  directory: string;
+  score: number;
+  matches: string[];
+  purpose: string;
+  complexity: number;
+  changeFrequency: ChangeFrequency;
+  readmePath: string | null;
+}
+
+export function queryMap(map: CrmblMap, options?: QueryOptions): QueryResult[];
+
+export function buildContext(
+  config: Config,
+  map: CrmblMap,
+  inputPath: string,
+  options?: { readme?: boolean; maxTokens?: number }
+): { target: string; chain: string[]; markdown: string; tokens: number; omitted: string[] };
+
+// Reports
+
+export const EXIT_CODES: {
+  SUCCESS: 0;
+  DOCS_INCOMPLETE: 1;
+  INVALID_INPUT: 2;
+  INTERNAL_ERROR: 3;
+};
+
+export const OUTPUT_FORMATS: OutputFormat[];
+
+export interface Report {
+  command: 'scan' | 'verify';
+  valid: boolean;
+  exitCode: number;
+  summary: Record<string, unknown>;
+  directories: string[];
+  findings: Finding[];
+  rootPath: string;
+  version: string;
+}
+
+export function formatReport(format: Exclude<OutputFormat, 'text'>, report: Report): string;
@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+
+/**
+ * Public library entry point
+ *
+ * Everything exported here is part of the stable API and typed in index.d.ts.
+ * Importing this module has no side effects; the CLI lives in cli.js.
+ */
+
+export { scan, verify, prompt, readMap, writeMap, CrmblError, ERROR_CODES } from './api.js';
+export { loadConfig, validateConfig, DEFAULT_CONFIG } from './config.js';
+export {
+  SCHEMA_VERSION,
+  CHANGE_FREQUENCIES,
+  createEmptyMap,
+  createDirectoryEntry,
+  validateMap,
+  updateMap,
+  removeDirectories
+} from './schema.js';
+export { queryMap } from './query.js';
+export { buildContext } from './context.js';
+export { EXIT_CODES, OUTPUT_FORMATS, formatReport } from './report.js';
+export { createProfiler } from './profile.js';
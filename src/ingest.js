@@ -0,0 +1,269 @@
+#!/usr/bin/env node
+
+/**
+ * Parses agent-written READMEs back into crmbl-map.json entries
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createEmptyMap, updateMap, validateMap } from './schema.js';
+import { recordFingerprints } from './fingerprint.js';
+import { TODO_MARKER } from './scaffold.js';
+import { detectDependencies } from './deps.js';
+
+const FREQUENCIES = ['Stable', 'Moderate', 'Frequently Modified'];
+
+/**
+ * Splits README content into sections keyed by heading
+ * @param {string} content - README markdown
+ * @returns {Object} Map of heading to { line, lines: [{ text, line }] }
+ */
+function splitSections(content) {
+  const sections = {};
+  let current = null;
+  let inFence = false;
+
+  content.split(/\r?\n/).forEach((text, idx) => {
+    const line = idx + 1;
+
+    if (text.trim().startsWith('```')) {
+      inFence = !inFence;
+    }
+
+    const heading = !inFence && text.match(/^(#{2,3})\s+(.+?)\s*$/);
+    if (heading) {
+      current = { line, lines: [] };
+      sections[heading[2]] = current;
+      return;
+    }
+
+    if (current) {
+      current.lines.push({ text, line });
+    }
+  });
+
+  return sections;
+}
+
+/**
+ * Checks whether text is an unfilled template placeholder like "[Description]" or a scaffold TODO
+ * @param {string} text - Text to check
+ * @returns {boolean} True if the text is a placeholder
+ */
+function isPlaceholder(text) {
+  return /^\[[^\]]*\]$/.test(text.trim()) || text.includes(TODO_MARKER);
+}
+
+/**
+ * Returns the non-empty lines of a section
+ * @param {Object} section - Section from splitSections
+ * @returns {Object[]} Lines with text and line number
+ */
+function contentLines(section) {
+  return section.lines.filter(({ text }) => text.trim() !== '');
+}
+
+/**
+ * Parses "- `name` - description" list items from a section
+ * @param {Object} section - Section from splitSections
+ * @returns {string[]} Item names
+ */
+function parseListItems(section) {
+  const items = [];
+
+  for (const { text } of contentLines(section)) {
+    const item = text.match(/^\s*[-*]\s+(.+)$/);
+    if (!item) {
+      continue;
+    }
+
+    const code = item[1].match(/^`([^`]+)`/);
+    const name = code ? code[1] : item[1].split(/\s+-\s+/)[0].trim();
+
+    if (name && !/^none\b/i.test(name)) {
+      items.push(name);
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Parses a README written in the structure of templates/readme-template.md
+ * @param {string} content - README markdown
+ * @returns {Object} Result with parsed directory info and errors ({ line, message })
+ */
+export function parseReadme(content) {
+  const sections = splitSections(content);
+  const info = {};
+  const errors = [];
+
+  const purpose = sections['Purpose'];
+  if (!purpose) {
+    errors.push({ line: 1, message: "Missing '## Purpose' section" });
+  } else {
+    const lines = contentLines(purpose);
+    const text = lines.map(l => l.text.trim()).join(' ');
+    if (!text || isPlaceholder(text)) {
+      errors.push({ line: purpose.line, message: 'Purpose is empty or still a template placeholder' });
+    } else {
+      info.purpose = text;
+    }
+  }
+
+  const complexity = sections['Complexity Score'];
+  if (complexity) {
+    const first = contentLines(complexity)[0];
+    const match = first && first.text.match(/^\*\*\s*([1-5])\s*\/\s*5\s*\*\*/);
+    if (match) {
+      info.complexity = Number(match[1]);
+    } else {
+      errors.push({
+        line: first ? first.line : complexity.line,
+        message: 'Complexity Score must start with **N/5** where N is 1-5'
+      });
+    }
+  }
+
+  const frequency = sections['Change Frequency'];
+  if (frequency) {
+    const first = contentLines(frequency)[0];
+    const match = first && first.text.match(/^\*\*\s*(.+?)\s*\*\*/);
+    if (match && FREQUENCIES.includes(match[1])) {
+      info.changeFrequency = match[1];
+    } else {
+      errors.push({
+        line: first ? first.line : frequency.line,
+        message: `Change Frequency must be one of: ${FREQUENCIES.join(', ')}`
+      });
+    }
+  }
+
+  const keyFiles = sections['Key Files'];
+  if (keyFiles) {
+    info.keyFiles = [];
+    for (const { text, line } of contentLines(keyFiles)) {
+      if (!text.trim().startsWith('|') || /^\|[\s|:-]+\|$/.test(text.trim())) {
+        continue;
+      }
+
+      const cells = text.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+      if (cells[0] === 'File') {
+        continue;
+      }
+
+      const file = cells[0].replace(/^`|`$/g, '');
+      const description = cells[1] || '';
+      if (cells.length < 2 || !file || !description) {
+        errors.push({ line, message: 'Key Files row must have a file and a description' });
+        continue;
+      }
+      if (isPlaceholder(description)) {
+        errors.push({ line, message: `Key Files description for ${file} is still a placeholder` });
+        continue;
+      }
+
+      info.keyFiles.push({ file, description });
+    }
+  }
+
+  const entryPoints = sections['Entry Points'];
+  if (entryPoints) {
+    info.entryPoints = parseListItems(entryPoints);
+  }
+
+  const internal = sections['Internal Dependencies'];
+  if (internal) {
+    info.internalDeps = parseListItems(internal);
+  }
+
+  const external = sections['External Dependencies'];
+  if (external) {
+    info.externalDeps = parseListItems(external);
+  }
+
+  return { info, errors };
+}
+
+/**
+ * Returns the README path for a directory, preferring the one recorded in the map
+ * @param {string} dirPath - Directory key
+ * @param {Object} entry - Existing map entry, if any
+ * @returns {string} README path relative to the root (with leading slash)
+ */
+function readmePathFor(dirPath, entry) {
+  if (entry && entry.readmePath) {
+    return entry.readmePath;
+  }
+  return path.posix.join(dirPath, 'README.md');
+}
+
+/**
+ * Dependencies detected for a directory, from scan results when they cover it
+ * @param {Object} config - Configuration object
+ * @param {string} dirPath - Directory key
+ * @param {Object} detectedDeps - Scan results' detectedDeps, if any
+ * @returns {Object} { internalDeps, externalDeps }
+ */
+function detectedDepsFor(config, dirPath, detectedDeps) {
+  if (detectedDeps && detectedDeps[dirPath]) {
+    return detectedDeps[dirPath];
+  }
+  return detectDependencies(config.rootPath, [dirPath])[dirPath];
+}
+
+/**
+ * Reads READMEs for the given directories and merges them into the map
+ * @param {Object} config - Configuration object
+ * @param {Object|null} map - Existing crmbl-map.json content
+ * @param {string[]} dirs - Directory keys to ingest
+ * @param {Object} options - { detectedDeps: dependencies from scan results, detected on the fly for new entries if missing }
+ * @returns {Object} Result with updated map, ingested dirs, per-directory issues and map validation
+ */
+export function ingestReadmes(config, map, dirs, options = {}) {
+  const { rootPath } = config;
+  let result = map || createEmptyMap();
+  const ingested = [];
+  const issues = [];
+
+  for (const dirPath of dirs) {
+    const existing = result.directories[dirPath];
+    const readmePath = readmePathFor(dirPath, existing);
+    const fullPath = path.join(rootPath, readmePath);
+
+    if (!fs.existsSync(fullPath)) {
+      continue;
+    }
+
+    const { info, errors } = parseReadme(fs.readFileSync(fullPath, 'utf-8'));
+
+    if (errors.length > 0) {
+      issues.push({ directory: dirPath, readmePath, errors });
+    }
+
+    if (info.purpose === undefined && !existing) {
+      continue;
+    }
+
+    // New entries start from the detected dependencies; the README's own lists take precedence
+    const detected = existing ? null : detectedDepsFor(config, dirPath, options.detectedDeps);
+
+    result = updateMap(result, dirPath, {
+      ...detected,
+      ...existing,
+      ...info,
+      readmePath
+    });
+    ingested.push(dirPath);
+  }
+
+  // The README now describes the current contents, so reset staleness tracking
+  recordFingerprints(rootPath, result, ingested);
+
+  return {
+    map: result,
+    ingested,
+    issues,
+    validation: validateMap(result)
+  };
+}
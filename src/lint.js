@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+
+/**
+ * README and map lint rules used by `crmbl verify`
+ *
+ * Each problem is reported as a violation with a rule code, so individual rules can be
+ * turned off or downgraded to warnings in the "lint" section of the config.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { loadReadmeTemplate, TODO_MARKER } from './scaffold.js';
+import { createIgnoreMatcher } from './ignore.js';
+import { evaluateDirectory } from './granularity.js';
+import { buildGraph, findCycles, findForbiddenDependencies, describeForbiddenDependency } from './graph.js';
+
+export const SEVERITIES = ['off', 'warn', 'error'];
+
+/**
+ * Lint rules with their default severity
+ */
+export const LINT_RULES = {
+  'directory-missing': { severity: 'warn', description: 'The documented directory no longer exists' },
+  'readme-sections': { severity: 'warn', description: 'The README is missing a section from the README template' },
+  'readme-placeholder': { severity: 'error', description: 'The README still contains template placeholder text' },
+  'key-file-missing': { severity: 'error', description: 'A keyFiles entry points at a file that does not exist' },
+  'entry-point-missing': { severity: 'error', description: 'An entryPoints entry points at a file that does not exist' },
+  'internal-dep-missing': { severity: 'error', description: 'An internalDeps entry points at a directory that does not exist' },
+  'subdirectory-missing': { severity: 'error', description: 'A subdirectories entry points at a directory that does not exist' },
+  'subdirectory-unlisted': { severity: 'warn', description: 'A documentable subdirectory on disk is not in subdirectories' },
+  'dependency-cycle': { severity: 'warn', description: 'Directories depend on each other in a cycle through internalDeps' },
+  'forbidden-dependency': { severity: 'error', description: 'An internalDeps entry breaks a layering rule from graph.forbidden' }
+};
+
+export const DEFAULT_LINT_CONFIG = {
+  rules: {}
+};
+
+/**
+ * Resolves the configured severity of every rule
+ * @param {Object} lint - "lint" section of the config
+ * @returns {Object} Map of rule code to 'off', 'warn' or 'error'
+ */
+export function resolveRuleSeverities(lint = {}) {
+  const overrides = (lint && lint.rules) || {};
+  return Object.fromEntries(
+    Object.entries(LINT_RULES).map(([code, rule]) => [code, overrides[code] || rule.severity])
+  );
+}
+
+/**
+ * Reads the required sections and placeholder text from a README template
+ * @param {string} template - README template markdown
+ * @returns {Object} { sections: string[], placeholders: string[] }
+ */
+export function analyzeReadmeTemplate(template) {
+  const sections = [];
+  const placeholders = new Set();
+
+  for (const line of template.split(/\r?\n/)) {
+    const heading = line.match(/^##\s+(.+?)\s*$/);
+    if (heading) {
+      sections.push(heading[1]);
+      continue;
+    }
+
+    // "[Brief description]" is a placeholder, "[text](url)" is a link
+    for (const match of line.matchAll(/\[[^\]\n]+\](?!\()/g)) {
+      placeholders.add(match[0]);
+    }
+  }
+
+  return { sections, placeholders: [...placeholders] };
+}
+
+/**
+ * Checks a README against the template's sections and placeholders
+ * @param {string} content - README markdown
+ * @param {Object} templateInfo - Result of analyzeReadmeTemplate
+ * @returns {Object[]} Problems with rule, line and message
+ */
+export function lintReadme(content, templateInfo) {
+  const problems = [];
+  const headings = new Set();
+  let inFence = false;
+
+  content.split(/\r?\n/).forEach((text, idx) => {
+    const line = idx + 1;
+
+    if (text.trim().startsWith('```')) {
+      inFence = !inFence;
+      return;
+    }
+    if (inFence) {
+      return;
+    }
+
+    const heading = text.match(/^#{1,6}\s+(.+?)\s*$/);
+    if (heading) {
+      headings.add(heading[1].toLowerCase());
+    }
+
+    const placeholder = templateInfo.placeholders.find(token => text.includes(token));
+    if (placeholder) {
+      problems.push({ rule: 'readme-placeholder', line, message: `Unfilled placeholder ${placeholder}` });
+    } else if (text.includes(TODO_MARKER)) {
+      problems.push({ rule: 'readme-placeholder', line, message: `Unfilled ${TODO_MARKER} marker` });
+    }
+  });
+
+  for (const section of templateInfo.sections) {
+    if (!headings.has(section.toLowerCase())) {
+      problems.push({ rule: 'readme-sections', line: 1, message: `Missing "## ${section}" section` });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Lists the subdirectories of a directory that are expected to have their own entry
+ * @param {Object} config - Configuration object
+ * @param {Object} matcher - Ignore matcher from createIgnoreMatcher
+ * @param {string} dirPath - Directory key
+ * @returns {string[]} Child directory keys
+ */
+function documentableChildren(config, matcher, dirPath) {
+  let entries;
+  try {
+    entries = fs.readdirSync(path.join(config.rootPath, dirPath), { withFileTypes: true });
+  } catch (error) {
+    return [];
+  }
+
+  return entries
+    .filter(entry => entry.isDirectory())
+    .map(entry => path.posix.join(dirPath, entry.name))
+    .filter(child => !matcher.isIgnored(child) &&
+      evaluateDirectory(config.rootPath, child, config.granularity).documentable);
+}
+
+/**
+ * Lints every entry of the map and its README
+ * @param {Object} config - Configuration object
+ * @param {Object} map - The crmbl-map.json content
+ * @param {Object} options - { skip: directory keys to leave out, e.g. ones rolled up by granularity rules }
+ * @returns {Object[]} Violations with rule, severity, directory, file, line and message, errors first
+ */
+export function lintDocumentation(config, map, options = {}) {
+  const { rootPath } = config;
+  const severities = resolveRuleSeverities(config.lint);
+  const skip = new Set(options.skip || []);
+  const templateInfo = analyzeReadmeTemplate(options.template || loadReadmeTemplate(config.readmeTemplate));
+  const matcher = createIgnoreMatcher(rootPath, config.ignore || [], { useGitignore: config.useGitignore });
+  const exists = relativePath => fs.existsSync(path.join(rootPath, relativePath));
+  const violations = [];
+
+  const report = (rule, directory, message, file = directory, line = null) => {
+    if (severities[rule] !== 'off') {
+      violations.push({ rule, severity: severities[rule], directory, file, line, message });
+    }
+  };
+
+  for (const [dirPath, entry] of Object.entries(map.directories || {})) {
+    if (skip.has(dirPath)) {
+      continue;
+    }
+
+    if (!exists(dirPath)) {
+      report('directory-missing', dirPath, `${dirPath} no longer exists (run "crmbl prune")`);
+      continue;
+    }
+
+    for (const keyFile of entry.keyFiles || []) {
+      if (!keyFile.file || !exists(path.posix.join(dirPath, keyFile.file))) {
+        report('key-file-missing', dirPath, `Key file ${keyFile.file} does not exist`);
+      }
+    }
+
+    for (const entryPoint of entry.entryPoints || []) {
+      if (!exists(path.posix.join(dirPath, entryPoint))) {
+        report('entry-point-missing', dirPath, `Entry point ${entryPoint} does not exist`);
+      }
+    }
+
+    for (const dep of entry.internalDeps || []) {
+      if (!exists(dep)) {
+        report('internal-dep-missing', dirPath, `Internal dependency ${dep} does not exist`);
+      }
+    }
+
+    const listed = entry.subdirectories || [];
+    for (const sub of listed) {
+      if (!exists(sub)) {
+        report('subdirectory-missing', dirPath, `Subdirectory ${sub} does not exist`);
+      }
+    }
+    if (severities['subdirectory-unlisted'] !== 'off') {
+      for (const child of documentableChildren(config, matcher, dirPath)) {
+        if (!listed.includes(child)) {
+          report('subdirectory-unlisted', dirPath, `Subdirectory ${child} is not listed in subdirectories`);
+        }
+      }
+    }
+
+    if (entry.readmePath && exists(entry.readmePath)) {
+      const content = fs.readFileSync(path.join(rootPath, entry.readmePath), 'utf-8');
+      for (const problem of lintReadme(content, templateInfo)) {
+        report(problem.rule, dirPath, problem.message, entry.readmePath, problem.line);
+      }
+    }
+  }
+
+  const graph = buildGraph(map);
+  for (const cycle of findCycles(graph)) {
+    report('dependency-cycle', cycle[0], `Dependency cycle: ${cycle.join(' → ')}`);
+  }
+  for (const violation of findForbiddenDependencies(graph, (config.graph || {}).forbidden)) {
+    report('forbidden-dependency', violation.from, describeForbiddenDependency(violation));
+  }
+
+  return [
+    ...violations.filter(violation => violation.severity === 'error'),
+    ...violations.filter(violation => violation.severity === 'warn')
+  ];
+}
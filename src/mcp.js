@@ -0,0 +1,304 @@
+#!/usr/bin/env node
+
+/**
+ * Model Context Protocol server that lets agents walk the breadcrumb map over stdio
+ * Implements the subset of MCP that tool servers need (initialize, ping, tools/list,
+ * tools/call) as newline-delimited JSON-RPC 2.0, without any network access.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { queryMap } from './query.js';
+import { isWithin } from './workspaces.js';
+import { loadMap, mapSignature } from './shards.js';
+
+export const MCP_PROTOCOL_VERSION = '2024-11-05';
+const SUPPORTED_PROTOCOL_VERSIONS = ['2024-11-05', '2025-03-26', '2025-06-18'];
+
+/**
+ * JSON-RPC error codes used by the server
+ */
+export const RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603
+};
+
+/**
+ * Tools offered to MCP clients, with JSON Schemas for their arguments
+ */
+export const MCP_TOOLS = [
+  {
+    name: 'list_directories',
+    description: 'Lists documented directories with their purpose, complexity, change frequency and whether their README exists. Start here to get an overview of the codebase.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Only list directories under this path, e.g. "/packages/api"' }
+      }
+    }
+  },
+  {
+    name: 'describe_directory',
+    description: 'Returns the full map entry for a directory, plus the directories that depend on it.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Directory path from the project root, e.g. "/src/api"' }
+      },
+      required: ['path']
+    }
+  },
+  {
+    name: 'find_by_dependency',
+    description: 'Finds directories that depend on an internal directory (e.g. "/src/database") or an external package (e.g. "zod").',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dependency: { type: 'string', description: 'Directory path starting with "/" or a package name' }
+      },
+      required: ['dependency']
+    }
+  },
+  {
+    name: 'get_readme',
+    description: 'Returns the README of a documented directory.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Directory path from the project root, e.g. "/src/api"' }
+      },
+      required: ['path']
+    }
+  },
+  {
+    name: 'search',
+    description: 'Ranked keyword search over directory paths, purposes, entry points and key files, e.g. "where is auth handled".',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Search terms' },
+        limit: { type: 'number', description: 'Maximum number of results (default 10)' }
+      },
+      required: ['query']
+    }
+  }
+];
+
+/**
+ * Error raised for requests the client got wrong, reported with a JSON-RPC error code
+ */
+class RpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * Normalizes a directory argument to a map key
+ * @param {string} dirPath - Path as given by the agent ("src/api", "/src/api/")
+ * @returns {string} Directory key
+ */
+function toDirectoryKey(dirPath) {
+  return '/' + String(dirPath).replace(/^\.?\/+|\/+$/g, '');
+}
+
+/**
+ * Creates an MCP server bound to a project
+ * The map (or any crumb file) is re-read whenever it changes on disk, so agents see updates without a restart.
+ * @param {Object} config - Configuration object
+ * @param {Object} options - { name, version } reported to clients
+ * @returns {Object} Server with handleMessage(message) returning the response (or null for notifications)
+ */
+export function createMcpServer(config, options = {}) {
+  const mapPath = path.resolve(config.outputPath);
+  let cache = null;
+
+  const load = () => {
+    const signature = mapSignature(config);
+    if (!signature) {
+      throw new Error(`No crmbl-map.json found at ${mapPath}. Run "crmbl scan" and document the project first.`);
+    }
+
+    if (!cache || cache.signature !== signature) {
+      cache = { signature, map: loadMap(config) };
+    }
+    return cache;
+  };
+
+  // Checked on every call: READMEs are written without touching the map
+  const hasReadme = entry => Boolean(entry.readmePath) && fs.existsSync(path.join(config.rootPath, entry.readmePath));
+
+  const entryFor = (map, dirPath) => {
+    const key = toDirectoryKey(dirPath);
+    const entry = (map.directories || {})[key];
+    if (!entry) {
+      throw new Error(`Directory ${key} is not in crmbl-map.json`);
+    }
+    return { key, entry };
+  };
+
+  const tools = {
+    list_directories: ({ path: scope } = {}) => {
+      const { map } = load();
+      return Object.entries(map.directories || {})
+        .filter(([dir]) => !scope || isWithin(dir, toDirectoryKey(scope)) || toDirectoryKey(scope) === '/')
+        .map(([dir, entry]) => ({
+          directory: dir,
+          purpose: entry.purpose || '',
+          complexity: entry.complexity,
+          changeFrequency: entry.changeFrequency,
+          package: entry.package ? entry.package.name : undefined,
+          hasReadme: hasReadme(entry)
+        }));
+    },
+
+    describe_directory: ({ path: dirPath }) => {
+      const { map } = load();
+      const { key, entry } = entryFor(map, dirPath);
+      const dependents = queryMap(map, { dependsOn: key }).map(result => result.directory);
+      return { directory: key, ...entry, hasReadme: hasReadme(entry), dependents };
+    },
+
+    find_by_dependency: ({ dependency }) => {
+      const { map } = load();
+      return queryMap(map, { dependsOn: String(dependency) }).map(({ score, ...result }) => result);
+    },
+
+    get_readme: ({ path: dirPath }) => {
+      const { map } = load();
+      const { key, entry } = entryFor(map, dirPath);
+      const readmePath = entry.readmePath || path.posix.join(key, 'README.md');
+      const fullPath = path.join(config.rootPath, readmePath);
+      if (!fs.existsSync(fullPath)) {
+        throw new Error(`${key} has no README at ${readmePath}`);
+      }
+      return fs.readFileSync(fullPath, 'utf-8');
+    },
+
+    search: ({ query, limit }) => {
+      const { map } = load();
+      return queryMap(map, { text: String(query), limit: limit || 10 });
+    }
+  };
+
+  const callTool = (params = {}) => {
+    const tool = MCP_TOOLS.find(t => t.name === params.name);
+    if (!tool) {
+      throw new RpcError(RPC_ERRORS.INVALID_PARAMS, `Unknown tool: ${params.name}`);
+    }
+
+    const args = params.arguments || {};
+    const missing = (tool.inputSchema.required || []).filter(name => args[name] === undefined);
+    if (missing.length > 0) {
+      return toolError(`Missing required argument: ${missing.join(', ')}`);
+    }
+
+    try {
+      const result = tools[tool.name](args);
+      const text = typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+      return { content: [{ type: 'text', text }] };
+    } catch (err) {
+      return toolError(err.message);
+    }
+  };
+
+  const methods = {
+    initialize: (params = {}) => ({
+      protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(params.protocolVersion)
+        ? params.protocolVersion
+        : MCP_PROTOCOL_VERSION,
+      capabilities: { tools: {} },
+      serverInfo: { name: options.name || 'crmbl', version: options.version || '0.0.0' },
+      instructions: 'Use list_directories or search to find relevant directories, then describe_directory and get_readme before reading source files.'
+    }),
+    ping: () => ({}),
+    'tools/list': () => ({ tools: MCP_TOOLS }),
+    'tools/call': callTool
+  };
+
+  const handleMessage = (message) => {
+    if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+      return errorResponse(message && message.id !== undefined ? message.id : null, RPC_ERRORS.INVALID_REQUEST, 'Invalid request');
+    }
+
+    // Notifications (no id) never get a response
+    const isNotification = message.id === undefined;
+    const method = methods[message.method];
+
+    if (!method) {
+      return isNotification ? null : errorResponse(message.id, RPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+    }
+
+    try {
+      const result = method(message.params);
+      return isNotification ? null : { jsonrpc: '2.0', id: message.id, result };
+    } catch (err) {
+      const code = err instanceof RpcError ? err.code : RPC_ERRORS.INTERNAL_ERROR;
+      return isNotification ? null : errorResponse(message.id, code, err.message);
+    }
+  };
+
+  return { handleMessage };
+}
+
+/**
+ * Builds a tool result that reports a failure to the agent
+ * @param {string} message - What went wrong
+ * @returns {Object} MCP tool result with isError set
+ */
+function toolError(message) {
+  return { content: [{ type: 'text', text: message }], isError: true };
+}
+
+/**
+ * Builds a JSON-RPC error response
+ * @param {string|number|null} id - Request id
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ * @returns {Object} Response
+ */
+function errorResponse(id, code, message) {
+  return { jsonrpc: '2.0', id, error: { code, message } };
+}
+
+/**
+ * Serves MCP over newline-delimited JSON on the given streams
+ * Nothing but protocol messages may be written to output; diagnostics belong on stderr.
+ * @param {Object} server - Result of createMcpServer
+ * @param {stream.Readable} input - Usually process.stdin
+ * @param {stream.Writable} output - Usually process.stdout
+ * @returns {Promise<void>} Resolves when the input closes
+ */
+export function serveStdio(server, input = process.stdin, output = process.stdout) {
+  const rl = readline.createInterface({ input, crlfDelay: Infinity });
+
+  rl.on('line', (line) => {
+    if (line.trim() === '') {
+      return;
+    }
+
+    let response;
+    try {
+      const message = JSON.parse(line);
+      response = Array.isArray(message)
+        ? message.map(server.handleMessage).filter(Boolean)
+        : server.handleMessage(message);
+      if (Array.isArray(response) && response.length === 0) {
+        response = null;
+      }
+    } catch (err) {
+      response = errorResponse(null, RPC_ERRORS.PARSE_ERROR, 'Parse error');
+    }
+
+    if (response) {
+      output.write(JSON.stringify(response) + '\n');
+    }
+  });
+
+  return new Promise(resolve => rl.on('close', resolve));
+}
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+/**
+ * Upgrades older crmbl-map.json files (and the legacy monorepo-map.json) to the current schema version
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { SCHEMA_VERSION } from './schema.js';
+
+/**
+ * Filename used for the map before it was renamed to crmbl-map.json
+ */
+export const LEGACY_MAP_FILENAME = 'monorepo-map.json';
+
+/**
+ * Ordered migrations, each upgrading a map from one version to the next
+ * Maps written before versioning was introduced have no schemaVersion and count as version 0.
+ */
+const MIGRATIONS = [
+  {
+    from: 0,
+    to: 1,
+    migrate(map, changes) {
+      if (!map.generated) {
+        map.generated = new Date().toISOString();
+        changes.push('added missing "generated" timestamp');
+      }
+
+      const directories = {};
+      for (const [dirPath, entry] of Object.entries(map.directories || {})) {
+        let key = dirPath;
+        if (!key.startsWith('/')) {
+          key = '/' + key.replace(/^\.?\/*/, '');
+          changes.push(`renamed key "${dirPath}" to "${key}"`);
+        }
+
+        if (typeof entry.complexity === 'string' && /^\d+$/.test(entry.complexity.trim())) {
+          entry.complexity = Number(entry.complexity);
+          changes.push(`${key}: converted complexity to a number`);
+        }
+
+        if (directories[key]) {
+          changes.push(`${key}: dropped duplicate entry "${dirPath}"`);
+          continue;
+        }
+        directories[key] = entry;
+      }
+      map.directories = directories;
+    }
+  }
+];
+
+/**
+ * Reads the schema version of a map
+ * @param {Object} map - Parsed map
+ * @returns {number} The map's schemaVersion, or 0 for unversioned maps
+ */
+export function detectSchemaVersion(map) {
+  return Number.isInteger(map.schemaVersion) ? map.schemaVersion : 0;
+}
+
+/**
+ * Upgrades a map to the current schema version
+ * @param {Object} map - Parsed map (not modified)
+ * @returns {Object} { map, from, to, changes } where changes describes each edit made
+ */
+export function migrateMap(map) {
+  const from = detectSchemaVersion(map);
+  if (from > SCHEMA_VERSION) {
+    throw new Error(`Map schema version ${from} is newer than this crmbl supports (${SCHEMA_VERSION}). Upgrade crmbl.`);
+  }
+
+  const migrated = JSON.parse(JSON.stringify(map));
+  const changes = [];
+
+  for (const migration of MIGRATIONS) {
+    if (migration.from >= from && migration.to <= SCHEMA_VERSION) {
+      migration.migrate(migrated, changes);
+      changes.push(`upgraded schema version ${migration.from} → ${migration.to}`);
+    }
+  }
+
+  // Keep schemaVersion at the top so it's the first thing readers see
+  const { $schema, schemaVersion, ...rest } = migrated;
+  const result = {
+    ...($schema !== undefined ? { $schema } : {}),
+    schemaVersion: SCHEMA_VERSION,
+    ...rest
+  };
+
+  return { map: result, from, to: SCHEMA_VERSION, changes };
+}
+
+/**
+ * Finds the map to migrate, falling back to a legacy monorepo-map.json next to outputPath
+ * @param {string} outputPath - Configured map path
+ * @returns {Object|null} { path, legacy } or null if neither file exists
+ */
+export function locateMap(outputPath) {
+  const mapPath = path.resolve(outputPath);
+  if (fs.existsSync(mapPath)) {
+    return { path: mapPath, legacy: false };
+  }
+
+  const legacyPath = path.join(path.dirname(mapPath), LEGACY_MAP_FILENAME);
+  if (fs.existsSync(legacyPath)) {
+    return { path: legacyPath, legacy: true };
+  }
+
+  return null;
+}
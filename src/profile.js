@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+
+/**
+ * Phase timings for --profile
+ */
+
+/**
+ * Creates a profiler that records how long each phase of a command takes
+ * @returns {Object} { start(name) returning a stop(details) function, phases: recorded phases }
+ */
+export function createProfiler() {
+  const phases = [];
+
+  return {
+    phases,
+    start(name) {
+      const began = process.hrtime.bigint();
+      return (details = {}) => {
+        phases.push({ name, ms: Number(process.hrtime.bigint() - began) / 1e6, details });
+      };
+    }
+  };
+}
+
+/**
+ * Formats recorded phases as aligned text lines
+ * @param {Object[]} phases - Profiler phases
+ * @returns {string[]} One line per phase plus a total
+ */
+export function formatProfile(phases) {
+  const width = Math.max(5, ...phases.map(phase => phase.name.length));
+  const line = (name, ms, details = {}) => {
+    const extra = Object.entries(details).map(([key, value]) => `${key}=${value}`).join(' ');
+    return `${name.padEnd(width)}  ${ms.toFixed(1).padStart(9)} ms${extra ? `  ${extra}` : ''}`;
+  };
+
+  const total = phases.reduce((sum, phase) => sum + phase.ms, 0);
+  return [
+    ...phases.map(phase => line(phase.name, phase.ms, phase.details)),
+    line('total', total, { heapMB: Math.round(process.memoryUsage().heapUsed / 1048576) })
+  ];
+}
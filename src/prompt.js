@@ -0,0 +1,533 @@
+#!/usr/bin/env node
+
+/**
+ * Prompt generation: batches of directories to document, each with the context an agent needs
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { describeStaleness } from './fingerprint.js';
+import { packageForDirectory } from './workspaces.js';
+import { createIgnoreMatcher } from './ignore.js';
+import { estimateTokens, truncateToTokens } from './tokens.js';
+import { parseTemplate, renderTemplate } from './template.js';
+import { SCHEMA_VERSION } from './schema.js';
+
+/**
+ * Default limits for prompt batches and per-directory context
+ */
+export const DEFAULT_PROMPT_CONFIG = {
+  maxTokens: 32000,
+  treeDepth: 2,
+  treeEntries: 40,
+  excerptLines: 20
+};
+
+/**
+ * Generates the default prompt template
+ * @returns {string} Template with {{...}} placeholders
+ */
+export function generateDefaultPromptTemplate() {
+  return `# Monorepo Documentation Task
+{{#if batch.multiple}}
+
+> Batch {{batch.index}} of {{batch.total}}. Only document the directories listed below; the other batches cover the rest.
+{{/if}}
+
+I need you to help document the following directories in my monorepo by:
+1. Creating a README.md file in each directory
+2. Updating the crmbl-map.json file with metadata about each directory
+
+## New Directories to Document
+
+{{#each newDirs}}
+{{details}}
+
+{{else}}
+- None
+
+{{/each}}
+{{#if staleDirs}}
+## Stale Directories to Re-document
+
+These directories changed since their documentation was last updated. Please review and update their README.md and crmbl-map.json entries.
+
+{{#each staleDirs}}
+{{details}}
+
+{{/each}}
+{{/if}}
+
+## Instructions
+
+For each directory above, please:
+
+1. **Analyze the directory contents** to understand:
+   - What is the purpose of this directory?
+   - What are the key files and their roles?
+   - What dependencies does it have (internal and external)?
+   - What is the complexity level (1-5)?
+   - How frequently does it change?
+
+2. **Create a README.md** in each directory with:
+   - Clear purpose statement
+   - List of key files with descriptions
+   - Dependencies (both internal paths and external npm packages)
+   - Entry points for the code
+   - Any important architectural notes
+
+3. **Update crmbl-map.json** with a new entry for each directory following this schema (if the file doesn't exist yet, create it with \`"schemaVersion": {{schemaVersion}}\`, \`"generated"\` and \`"directories"\` at the top level; otherwise keep \`schemaVersion\` as it is):
+\`\`\`json
+{
+  "purpose": "Brief description of what this directory does",
+  "complexity": 1-5,
+  "changeFrequency": "Stable|Moderate|Frequently Modified",
+  "entryPoints": ["main.ts", "index.ts"],
+  "internalDeps": ["/other/directory/path"],
+  "externalDeps": ["package-name"],
+  "readmePath": "/path/to/README.md",
+  "keyFiles": [
+    {"file": "filename.ts", "description": "What it does"}
+  ],
+  "subdirectories": ["/path/to/subdirs"]
+}
+\`\`\`
+
+## Current Configuration
+- Root path: {{config.rootPath}}
+- Output file: {{config.outputPath}}
+
+Please be thorough and accurate in your documentation.
+`;
+}
+
+/**
+ * Lists facts crmbl detected about a new directory so the agent doesn't have to rediscover them
+ * @param {string} dir - Directory key
+ * @param {Object} scanResults - Scan results
+ * @param {Object} config - Configuration object
+ * @returns {string[]} Short hints
+ */
+export function describeDetectedFacts(dir, scanResults, config) {
+  const hints = [];
+
+  const deps = (scanResults.detectedDeps || {})[dir];
+  if (deps && (deps.internalDeps.length > 0 || deps.externalDeps.length > 0)) {
+    hints.push(`detected internalDeps: ${deps.internalDeps.join(', ') || 'none'}`);
+    hints.push(`externalDeps: ${deps.externalDeps.join(', ') || 'none'}`);
+  }
+
+  const pkg = scanResults.workspace ? packageForDirectory(scanResults.workspace, dir) : null;
+  if (pkg) {
+    const info = scanResults.workspace.packages[pkg];
+    const workspaceDeps = info.dependencies.length > 0 ? `, depends on ${info.dependencies.join(', ')}` : '';
+    hints.push(info.path === dir ? `workspace package ${pkg}${workspaceDeps}` : `inside package ${pkg}`);
+  }
+
+  const covered = Object.entries(scanResults.collapsedDirs || {})
+    .filter(([, { into }]) => into === dir)
+    .map(([child]) => child);
+  if (covered.length > 0) {
+    hints.push(`also covers: ${covered.join(', ')}`);
+  }
+
+  const history = scanResults.history && scanResults.history.available
+    ? scanResults.history.directories[dir]
+    : null;
+  if (history) {
+    const window = (config.history || {}).classifyWindow;
+    const commits = window ? ` (${history.commits[window]} commits in ${window} days)` : '';
+    hints.push(`changeFrequency from git: ${history.changeFrequency}${commits}`);
+    if (history.lastTouched) {
+      hints.push(`last touched: ${history.lastTouched.slice(0, 10)}`);
+    }
+  }
+
+  return hints;
+}
+
+/**
+ * Formats a byte count for humans
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "12.4 KB"
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Walks a directory for the prompt's file tree
+ * Subdirectories documented on their own are listed but not expanded; rolled-up ones are.
+ * @param {string} rootPath - Project root
+ * @param {string} dir - Directory key
+ * @param {Object} options - { ownDirs: Set of separately documented dirs, matcher, depth, maxEntries }
+ * @returns {Object} { lines, files, bytes, truncated }
+ */
+function walkFileTree(rootPath, dir, options) {
+  const lines = [];
+  let files = 0;
+  let bytes = 0;
+  let truncated = false;
+
+  // Files below the depth limit still count towards the size, they just aren't listed
+  const walk = (dirPath, depth, listed) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(path.join(rootPath, dirPath), { withFileTypes: true });
+    } catch (err) {
+      return;
+    }
+
+    entries.sort((a, b) => Number(b.isDirectory()) - Number(a.isDirectory()) || a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) {
+        continue;
+      }
+
+      const childPath = path.posix.join(dirPath, entry.name);
+      const list = (line) => {
+        if (!listed) {
+          return;
+        }
+        if (lines.length < options.maxEntries) {
+          lines.push('  '.repeat(depth) + line);
+        } else {
+          truncated = true;
+        }
+      };
+
+      if (entry.isDirectory()) {
+        if (options.matcher.isIgnored(childPath)) {
+          continue;
+        }
+        if (options.ownDirs.has(childPath)) {
+          list(`${entry.name}/ (documented separately)`);
+          continue;
+        }
+        list(`${entry.name}/`);
+        walk(childPath, depth + 1, listed && depth + 1 < options.depth);
+      } else if (entry.isFile()) {
+        let size;
+        try {
+          size = fs.statSync(path.join(rootPath, childPath)).size;
+        } catch (err) {
+          continue;
+        }
+        files++;
+        bytes += size;
+        list(`${entry.name} (${formatSize(size)})`);
+      }
+    }
+  };
+
+  walk(dir, 0, true);
+
+  return { lines, files, bytes, truncated };
+}
+
+/**
+ * Reads the first lines of a file
+ * @param {string} filePath - Absolute path
+ * @param {number} maxLines - Lines to keep
+ * @returns {string|null} Excerpt, or null if the file doesn't exist
+ */
+function readExcerpt(filePath, maxLines) {
+  try {
+    const lines = fs.readFileSync(filePath, 'utf-8').trimEnd().split('\n');
+    const excerpt = lines.slice(0, maxLines).join('\n');
+    return lines.length > maxLines ? `${excerpt}\n…` : excerpt;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Summarizes a package.json for the prompt
+ * @param {string} filePath - Absolute path to package.json
+ * @returns {string|null} JSON excerpt with the fields that describe the package
+ */
+function readPackageExcerpt(filePath) {
+  let pkg;
+  try {
+    pkg = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (err) {
+    return null;
+  }
+
+  const summary = {};
+  for (const field of ['name', 'version', 'description', 'main', 'module', 'bin', 'exports']) {
+    if (pkg[field] !== undefined) {
+      summary[field] = pkg[field];
+    }
+  }
+  for (const field of ['scripts', 'dependencies', 'peerDependencies']) {
+    if (pkg[field]) {
+      summary[field] = Object.keys(pkg[field]);
+    }
+  }
+  return JSON.stringify(summary, null, 2);
+}
+
+/**
+ * Finds the closest ancestor that is documented or about to be
+ * @param {string} dir - Directory key
+ * @param {Set<string>} ownDirs - Directories documented on their own
+ * @returns {string|null} Ancestor key, or null at the top level
+ */
+function findParent(dir, ownDirs) {
+  let current = dir;
+  while (current !== '/') {
+    current = path.posix.dirname(current);
+    if (ownDirs.has(current)) {
+      return current;
+    }
+  }
+  return null;
+}
+
+/**
+ * Collects what the prompt says about one directory, as variables for the template
+ * @param {string} dir - Directory key
+ * @param {Object} scanResults - Scan results
+ * @param {Object} config - Configuration object
+ * @param {Object} context - { ownDirs, matcher, map, reason } shared across directories
+ * @returns {Object} path, name, parent, parentPurpose, files, fileCount, size, tree, packageJson,
+ *   readme, hints, reason and details (the ready-made markdown block)
+ */
+export function collectDirectoryForPrompt(dir, scanResults, config, context) {
+  const limits = { ...DEFAULT_PROMPT_CONFIG, ...config.prompt };
+  const absoluteDir = path.join(config.rootPath, dir);
+  const tree = walkFileTree(config.rootPath, dir, {
+    ownDirs: context.ownDirs,
+    matcher: context.matcher,
+    depth: limits.treeDepth,
+    maxEntries: limits.treeEntries
+  });
+
+  let files = [];
+  try {
+    files = fs.readdirSync(absoluteDir, { withFileTypes: true })
+      .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+      .map(entry => entry.name)
+      .sort();
+  } catch (err) {
+    // Leave the list empty for unreadable directories
+  }
+
+  const parent = findParent(dir, context.ownDirs);
+  const parentEntry = parent && context.map && context.map.directories ? context.map.directories[parent] : null;
+
+  const info = {
+    path: dir,
+    name: path.posix.basename(dir),
+    parent,
+    parentPurpose: parentEntry ? parentEntry.purpose || null : null,
+    files,
+    fileCount: tree.files,
+    size: formatSize(tree.bytes),
+    tree: tree.lines.join('\n') + (tree.truncated ? '\n…' : ''),
+    packageJson: readPackageExcerpt(path.join(absoluteDir, 'package.json')),
+    readme: readExcerpt(path.join(absoluteDir, 'README.md'), limits.excerptLines),
+    hints: describeDetectedFacts(dir, scanResults, config),
+    reason: context.reason || null
+  };
+
+  return { ...info, details: formatDirectoryBlock(info) };
+}
+
+/**
+ * Builds the markdown block describing one directory: hints, size, file tree and excerpts
+ * @param {Object} info - Result of collectDirectoryForPrompt
+ * @returns {string} Markdown block
+ */
+function formatDirectoryBlock(info) {
+  const lines = [`### ${info.path}`, ''];
+  if (info.reason) {
+    lines.push(`- Changed since last documented: ${info.reason}`);
+  }
+  if (info.parentPurpose) {
+    lines.push(`- Parent ${info.parent}: ${info.parentPurpose}`);
+  }
+  for (const hint of info.hints) {
+    lines.push(`- ${hint}`);
+  }
+  lines.push(`- Size: ${info.fileCount} ${info.fileCount === 1 ? 'file' : 'files'}, ${info.size}`);
+
+  if (info.tree) {
+    lines.push('', 'Files:', '```', info.tree, '```');
+  }
+  if (info.packageJson) {
+    lines.push('', 'package.json:', '```json', info.packageJson, '```');
+  }
+  if (info.readme) {
+    lines.push('', 'Existing README.md (excerpt):', '```markdown', info.readme, '```');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Builds the markdown block describing one directory
+ * @param {string} dir - Directory key
+ * @param {Object} scanResults - Scan results
+ * @param {Object} config - Configuration object
+ * @param {Object} context - { ownDirs, matcher, map, reason } shared across directories
+ * @returns {string} Markdown block
+ */
+export function describeDirectoryForPrompt(dir, scanResults, config, context) {
+  return collectDirectoryForPrompt(dir, scanResults, config, context).details;
+}
+
+/**
+ * Builds the variables available to prompt templates for one batch
+ * The upper-case names are the placeholders older templates used.
+ * @param {Object} batch - { newDirs, staleDirs, missingDirs, index, total }
+ * @param {Object} scanResults - Scan results
+ * @param {Object} config - Configuration object
+ * @returns {Object} Template variables
+ */
+function batchVariables(batch, scanResults, config) {
+  const staleSection = batch.staleDirs.length > 0
+    ? `
+## Stale Directories to Re-document
+
+These directories changed since their documentation was last updated. Please review and update their README.md and crmbl-map.json entries.
+
+${batch.staleDirs.map(dir => dir.details).join('\n\n')}
+`
+    : '';
+
+  const batchInfo = batch.total > 1
+    ? `\n> Batch ${batch.index} of ${batch.total}. Only document the directories listed below; the other batches cover the rest.\n`
+    : '';
+
+  return {
+    newDirs: batch.newDirs,
+    staleDirs: batch.staleDirs,
+    missingDirs: batch.missingDirs,
+    batch: { index: batch.index, total: batch.total, multiple: batch.total > 1 },
+    stats: scanResults.stats,
+    config,
+    rootPath: config.rootPath,
+    outputPath: config.outputPath,
+    schemaVersion: SCHEMA_VERSION,
+    BATCH_INFO: batchInfo,
+    NEW_DIRS: batch.newDirs.length > 0 ? batch.newDirs.map(dir => dir.details).join('\n\n') : '- None',
+    STALE_DIRS: staleSection,
+    ROOT_PATH: config.rootPath,
+    OUTPUT_PATH: config.outputPath,
+    TOTAL_NEW: String(batch.newDirs.length)
+  };
+}
+
+/**
+ * Splits the directories to document into prompts that each fit a token budget
+ * Directories stay in scan order, so related directories usually share a batch. A single
+ * directory larger than the budget gets a batch of its own with its block trimmed.
+ * @param {string} template - Prompt template
+ * @param {Object} scanResults - Scan results
+ * @param {Object} config - Configuration object
+ * @param {Object} options - { includeStale: boolean, maxTokens: number, map: crmbl-map.json content for parent purposes }
+ * @returns {Object[]} Batches with prompt, newDirs, staleDirs and estimated tokens
+ */
+export function generatePromptBatches(template, scanResults, config, options = {}) {
+  const limits = { ...DEFAULT_PROMPT_CONFIG, ...config.prompt };
+  const maxTokens = options.maxTokens || limits.maxTokens;
+  const nodes = parseTemplate(template);
+  const render = variables => renderTemplate(nodes, variables);
+
+  const ownDirs = new Set([
+    ...scanResults.newDirs,
+    ...(scanResults.unchangedDirs || []),
+    ...(scanResults.staleDirs || [])
+  ]);
+  const matcher = createIgnoreMatcher(config.rootPath, config.ignore, { useGitignore: config.useGitignore });
+  const mapDirectories = (options.map && options.map.directories) || {};
+  const missingDirs = (scanResults.missingDirs || []).map(dir => ({
+    path: dir,
+    purpose: mapDirectories[dir] ? mapDirectories[dir].purpose || null : null
+  }));
+
+  const items = [
+    ...scanResults.newDirs.map(dir => ({ dir, stale: false })),
+    ...(options.includeStale ? scanResults.staleDirs || [] : []).map(dir => ({ dir, stale: true }))
+  ].map(item => ({
+    ...item,
+    info: collectDirectoryForPrompt(item.dir, scanResults, config, {
+      ownDirs,
+      matcher,
+      map: options.map,
+      reason: item.stale ? describeStaleness(scanResults.staleReasons[item.dir]) : null
+    })
+  }));
+
+  // Whatever the template and batch header cost is left out of the directory budget
+  const overhead = estimateTokens(render(batchVariables(
+    { newDirs: [], staleDirs: [], missingDirs, index: 999, total: 999 }, scanResults, config
+  )));
+  const budget = Math.max(maxTokens - overhead, 1);
+
+  const groups = [];
+  let current = [];
+  let used = 0;
+
+  for (const item of items) {
+    const cost = estimateTokens(item.info.details + '\n\n');
+    if (current.length > 0 && used + cost > budget) {
+      groups.push(current);
+      current = [];
+      used = 0;
+    }
+    if (cost > budget) {
+      item.info.details = truncateToTokens(item.info.details, budget, '… (trimmed to fit the prompt budget)');
+    }
+    current.push(item);
+    used += cost;
+  }
+  if (current.length > 0) {
+    groups.push(current);
+  }
+
+  return groups.map((group, idx) => {
+    const newItems = group.filter(item => !item.stale);
+    const staleItems = group.filter(item => item.stale);
+    const prompt = render(batchVariables({
+      newDirs: newItems.map(item => item.info),
+      staleDirs: staleItems.map(item => item.info),
+      // Deleted directories only need handling once
+      missingDirs: idx === 0 ? missingDirs : [],
+      index: idx + 1,
+      total: groups.length
+    }, scanResults, config));
+
+    return {
+      prompt,
+      newDirs: newItems.map(item => item.dir),
+      staleDirs: staleItems.map(item => item.dir),
+      tokens: estimateTokens(prompt)
+    };
+  });
+}
+
+/**
+ * Names the file for a batch: crmbl-prompt.txt becomes crmbl-prompt-001.txt, -002, ...
+ * @param {string} outputPath - Configured prompt path
+ * @param {number} index - 1-based batch number
+ * @param {number} total - Number of batches (a single batch keeps the plain name)
+ * @returns {string} File path
+ */
+export function batchFilePath(outputPath, index, total) {
+  if (total <= 1) {
+    return outputPath;
+  }
+  const ext = path.extname(outputPath);
+  const base = outputPath.slice(0, outputPath.length - ext.length);
+  return `${base}-${String(index).padStart(3, '0')}${ext}`;
+}
@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+
+/**
+ * Removes missing directories from the map, migrating entries that were moved or renamed
+ */
+
+import path from 'path';
+import { EMPTY_FILE_HASH, fingerprintDirectory } from './fingerprint.js';
+import { hasGitHistory, runGit } from './history.js';
+import { removeDirectories } from './schema.js';
+
+/**
+ * Minimum similarity for a new directory to be considered the new home of a missing one
+ */
+export const MOVE_THRESHOLD = 0.5;
+
+/**
+ * Minimum number of non-empty files a new directory must share with a missing one
+ * before a fingerprint match counts, so a few boilerplate files don't pass for a move
+ */
+export const MIN_MOVE_FILES = 2;
+
+const RENAME_HISTORY_DEPTH = 200;
+
+/**
+ * Scores how much of a missing directory's recorded contents reappear in a new directory.
+ * Files match on name and content; empty files are left out since they all hash the same.
+ * @param {Object} previous - Fingerprint recorded on the missing entry
+ * @param {Object} current - Fingerprint of the new directory
+ * @returns {number} Similarity between 0 and 1, or 0 if fewer than MIN_MOVE_FILES files match
+ */
+export function fingerprintSimilarity(previous, current) {
+  const contentFiles = fingerprint => Object.entries(fingerprint.files || {})
+    .filter(([, hash]) => hash !== EMPTY_FILE_HASH)
+    .map(([name, hash]) => `${name}:${hash}`);
+
+  const before = contentFiles(previous);
+  const after = new Set(contentFiles(current));
+  const matches = before.filter(file => after.has(file)).length;
+  if (matches < MIN_MOVE_FILES) {
+    return 0;
+  }
+
+  return matches / Math.max(before.length, after.size);
+}
+
+/**
+ * Counts file renames between directories from git (working tree and recent commits)
+ * @param {string} rootPath - Project root
+ * @returns {Object} Map of "from" directory key to { [to]: count }
+ */
+function readGitRenames(rootPath) {
+  const renames = {};
+  if (!hasGitHistory(rootPath)) {
+    return renames;
+  }
+
+  const cwd = path.resolve(rootPath);
+  const outputs = [
+    runGit(cwd, ['diff', '-M', '--name-status', '--diff-filter=R', '--relative', 'HEAD']),
+    runGit(cwd, ['log', '-M', '--name-status', '--diff-filter=R', '--relative', '--format=',
+      `--max-count=${RENAME_HISTORY_DEPTH}`])
+  ];
+
+  for (const output of outputs) {
+    if (!output) {
+      continue;
+    }
+
+    for (const line of output.split('\n')) {
+      const [status, from, to] = line.split('\t');
+      if (!status || !status.startsWith('R') || !from || !to) {
+        continue;
+      }
+
+      const fromDir = '/' + path.posix.dirname(from);
+      const toDir = '/' + path.posix.dirname(to);
+      if (fromDir === toDir) {
+        continue;
+      }
+
+      renames[fromDir] = renames[fromDir] || {};
+      renames[fromDir][toDir] = (renames[fromDir][toDir] || 0) + 1;
+    }
+  }
+
+  return renames;
+}
+
+/**
+ * Matches missing directories to new directories they were probably moved to
+ * @param {string} rootPath - Project root
+ * @param {Object} map - The crmbl-map.json content
+ * @param {string[]} missingDirs - Directories in the map that no longer exist
+ * @param {string[]} newDirs - Directories on disk that aren't in the map
+ * @returns {Object[]} Moves with from, to, method ('fingerprint' or 'git') and score
+ */
+export function detectMoves(rootPath, map, missingDirs, newDirs) {
+  const renames = readGitRenames(rootPath);
+  const currentFingerprints = {};
+  for (const dir of newDirs) {
+    currentFingerprints[dir] = fingerprintDirectory(rootPath, dir);
+  }
+
+  const candidates = [];
+  for (const from of missingDirs) {
+    const entry = map.directories[from] || {};
+    const fileRenames = renames[from] || {};
+    const totalRenames = Object.values(fileRenames).reduce((sum, count) => sum + count, 0);
+
+    for (const to of newDirs) {
+      const current = currentFingerprints[to];
+      const fingerprintScore = entry.fingerprint && current
+        ? fingerprintSimilarity(entry.fingerprint, current)
+        : 0;
+      const gitScore = totalRenames > 0 ? (fileRenames[to] || 0) / totalRenames : 0;
+
+      const score = Math.max(fingerprintScore, gitScore);
+      if (score >= MOVE_THRESHOLD) {
+        candidates.push({
+          from,
+          to,
+          method: fingerprintScore >= gitScore ? 'fingerprint' : 'git',
+          score: Math.round(score * 100) / 100
+        });
+      }
+    }
+  }
+
+  // Greedily pair the strongest matches so each directory is used at most once
+  candidates.sort((a, b) => b.score - a.score || a.from.localeCompare(b.from) || a.to.localeCompare(b.to));
+  const usedFrom = new Set();
+  const usedTo = new Set();
+  const moves = [];
+
+  for (const candidate of candidates) {
+    if (usedFrom.has(candidate.from) || usedTo.has(candidate.to)) {
+      continue;
+    }
+    usedFrom.add(candidate.from);
+    usedTo.add(candidate.to);
+    moves.push(candidate);
+  }
+
+  return moves.sort((a, b) => a.from.localeCompare(b.from));
+}
+
+/**
+ * Rewrites a path if it is the moved directory or inside it
+ * @param {string} value - Path to rewrite
+ * @param {string} from - Old directory key
+ * @param {string} to - New directory key
+ * @returns {string} Rewritten path
+ */
+function rewritePath(value, from, to) {
+  if (value === from) {
+    return to;
+  }
+  if (typeof value === 'string' && value.startsWith(from + '/')) {
+    return to + value.slice(from.length);
+  }
+  return value;
+}
+
+/**
+ * Moves a map entry to a new directory key and updates references to it
+ * @param {Object} map - The crmbl-map.json content (modified in place)
+ * @param {string} from - Old directory key
+ * @param {string} to - New directory key
+ * @returns {Object} Updated map
+ */
+export function migrateEntry(map, from, to) {
+  const entry = map.directories[from];
+  if (!entry) {
+    return map;
+  }
+
+  delete map.directories[from];
+  map.directories[to] = {
+    ...entry,
+    readmePath: rewritePath(entry.readmePath, from, to),
+    keyFiles: (entry.keyFiles || []).map(kf => ({ ...kf, file: rewritePath(kf.file, from, to) })),
+    entryPoints: (entry.entryPoints || []).map(file => rewritePath(file, from, to)),
+    subdirectories: (entry.subdirectories || []).map(dir => rewritePath(dir, from, to))
+  };
+
+  for (const other of Object.values(map.directories)) {
+    if (Array.isArray(other.internalDeps)) {
+      other.internalDeps = other.internalDeps.map(dep => rewritePath(dep, from, to));
+    }
+    if (Array.isArray(other.subdirectories)) {
+      other.subdirectories = other.subdirectories.map(dir => rewritePath(dir, from, to));
+    }
+  }
+
+  map.generated = new Date().toISOString();
+
+  return map;
+}
+
+/**
+ * Plans which missing directories to migrate and which to remove
+ * @param {string} rootPath - Project root
+ * @param {Object} map - The crmbl-map.json content
+ * @param {Object} scanResults - Results from scanDirectories
+ * @param {Object} options - { detectMoves: boolean }
+ * @returns {Object} Plan with moves and removals
+ */
+export function planPrune(rootPath, map, scanResults, options = {}) {
+  const { missingDirs, newDirs } = scanResults;
+  const moves = options.detectMoves === false ? [] : detectMoves(rootPath, map, missingDirs, newDirs);
+  const moved = new Set(moves.map(move => move.from));
+
+  return {
+    moves,
+    removals: missingDirs.filter(dir => !moved.has(dir))
+  };
+}
+
+/**
+ * Applies a prune plan to the map
+ * @param {Object} map - The crmbl-map.json content
+ * @param {Object} plan - Plan from planPrune
+ * @returns {Object} Updated map
+ */
+export function applyPrunePlan(map, plan) {
+  for (const { from, to } of plan.moves) {
+    migrateEntry(map, from, to);
+  }
+
+  const removed = new Set(plan.removals);
+  const result = removeDirectories(map, plan.removals);
+
+  // Drop dangling references to the removed directories
+  for (const entry of Object.values(result.directories)) {
+    if (Array.isArray(entry.internalDeps)) {
+      entry.internalDeps = entry.internalDeps.filter(dep => !removed.has(dep));
+    }
+    if (Array.isArray(entry.subdirectories)) {
+      entry.subdirectories = entry.subdirectories.filter(dir => !removed.has(dir));
+    }
+  }
+
+  return result;
+}
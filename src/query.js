@@ -0,0 +1,229 @@
+#!/usr/bin/env node
+
+/**
+ * Ranked lookups over crmbl-map.json so agents don't have to load the whole map
+ */
+
+import { minimatch } from 'minimatch';
+import { CHANGE_FREQUENCIES } from './schema.js';
+import { isWithin } from './workspaces.js';
+import { packageName } from './deps.js';
+
+/**
+ * How much a search term matching each field contributes to the score
+ */
+const FIELD_WEIGHTS = {
+  path: 3,
+  purpose: 2,
+  keyFile: 1.5,
+  keyFileDescription: 1,
+  entryPoint: 1
+};
+
+/**
+ * Words dropped from free-text searches such as "where is auth handled"
+ */
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'how', 'i',
+  'in', 'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'we', 'what', 'when', 'where',
+  'which', 'who', 'why', 'with'
+]);
+
+/**
+ * Splits free text into lowercase search terms
+ * @param {string|string[]} text - Search text
+ * @returns {string[]} Unique terms
+ */
+export function tokenize(text) {
+  const joined = Array.isArray(text) ? text.join(' ') : (text || '');
+  const terms = joined.toLowerCase().split(/[^a-z0-9@_-]+/).filter(Boolean);
+  return Array.from(new Set(terms));
+}
+
+/**
+ * Search terms from free text without stopwords, unless the text is nothing but stopwords
+ * @param {string|string[]} text - Search text
+ * @returns {string[]} Unique terms
+ */
+export function searchTerms(text) {
+  const terms = tokenize(text);
+  const meaningful = terms.filter(term => !STOPWORDS.has(term));
+  return meaningful.length > 0 ? meaningful : terms;
+}
+
+/**
+ * Parses a complexity filter such as "3", "2-4", ">=3" or "<3"
+ * @param {string|number} value - Filter expression
+ * @returns {Object} { min, max } inclusive bounds
+ */
+export function parseComplexityRange(value) {
+  const text = String(value).trim();
+  let match;
+
+  if ((match = text.match(/^(\d)$/))) {
+    return { min: Number(match[1]), max: Number(match[1]) };
+  }
+  if ((match = text.match(/^(\d)\s*-\s*(\d)$/))) {
+    return { min: Number(match[1]), max: Number(match[2]) };
+  }
+  if ((match = text.match(/^(>=|<=|>|<)\s*(\d)$/))) {
+    const n = Number(match[2]);
+    switch (match[1]) {
+      case '>=': return { min: n, max: 5 };
+      case '>': return { min: n + 1, max: 5 };
+      case '<=': return { min: 1, max: n };
+      default: return { min: 1, max: n - 1 };
+    }
+  }
+
+  throw new Error(`Invalid complexity filter "${value}". Use a score (3), a range (2-4) or a comparison (>=3)`);
+}
+
+/**
+ * Normalizes changeFrequency filters, accepting case-insensitive and comma-separated values
+ * @param {string|string[]} value - One or more frequencies
+ * @returns {string[]} Canonical frequency names
+ */
+export function parseFrequencies(value) {
+  const requested = (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+
+  return requested.map(item => {
+    const canonical = CHANGE_FREQUENCIES.find(freq => freq.toLowerCase() === item.toLowerCase());
+    if (!canonical) {
+      throw new Error(`Invalid change frequency "${item}". Use one of: ${CHANGE_FREQUENCIES.join(', ')}`);
+    }
+    return canonical;
+  });
+}
+
+/**
+ * Checks whether a directory matches a path filter (a directory key prefix or a glob)
+ * @param {string} dirPath - Directory key
+ * @param {string} pattern - e.g. "/packages/api" or "packages/*"
+ * @returns {boolean} True if the directory matches
+ */
+function matchesPath(dirPath, pattern) {
+  if (/[*?[\]{}]/.test(pattern)) {
+    return minimatch(dirPath.slice(1), pattern.replace(/^\//, ''), { dot: true });
+  }
+  const prefix = '/' + pattern.replace(/^\/+|\/+$/g, '');
+  return prefix === '/' || isWithin(dirPath, prefix);
+}
+
+/**
+ * Checks whether an entry depends on a directory or an external package
+ * Directory keys (starting with "/") also match dependencies on their subdirectories.
+ * @param {Object} entry - Map entry
+ * @param {string} dependency - Directory key or package name
+ * @returns {string|null} The matching declared dependency, or null
+ */
+function findDependency(entry, dependency) {
+  if (dependency.startsWith('/')) {
+    const target = dependency.replace(/\/+$/, '') || '/';
+    return (entry.internalDeps || []).find(dep => isWithin(dep, target)) || null;
+  }
+  return (entry.externalDeps || []).find(dep => dep === dependency || packageName(dep) === dependency) || null;
+}
+
+/**
+ * Scores how well an entry matches the search terms
+ * Entries matching only some of the terms are kept, scaled down by the share of terms they match.
+ * @param {string} dirPath - Directory key
+ * @param {Object} entry - Map entry
+ * @param {string[]} terms - Search terms
+ * @returns {Object|null} { score, matches } or null if no term matches
+ */
+function scoreEntry(dirPath, entry, terms) {
+  const fields = [
+    { name: 'path', weight: FIELD_WEIGHTS.path, text: dirPath },
+    { name: 'purpose', weight: FIELD_WEIGHTS.purpose, text: entry.purpose || '' },
+    ...(entry.entryPoints || []).map(file => ({ name: `entryPoints:${file}`, weight: FIELD_WEIGHTS.entryPoint, text: file })),
+    ...(entry.keyFiles || []).flatMap(({ file, description }) => [
+      { name: `keyFiles:${file}`, weight: FIELD_WEIGHTS.keyFile, text: file || '' },
+      { name: `keyFiles:${file}`, weight: FIELD_WEIGHTS.keyFileDescription, text: description || '' }
+    ])
+  ];
+
+  let score = 0;
+  let matchedTerms = 0;
+  const matches = new Set();
+
+  for (const term of terms) {
+    let termScore = 0;
+    for (const field of fields) {
+      const words = tokenize(field.text);
+      if (words.includes(term)) {
+        termScore += field.weight;
+        matches.add(field.name);
+      } else if (field.text.toLowerCase().includes(term)) {
+        // Partial matches ("auth" in "authentication") count for half
+        termScore += field.weight / 2;
+        matches.add(field.name);
+      }
+    }
+    if (termScore > 0) {
+      matchedTerms++;
+      score += termScore;
+    }
+  }
+
+  if (matchedTerms === 0) {
+    return null;
+  }
+  return { score: score * matchedTerms / terms.length, matches: Array.from(matches) };
+}
+
+/**
+ * Searches the map and ranks matching directories
+ * @param {Object} map - The crmbl-map.json content
+ * @param {Object} options - { text, complexity, changeFrequency, dependsOn, path, limit }
+ * @returns {Object[]} Results with directory, score, matches and the entry's summary fields
+ */
+export function queryMap(map, options = {}) {
+  const terms = searchTerms(options.text);
+  const complexity = options.complexity !== undefined ? parseComplexityRange(options.complexity) : null;
+  const frequencies = options.changeFrequency !== undefined ? parseFrequencies(options.changeFrequency) : null;
+  const results = [];
+
+  for (const [dirPath, entry] of Object.entries(map.directories || {})) {
+    if (options.path && !matchesPath(dirPath, options.path)) {
+      continue;
+    }
+    if (complexity && !(entry.complexity >= complexity.min && entry.complexity <= complexity.max)) {
+      continue;
+    }
+    if (frequencies && !frequencies.includes(entry.changeFrequency)) {
+      continue;
+    }
+
+    let dependency = null;
+    if (options.dependsOn) {
+      dependency = findDependency(entry, options.dependsOn);
+      if (!dependency) {
+        continue;
+      }
+    }
+
+    const scored = terms.length > 0 ? scoreEntry(dirPath, entry, terms) : { score: 0, matches: [] };
+    if (!scored) {
+      continue;
+    }
+
+    results.push({
+      directory: dirPath,
+      score: Math.round(scored.score * 100) / 100,
+      matches: dependency ? [...scored.matches, `dependsOn:${dependency}`] : scored.matches,
+      purpose: entry.purpose || '',
+      complexity: entry.complexity,
+      changeFrequency: entry.changeFrequency,
+      readmePath: entry.readmePath || null
+    });
+  }
+
+  results.sort((a, b) => b.score - a.score || a.directory.localeCompare(b.directory));
+
+  return options.limit ? results.slice(0, options.limit) : results;
+}
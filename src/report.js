@@ -0,0 +1,325 @@
+#!/usr/bin/env node
+
+/**
+ * Machine-readable output for `crmbl verify` and `crmbl scan`
+ *
+ * Results are first turned into findings ({ rule, level, directory, file, line, message }),
+ * then rendered as JSON, JUnit XML, SARIF or GitHub Actions workflow commands.
+ */
+
+import path from 'path';
+import { describeStaleness } from './fingerprint.js';
+import { LINT_RULES } from './lint.js';
+
+/**
+ * Process exit codes shared by verify and scan
+ */
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  DOCS_INCOMPLETE: 1,
+  INVALID_INPUT: 2,
+  INTERNAL_ERROR: 3
+};
+
+export const OUTPUT_FORMATS = ['text', 'json', 'junit', 'sarif', 'github'];
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+/**
+ * Rules reported outside of the lint rules, with what they mean
+ */
+export const REPORT_RULES = {
+  'readme-missing': 'A documented directory has no README',
+  'dependency-mismatch': 'Declared internalDeps/externalDeps disagree with detected imports',
+  'change-frequency-mismatch': 'Declared changeFrequency disagrees with git history',
+  'undocumented-directory': 'A directory has no entry in crmbl-map.json',
+  'stale-directory': 'Files changed since the directory was documented',
+  'missing-directory': 'A crmbl-map.json entry points at a directory that no longer exists',
+  'coverage-minimum': 'Documentation coverage is below coverage.minimum',
+  'coverage-policy': 'Documentation coverage of a path is below its policy minimum',
+  'coverage-regression': 'Documentation coverage dropped below the committed baseline',
+  ...Object.fromEntries(Object.entries(LINT_RULES).map(([code, rule]) => [code, rule.description]))
+};
+
+/**
+ * Formats a dependency mismatch from verifyDocumentation as readable lines
+ * @param {Object} mismatch - Entry from verification.dependencyMismatches
+ * @returns {string[]} One line per kind of disagreement
+ */
+export function describeDependencyMismatch(mismatch) {
+  const lines = [];
+  const labels = {
+    undeclaredInternal: 'imported but not in internalDeps',
+    unusedInternal: 'in internalDeps but not imported',
+    undeclaredExternal: 'imported but not in externalDeps',
+    unusedExternal: 'in externalDeps but not imported'
+  };
+
+  for (const [field, label] of Object.entries(labels)) {
+    if (mismatch[field].length > 0) {
+      lines.push(`${label}: ${mismatch[field].join(', ')}`);
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Turns verifyDocumentation results into findings
+ * @param {Object} verification - Result of verifyDocumentation
+ * @param {Object} options - { strictDeps: boolean, classifyWindow: days used for changeFrequency, coverageFailures: from checkCoverage }
+ * @returns {Object[]} Findings, errors first
+ */
+export function verificationFindings(verification, options = {}) {
+  const findings = [];
+
+  // One finding per undocumented directory, so annotations land on the directories to fix
+  for (const failure of options.coverageFailures || []) {
+    const directories = failure.directories.length > 0 ? failure.directories : [failure.scope];
+    for (const directory of directories) {
+      findings.push({
+        rule: failure.rule,
+        level: 'error',
+        directory,
+        file: directory.startsWith('/') ? directory : '/',
+        line: null,
+        message: failure.directories.length > 0 ? `${directory} is not documented. ${failure.message}` : failure.message
+      });
+    }
+  }
+
+  for (const { directory, expectedReadme } of verification.missingReadmes) {
+    const hasPath = expectedReadme.startsWith('/');
+    findings.push({
+      rule: 'readme-missing',
+      level: 'error',
+      directory,
+      file: hasPath ? expectedReadme : directory,
+      line: null,
+      message: hasPath ? `README ${expectedReadme} does not exist` : `${directory} has no readmePath`
+    });
+  }
+
+  for (const violation of verification.violations || []) {
+    findings.push({
+      rule: violation.rule,
+      level: violation.severity === 'error' ? 'error' : 'warning',
+      directory: violation.directory,
+      file: violation.file,
+      line: violation.line,
+      message: violation.message
+    });
+  }
+
+  for (const mismatch of verification.dependencyMismatches || []) {
+    findings.push({
+      rule: 'dependency-mismatch',
+      level: options.strictDeps ? 'error' : 'warning',
+      directory: mismatch.directory,
+      file: mismatch.directory,
+      line: null,
+      message: describeDependencyMismatch(mismatch).join('; ')
+    });
+  }
+
+  for (const { directory, declared, computed, commits } of verification.frequencyMismatches || []) {
+    const window = options.classifyWindow;
+    const detail = window && commits ? ` (${commits[window]} commits in ${window} days)` : '';
+    findings.push({
+      rule: 'change-frequency-mismatch',
+      level: 'warning',
+      directory,
+      file: directory,
+      line: null,
+      message: `changeFrequency is ${declared}, git history says ${computed}${detail}`
+    });
+  }
+
+  return sortFindings(findings);
+}
+
+/**
+ * Turns scanDirectories results into findings
+ * @param {Object} results - Result of scanDirectories
+ * @returns {Object[]} Findings, one per new, stale or missing directory
+ */
+export function scanFindings(results) {
+  const finding = (rule, directory, message) => ({ rule, level: 'warning', directory, file: directory, line: null, message });
+
+  return [
+    ...results.newDirs.map(dir => finding('undocumented-directory', dir, `${dir} is not documented yet`)),
+    ...results.staleDirs.map(dir => finding('stale-directory', dir, `${dir} changed since it was documented: ${describeStaleness(results.staleReasons[dir])}`)),
+    ...results.missingDirs.map(dir => finding('missing-directory', dir, `${dir} no longer exists`))
+  ];
+}
+
+/**
+ * Orders findings errors first, then warnings, then notes
+ * @param {Object[]} findings - Findings
+ * @returns {Object[]} Sorted copy
+ */
+function sortFindings(findings) {
+  const order = { error: 0, warning: 1, note: 2 };
+  return [...findings].sort((a, b) => order[a.level] - order[b.level]);
+}
+
+/**
+ * Converts a map path like "/packages/api/README.md" into a path relative to the working directory
+ * @param {string} rootPath - Project root from the config
+ * @param {string} file - Path relative to the root, with a leading slash
+ * @returns {string} Forward-slash relative path, "." for the working directory itself
+ */
+export function toWorkspacePath(rootPath, file) {
+  const relative = path.relative(process.cwd(), path.join(path.resolve(rootPath), file));
+  return relative.split(path.sep).join('/') || '.';
+}
+
+/**
+ * Escapes text for XML attributes and content
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Renders a report as JSON
+ * @param {Object} report - { command, valid, exitCode, summary, findings }
+ * @returns {string} JSON text
+ */
+function formatJson(report) {
+  const { command, valid, exitCode, summary, findings } = report;
+  return JSON.stringify({ command, valid, exitCode, summary, findings }, null, 2);
+}
+
+/**
+ * Renders a report as a JUnit XML test suite with one test case per directory
+ * @param {Object} report - { command, directories, findings }
+ * @returns {string} XML text
+ */
+function formatJunit(report) {
+  const byDirectory = new Map(report.directories.map(dir => [dir, []]));
+  for (const finding of report.findings) {
+    if (!byDirectory.has(finding.directory)) {
+      byDirectory.set(finding.directory, []);
+    }
+    byDirectory.get(finding.directory).push(finding);
+  }
+
+  const cases = [...byDirectory.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([directory, findings]) => {
+    const errors = findings.filter(finding => finding.level === 'error');
+    const others = findings.filter(finding => finding.level !== 'error');
+    const lines = [`    <testcase classname="crmbl.${report.command}" name="${escapeXml(directory)}">`];
+
+    for (const finding of errors) {
+      const location = finding.file + (finding.line ? `:${finding.line}` : '');
+      lines.push(`      <failure type="${finding.rule}" message="${escapeXml(finding.message)}">${escapeXml(`${location} ${finding.message}`)}</failure>`);
+    }
+    if (others.length > 0) {
+      const text = others.map(finding => `${finding.level}: ${finding.message} (${finding.rule})`).join('\n');
+      lines.push(`      <system-out>${escapeXml(text)}</system-out>`);
+    }
+
+    lines.push('    </testcase>');
+    return lines.join('\n');
+  });
+
+  const failures = report.findings.filter(finding => finding.level === 'error').length;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="crmbl" tests="${byDirectory.size}" failures="${failures}">`,
+    `  <testsuite name="crmbl ${report.command}" tests="${byDirectory.size}" failures="${failures}">`,
+    ...cases,
+    '  </testsuite>',
+    '</testsuites>'
+  ].join('\n');
+}
+
+/**
+ * Renders a report as a SARIF 2.1.0 log
+ * @param {Object} report - { findings, rootPath, version }
+ * @returns {string} JSON text
+ */
+function formatSarif(report) {
+  const ruleIds = [...new Set(report.findings.map(finding => finding.rule))].sort();
+
+  const results = report.findings.map(finding => {
+    const region = finding.line ? { region: { startLine: finding.line } } : {};
+    return {
+      ruleId: finding.rule,
+      ruleIndex: ruleIds.indexOf(finding.rule),
+      level: finding.level,
+      message: { text: finding.message },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: toWorkspacePath(report.rootPath, finding.file), uriBaseId: '%SRCROOT%' },
+          ...region
+        }
+      }]
+    };
+  });
+
+  return JSON.stringify({
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'crmbl',
+          version: report.version,
+          rules: ruleIds.map(id => ({
+            id,
+            shortDescription: { text: REPORT_RULES[id] || id }
+          }))
+        }
+      },
+      results
+    }]
+  }, null, 2);
+}
+
+/**
+ * Renders findings as GitHub Actions workflow commands, which show up as annotations on pull requests
+ * @param {Object} report - { findings, rootPath }
+ * @returns {string} One command per line
+ */
+function formatGithub(report) {
+  const escapeData = text => String(text).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+  const escapeProperty = text => escapeData(text).replace(/:/g, '%3A').replace(/,/g, '%2C');
+  const commands = { error: 'error', warning: 'warning', note: 'notice' };
+
+  return report.findings.map(finding => {
+    const properties = [`file=${escapeProperty(toWorkspacePath(report.rootPath, finding.file))}`];
+    if (finding.line) {
+      properties.push(`line=${finding.line}`);
+    }
+    properties.push(`title=${escapeProperty(`crmbl ${finding.rule}`)}`);
+    return `::${commands[finding.level]} ${properties.join(',')}::${escapeData(finding.message)}`;
+  }).join('\n');
+}
+
+/**
+ * Renders a report in one of the machine-readable formats
+ * @param {string} format - json, junit, sarif or github
+ * @param {Object} report - { command, valid, exitCode, summary, directories, findings, rootPath, version }
+ * @returns {string} Rendered output
+ */
+export function formatReport(format, report) {
+  switch (format) {
+    case 'json':
+      return formatJson(report);
+    case 'junit':
+      return formatJunit(report);
+    case 'sarif':
+      return formatSarif(report);
+    case 'github':
+      return formatGithub(report);
+    default:
+      throw new Error(`Unknown format "${format}" (use one of: ${OUTPUT_FORMATS.join(', ')})`);
+  }
+}
@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+
+/**
+ * Pre-filled README stubs generated from the README template
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { detectDependencies } from './deps.js';
+import { computeHistory } from './history.js';
+
+/**
+ * Marker for sections that need human or agent judgment
+ */
+export const TODO_MARKER = 'TODO(crmbl):';
+
+const BUNDLED_TEMPLATE = path.join(path.dirname(fileURLToPath(import.meta.url)), '../templates/readme-template.md');
+const ENTRY_POINT_PATTERN = /^(index|main|app|server|cli|mod|lib)\.(js|mjs|cjs|jsx|ts|tsx|mts|cts|py|go|rs)$/;
+
+/**
+ * Loads the README template from the config, falling back to the bundled one
+ * @param {string} templatePath - Configured readmeTemplate (relative to the working directory)
+ * @returns {string} Template contents
+ */
+export function loadReadmeTemplate(templatePath) {
+  if (templatePath && fs.existsSync(path.resolve(templatePath))) {
+    return fs.readFileSync(path.resolve(templatePath), 'utf-8');
+  }
+  return fs.readFileSync(BUNDLED_TEMPLATE, 'utf-8');
+}
+
+/**
+ * Finds files that look like entry points, including package.json main/bin/exports targets
+ * @param {string} absoluteDir - Absolute directory path
+ * @param {string[]} files - File names directly in the directory
+ * @returns {string[]} Entry point file names
+ */
+export function detectEntryPoints(absoluteDir, files) {
+  const entryPoints = new Set(files.filter(file => ENTRY_POINT_PATTERN.test(file)));
+
+  if (files.includes('package.json')) {
+    try {
+      const pkg = JSON.parse(fs.readFileSync(path.join(absoluteDir, 'package.json'), 'utf-8'));
+      const targets = [pkg.main, pkg.module];
+      if (typeof pkg.bin === 'string') {
+        targets.push(pkg.bin);
+      } else if (pkg.bin) {
+        targets.push(...Object.values(pkg.bin));
+      }
+      if (typeof pkg.exports === 'string') {
+        targets.push(pkg.exports);
+      } else if (pkg.exports && typeof pkg.exports['.'] === 'string') {
+        targets.push(pkg.exports['.']);
+      }
+
+      for (const target of targets.filter(Boolean)) {
+        entryPoints.add(path.posix.normalize(target).replace(/^\.\//, ''));
+      }
+    } catch (err) {
+      // An unreadable package.json just means no declared entry points
+    }
+  }
+
+  return Array.from(entryPoints).sort();
+}
+
+/**
+ * Collects everything crmbl can determine about a directory without an LLM
+ * @param {Object} config - Configuration object
+ * @param {string} dirPath - Directory key
+ * @param {string[]} knownDirs - All scanned directory keys (used for subdirectories)
+ * @param {Object} detected - Precomputed { deps, history } for the directory, if any
+ * @returns {Object} Facts used to render the README
+ */
+export function collectFacts(config, dirPath, knownDirs, detected = {}) {
+  const absoluteDir = path.join(config.rootPath, dirPath);
+  const files = fs.readdirSync(absoluteDir, { withFileTypes: true })
+    .filter(entry => entry.isFile() && !entry.name.startsWith('.') && entry.name !== 'README.md')
+    .map(entry => entry.name)
+    .sort();
+
+  return {
+    name: path.posix.basename(dirPath),
+    date: new Date().toISOString().slice(0, 10),
+    files,
+    entryPoints: detectEntryPoints(absoluteDir, files),
+    subdirectories: knownDirs.filter(dir => path.posix.dirname(dir) === dirPath).sort(),
+    deps: detected.deps || { internalDeps: [], externalDeps: [] },
+    history: detected.history || null
+  };
+}
+
+/**
+ * Splits a markdown template into a preamble and heading-delimited sections
+ * @param {string} template - Template contents
+ * @returns {Object[]} Blocks with heading (null for the preamble) and body lines
+ */
+function splitTemplate(template) {
+  const blocks = [{ heading: null, line: null, body: [] }];
+
+  for (const line of template.split('\n')) {
+    const match = line.match(/^#{2,3}\s+(.+?)\s*$/);
+    if (match) {
+      blocks.push({ heading: match[1], line, body: [] });
+    } else {
+      blocks[blocks.length - 1].body.push(line);
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Replaces the template's example lines (placeholders, list items or table rows) with generated ones
+ * @param {string[]} body - Section body lines
+ * @param {RegExp} pattern - Which lines are examples to replace
+ * @param {string[]} replacement - Generated lines
+ * @returns {string[]} New body
+ */
+function replaceExamples(body, pattern, replacement) {
+  const first = body.findIndex(line => pattern.test(line));
+  if (first === -1) {
+    return body;
+  }
+
+  let last = first;
+  while (last + 1 < body.length && pattern.test(body[last + 1])) {
+    last++;
+  }
+
+  return [...body.slice(0, first), ...replacement, ...body.slice(last + 1)];
+}
+
+/**
+ * Formats a list of items as markdown bullets
+ * @param {string[]} items - Items to list
+ * @param {string} suffix - Text after each item
+ * @returns {string[]} Lines
+ */
+function bullets(items, suffix = '') {
+  return items.length > 0 ? items.map(item => `- \`${item}\`${suffix}`) : ['- None'];
+}
+
+/**
+ * Renders a README from the template and collected facts
+ * @param {string} template - README template
+ * @param {Object} facts - Result of collectFacts
+ * @returns {string} README contents
+ */
+export function renderReadme(template, facts) {
+  const placeholder = /^\s*\*{0,2}\[.*\]/;
+  const listItem = /^\s*[-*]\s+/;
+  const tableRow = /^\s*\|(?!\s*-)(?!\s*File\s*\|)/;
+
+  const blocks = splitTemplate(template).map(block => {
+    let body = block.body;
+
+    switch (block.heading) {
+      case null:
+        body = body.map(line => line
+          .replace('[Directory Name]', facts.name)
+          .replace('[YYYY-MM-DD]', facts.date));
+        break;
+      case 'Purpose':
+        body = replaceExamples(body, placeholder, [`${TODO_MARKER} Describe what this directory does and why it exists.`]);
+        break;
+      case 'Complexity Score':
+        body = replaceExamples(body, placeholder, [`**?/5** - ${TODO_MARKER} Score from 1 to 5 and justify.`]);
+        break;
+      case 'Change Frequency': {
+        const history = facts.history;
+        const line = history
+          ? `**${history.changeFrequency}** (computed from git history)`
+          : `**${TODO_MARKER} Stable | Moderate | Frequently Modified**`;
+        body = replaceExamples(body, placeholder, [line]);
+        break;
+      }
+      case 'Key Files':
+        body = replaceExamples(body, tableRow, facts.files.length > 0
+          ? facts.files.map(file => `| \`${file}\` | ${TODO_MARKER} describe |`)
+          : ['| - | No files directly in this directory |']);
+        break;
+      case 'Entry Points':
+        body = replaceExamples(body, listItem, bullets(facts.entryPoints, ` - ${TODO_MARKER} describe`));
+        break;
+      case 'Internal Dependencies':
+        body = replaceExamples(body, listItem, bullets(facts.deps.internalDeps, ` - ${TODO_MARKER} what it provides`));
+        break;
+      case 'External Dependencies':
+        body = replaceExamples(body, listItem, bullets(facts.deps.externalDeps, ` - ${TODO_MARKER} what it's used for`));
+        break;
+      case 'Architecture Notes':
+        body = replaceExamples(body, placeholder, [`${TODO_MARKER} Note important patterns, decisions and gotchas.`]);
+        break;
+      case 'Related Directories':
+        body = replaceExamples(body, listItem, bullets(facts.subdirectories, ' - Subdirectory'));
+        break;
+      default:
+        break;
+    }
+
+    return block.heading === null ? body : [block.line, ...body];
+  });
+
+  return blocks.flat().join('\n');
+}
+
+/**
+ * Creates README stubs for directories, never overwriting existing READMEs unless forced
+ * @param {Object} config - Configuration object
+ * @param {string[]} dirs - Directory keys to scaffold
+ * @param {Object} options - { force, dryRun, knownDirs, template }
+ * @returns {Object} Lists of created and skipped README paths
+ */
+export function scaffoldReadmes(config, dirs, options = {}) {
+  const template = options.template || loadReadmeTemplate(config.readmeTemplate);
+  const knownDirs = options.knownDirs || dirs;
+  const deps = detectDependencies(config.rootPath, dirs);
+  const history = computeHistory(config.rootPath, dirs, config.history);
+
+  const created = [];
+  const skipped = [];
+
+  for (const dirPath of dirs) {
+    const readmePath = path.posix.join(dirPath, 'README.md');
+    const fullPath = path.join(config.rootPath, readmePath);
+
+    if (fs.existsSync(fullPath) && !options.force) {
+      skipped.push(readmePath);
+      continue;
+    }
+
+    const facts = collectFacts(config, dirPath, knownDirs, {
+      deps: deps[dirPath],
+      history: history.available ? history.directories[dirPath] : null
+    });
+
+    if (!options.dryRun) {
+      fs.writeFileSync(fullPath, renderReadme(template, facts), 'utf-8');
+    }
+    created.push(readmePath);
+  }
+
+  return { created, skipped };
+}
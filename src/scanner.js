@@ -2,7 +2,15 @@
 
 import fs from 'fs';
 import path from 'path';
-import { glob } from 'glob';
+import { detectDependencies, compareDependencies } from './deps.js';
+import { detectWorkspaces, syncWorkspaceTags } from './workspaces.js';
+import { applyGranularity, evaluateDirectory } from './granularity.js';
+import { computeHistory, fillLastUpdated, findFrequencyMismatches } from './history.js';
+import { fingerprintDirectory, diffFingerprints, hasCurrentFingerprint, recordFingerprints } from './fingerprint.js';
+import { lintDocumentation } from './lint.js';
+import { walkDirectories } from './walker.js';
+import { loadMap, saveMap } from './shards.js';
+import { createProfiler } from './profile.js';
 
 /**
  * Scans a directory tree and compares it against existing crmbl-map.json
@@ -10,91 +18,133 @@ import { glob } from 'glob';
  * @param {string} config.rootPath - Root directory to scan
  * @param {string[]} config.ignore - Patterns to ignore
  * @param {string} config.outputPath - Path to crmbl-map.json
- * @returns {Promise<Object>} Scan results with newDirs, missingDirs, unchangedDirs
+ * @param {boolean} config.sharded - Whether entries live in per-directory .crumb.json files
+ * @param {string|null} config.cachePath - Walk cache file, or null to always walk the whole tree
+ * @param {Object} config.history - Git history settings
+ * @param {Object} config.granularity - Rules for which directories are documented on their own
+ * @param {Object} options - { profiler: from createProfiler, cache: read and update the walk cache, writeMap: save fingerprints, lastUpdated and workspace tags to the map }
+ * @returns {Promise<Object>} Scan results with newDirs, missingDirs, unchangedDirs, staleDirs, collapsedDirs, detectedDeps, history, workspace, warnings
  */
-export async function scanDirectories(config) {
-  const { rootPath, ignore, outputPath } = config;
+export async function scanDirectories(config, options = {}) {
+  const { rootPath, ignore, history, granularity } = config;
+  const profiler = options.profiler || createProfiler();
 
   // Read existing map if it exists
-  const existingMap = readExistingMap(outputPath);
+  let stop = profiler.start('read map');
+  // A malformed map throws: treating it as empty would report every directory as new
+  const existingMap = loadMap(config);
   const existingDirs = existingMap ? Object.keys(existingMap.directories || {}) : [];
+  const existingSet = new Set(existingDirs);
+  stop({ entries: existingDirs.length });
 
   // Find all directories in the project
-  const currentDirs = await findAllDirectories(rootPath, ignore);
+  stop = profiler.start('walk');
+  const walk = walkDirectories(rootPath, ignore, {
+    useGitignore: config.useGitignore,
+    cachePath: options.cache ? config.cachePath : null
+  });
+  const allDirs = walk.dirs;
+  stop(walk.stats);
 
-  // Compare current state with existing map
-  const results = compareDirectories(currentDirs, existingDirs, rootPath);
+  // Roll trivial directories up into their nearest documented ancestor.
+  // Directories that were documented before the rules changed keep their entries.
+  stop = profiler.start('granularity');
+  const { collapsed } = applyGranularity(rootPath, allDirs, granularity);
+  const currentDirs = allDirs.filter(dir => !collapsed[dir] || existingSet.has(dir));
+  const collapsedDirs = Object.fromEntries(
+    Object.entries(collapsed).filter(([dir]) => !existingSet.has(dir))
+  );
+  stop({ collapsed: Object.keys(collapsedDirs).length });
 
-  return results;
-}
+  // Find documented directories whose contents changed since they were documented.
+  // Entries without a lastUpdated get one from git first, so staleness has a baseline.
+  stop = profiler.start('fingerprints');
+  const lastUpdatedFilled = existingMap ? fillLastUpdated(rootPath, existingMap, history) : [];
+  const staleness = findStaleDirectories(rootPath, existingMap, currentDirs);
 
-/**
- * Reads the existing crmbl-map.json file
- * @param {string} outputPath - Path to the JSON file
- * @returns {Object|null} Parsed JSON or null if doesn't exist
- */
-function readExistingMap(outputPath) {
-  try {
-    if (fs.existsSync(outputPath)) {
-      const content = fs.readFileSync(outputPath, 'utf-8');
-      return JSON.parse(content);
-    }
-  } catch (error) {
-    console.warn(`Warning: Could not read existing map at ${outputPath}:`, error.message);
+  // Start tracking entries that were documented since their last fingerprint
+  const fingerprinted = existingMap
+    ? recordFingerprints(rootPath, existingMap, currentDirs.filter(dir => {
+      const entry = existingMap.directories[dir];
+      return entry && !hasCurrentFingerprint(entry);
+    }))
+    : [];
+  stop({ stale: Object.keys(staleness).length, recorded: fingerprinted.length });
+
+  // Tag workspace packages and record the package dependency graph
+  stop = profiler.start('workspaces');
+  const workspace = detectWorkspaces(rootPath, allDirs);
+  const tagsChanged = existingMap ? syncWorkspaceTags(existingMap, workspace) : false;
+
+  if (options.writeMap && (lastUpdatedFilled.length > 0 || fingerprinted.length > 0 || tagsChanged)) {
+    existingMap.generated = new Date().toISOString();
+    saveMap(config, existingMap);
   }
-  return null;
+  stop({ packages: Object.keys(workspace.packages).length });
+
+  // Compare current state with existing map
+  const results = compareDirectories(currentDirs, existingDirs, rootPath, staleness);
+
+  // Pre-compute dependencies so new entries don't rely on hand-written deps
+  stop = profiler.start('dependencies');
+  const warnings = [];
+  results.detectedDeps = detectDependencies(rootPath, results.newDirs, warnings);
+  stop({ directories: results.newDirs.length });
+
+  stop = profiler.start('history');
+  results.history = computeHistory(rootPath, results.newDirs, history);
+  stop();
+
+  results.collapsedDirs = collapsedDirs;
+  results.stats.collapsed = Object.keys(collapsedDirs).length;
+  results.fingerprinted = fingerprinted;
+  results.lastUpdatedFilled = lastUpdatedFilled;
+  results.workspace = workspace;
+  results.warnings = warnings;
+
+  return results;
 }
 
 /**
  * Finds all directories in the given root path, excluding ignored patterns
+ * Ignored subtrees are pruned before descending, and .gitignore/.crmblignore files
+ * are read as the walk reaches them.
  * @param {string} rootPath - Root directory to scan
  * @param {string[]} ignorePatterns - Patterns to ignore
+ * @param {Object} options - { useGitignore: boolean, cachePath: walk cache file }
  * @returns {Promise<string[]>} Array of relative directory paths
  */
-async function findAllDirectories(rootPath, ignorePatterns) {
-  const absoluteRoot = path.resolve(rootPath);
-
-  // Build ignore patterns for glob
-  const ignoreGlobs = ignorePatterns.map(pattern => `**/${pattern}/**`);
-
-  // Find all directories
-  const pattern = '**/*';
-  const files = await glob(pattern, {
-    cwd: absoluteRoot,
-    ignore: ignoreGlobs,
-    nodir: false,
-    dot: false,
-    absolute: false
-  });
+export async function findAllDirectories(rootPath, ignorePatterns, options = {}) {
+  return walkDirectories(rootPath, ignorePatterns, options).dirs;
+}
 
-  // Filter to only directories and normalize paths
-  const dirs = new Set();
-
-  for (const file of files) {
-    const fullPath = path.join(absoluteRoot, file);
-
-    try {
-      const stats = fs.statSync(fullPath);
-      if (stats.isDirectory()) {
-        // Store as relative path with leading slash for consistency
-        const relativePath = '/' + file.replace(/\\/g, '/');
-        dirs.add(relativePath);
-
-        // Also add all parent directories
-        const parts = file.split(path.sep);
-        for (let i = 1; i < parts.length; i++) {
-          const parentPath = '/' + parts.slice(0, i).join('/');
-          dirs.add(parentPath);
-        }
-      }
-    } catch (err) {
-      // Skip files that can't be accessed
+/**
+ * Compares recorded fingerprints with current directory contents
+ * @param {string} rootPath - Project root
+ * @param {Object|null} existingMap - The crmbl-map.json content
+ * @param {string[]} currentDirs - Directories found in current scan
+ * @returns {Object} Map of stale directory key to { added, removed, modified }
+ */
+function findStaleDirectories(rootPath, existingMap, currentDirs) {
+  const staleness = {};
+  if (!existingMap || !existingMap.directories) {
+    return staleness;
+  }
+
+  for (const dir of currentDirs) {
+    const entry = existingMap.directories[dir];
+    if (!entry || !hasCurrentFingerprint(entry)) {
       continue;
     }
+
+    const current = fingerprintDirectory(rootPath, dir, entry.readmePath);
+    const diff = current && diffFingerprints(entry.fingerprint, current);
+    if (diff) {
+      staleness[dir] = diff;
+    }
   }
 
-  // Sort for consistent output
-  return Array.from(dirs).sort();
+  return staleness;
 }
 
 /**
@@ -102,24 +152,29 @@ async function findAllDirectories(rootPath, ignorePatterns) {
  * @param {string[]} currentDirs - Directories found in current scan
  * @param {string[]} existingDirs - Directories in existing map
  * @param {string} rootPath - Root path for filtering
- * @returns {Object} Results with newDirs, missingDirs, unchangedDirs
+ * @param {Object} staleness - Stale directories from findStaleDirectories
+ * @returns {Object} Results with newDirs, missingDirs, unchangedDirs, staleDirs
  */
-function compareDirectories(currentDirs, existingDirs, rootPath) {
+function compareDirectories(currentDirs, existingDirs, rootPath, staleness = {}) {
   const currentSet = new Set(currentDirs);
   const existingSet = new Set(existingDirs);
 
   const newDirs = currentDirs.filter(dir => !existingSet.has(dir));
   const missingDirs = existingDirs.filter(dir => !currentSet.has(dir));
-  const unchangedDirs = currentDirs.filter(dir => existingSet.has(dir));
+  const staleDirs = currentDirs.filter(dir => existingSet.has(dir) && staleness[dir]);
+  const unchangedDirs = currentDirs.filter(dir => existingSet.has(dir) && !staleness[dir]);
 
   return {
     newDirs: newDirs.sort(),
     missingDirs: missingDirs.sort(),
     unchangedDirs: unchangedDirs.sort(),
+    staleDirs: staleDirs.sort(),
+    staleReasons: Object.fromEntries(staleDirs.map(dir => [dir, staleness[dir]])),
     stats: {
       total: currentDirs.length,
       new: newDirs.length,
       missing: missingDirs.length,
+      stale: staleDirs.length,
       documented: unchangedDirs.length
     }
   };
@@ -144,7 +199,7 @@ export function saveScanResults(results, outputPath = './scan-results.json') {
  * Verifies that all directories have corresponding READMEs
  * @param {Object} config - Configuration object
  * @param {Object} map - The crmbl-map.json content
- * @returns {Object} Verification results with missing READMEs
+ * @returns {Object} Verification results with missing READMEs, lint violations, dependency and changeFrequency mismatches
  */
 export function verifyDocumentation(config, map) {
   if (!map || !map.directories) {
@@ -156,9 +211,17 @@ export function verifyDocumentation(config, map) {
   }
 
   const missingReadmes = [];
+  const skippedDirs = [];
   const { rootPath } = config;
 
   for (const [dirPath, dirInfo] of Object.entries(map.directories)) {
+    // Directories the granularity rules roll up don't need their own README
+    if (fs.existsSync(path.join(rootPath, dirPath)) &&
+        !evaluateDirectory(rootPath, dirPath, config.granularity).documentable) {
+      skippedDirs.push(dirPath);
+      continue;
+    }
+
     if (dirInfo.readmePath) {
       const fullPath = path.join(rootPath, dirInfo.readmePath);
       if (!fs.existsSync(fullPath)) {
@@ -175,10 +238,45 @@ export function verifyDocumentation(config, map) {
     }
   }
 
+  const warnings = [];
+  const dependencyMismatches = findDependencyMismatches(rootPath, map, warnings);
+  const history = computeHistory(rootPath, Object.keys(map.directories), config.history);
+  const frequencyMismatches = findFrequencyMismatches(map, history);
+  const violations = lintDocumentation(config, map, { skip: skippedDirs });
+
   return {
-    valid: missingReadmes.length === 0,
+    valid: missingReadmes.length === 0 && !violations.some(violation => violation.severity === 'error'),
     missingReadmes,
-    totalDirectories: Object.keys(map.directories).length,
-    documented: Object.keys(map.directories).length - missingReadmes.length
+    violations,
+    skippedDirs,
+    dependencyMismatches,
+    historyAvailable: history.available,
+    frequencyMismatches,
+    warnings,
+    totalDirectories: Object.keys(map.directories).length - skippedDirs.length,
+    documented: Object.keys(map.directories).length - skippedDirs.length - missingReadmes.length
   };
 }
+
+/**
+ * Compares declared internalDeps/externalDeps with the ones detected from source
+ * @param {string} rootPath - Project root
+ * @param {Object} map - The crmbl-map.json content
+ * @param {string[]} warnings - Collects problems from dependency detection
+ * @returns {Object[]} Entries whose declared deps disagree with detected ones
+ */
+function findDependencyMismatches(rootPath, map, warnings) {
+  const existingDirs = Object.keys(map.directories)
+    .filter(dir => fs.existsSync(path.join(rootPath, dir)));
+  const detected = detectDependencies(rootPath, existingDirs, warnings);
+
+  const mismatches = [];
+  for (const dir of existingDirs) {
+    const diff = compareDependencies(map.directories[dir], detected[dir]);
+    if (diff) {
+      mismatches.push({ directory: dir, ...diff });
+    }
+  }
+
+  return mismatches;
+}
@@ -4,12 +4,24 @@
  * JSON schema and validation for crmbl-map.json
  */
 
+/**
+ * Current version of the crmbl-map.json format
+ * Bump this and add a migration in src/migrate.js whenever the shape changes.
+ */
+export const SCHEMA_VERSION = 1;
+
+/**
+ * Valid values for the changeFrequency field
+ */
+export const CHANGE_FREQUENCIES = ['Stable', 'Moderate', 'Frequently Modified', 'Unknown'];
+
 /**
  * Creates a new empty monorepo map structure
  * @returns {Object} Empty map with metadata
  */
 export function createEmptyMap() {
   return {
+    schemaVersion: SCHEMA_VERSION,
     generated: new Date().toISOString(),
     directories: {}
   };
@@ -35,39 +47,83 @@ export function createDirectoryEntry(info = {}) {
   };
 }
 
+/**
+ * Builds a JSON pointer (RFC 6901) from path segments
+ * @param {...(string|number)} segments - Path segments
+ * @returns {string} Pointer such as "/directories/~1src~1api/complexity"
+ */
+export function jsonPointer(...segments) {
+  return segments
+    .map(segment => '/' + String(segment).replace(/~/g, '~0').replace(/\//g, '~1'))
+    .join('');
+}
+
 /**
  * Validates a monorepo map structure
  * @param {Object} map - The map to validate
- * @returns {Object} Validation result with valid flag and errors array
+ * @returns {Object} Validation result with valid flag, errors ("<pointer>: message") and details ({ path, message })
  */
 export function validateMap(map) {
-  const errors = [];
+  const details = [];
+  const report = (pointer, message) => details.push({ path: pointer, message });
+
+  if (!map || typeof map !== 'object') {
+    report('', 'map must be an object');
+    return toResult(details);
+  }
 
-  if (!map) {
-    return { valid: false, errors: ['Map is null or undefined'] };
+  if (map.schemaVersion === undefined) {
+    report('/schemaVersion', 'missing required field (run "crmbl migrate" to upgrade older maps)');
+  } else if (!Number.isInteger(map.schemaVersion) || map.schemaVersion < 1) {
+    report('/schemaVersion', 'must be a positive integer');
+  } else if (map.schemaVersion > SCHEMA_VERSION) {
+    report('/schemaVersion', `version ${map.schemaVersion} is newer than this crmbl supports (${SCHEMA_VERSION})`);
   }
 
   if (!map.generated) {
-    errors.push('Missing required field: generated');
+    report('/generated', 'missing required field');
   } else if (isNaN(Date.parse(map.generated))) {
-    errors.push('Invalid date format for generated field');
+    report('/generated', 'must be an ISO-8601 date');
+  }
+
+  if (map.packages !== undefined) {
+    if (typeof map.packages !== 'object' || map.packages === null || Array.isArray(map.packages)) {
+      report('/packages', 'must be an object');
+    } else {
+      for (const [name, pkg] of Object.entries(map.packages)) {
+        if (!pkg || typeof pkg.path !== 'string') {
+          report(jsonPointer('packages', name, 'path'), 'missing required field');
+        } else if (pkg.dependencies !== undefined && !Array.isArray(pkg.dependencies)) {
+          report(jsonPointer('packages', name, 'dependencies'), 'must be an array');
+        }
+      }
+    }
   }
 
   if (!map.directories) {
-    errors.push('Missing required field: directories');
-  } else if (typeof map.directories !== 'object') {
-    errors.push('directories field must be an object');
+    report('/directories', 'missing required field');
+  } else if (typeof map.directories !== 'object' || Array.isArray(map.directories)) {
+    report('/directories', 'must be an object');
   } else {
     // Validate each directory entry
     for (const [dirPath, dirInfo] of Object.entries(map.directories)) {
-      const dirErrors = validateDirectoryEntry(dirPath, dirInfo);
-      errors.push(...dirErrors);
+      validateDirectoryEntry(dirPath, dirInfo, report);
     }
   }
 
+  return toResult(details);
+}
+
+/**
+ * Converts collected validation details into the validateMap result
+ * @param {Object[]} details - Errors with path and message
+ * @returns {Object} Validation result
+ */
+function toResult(details) {
   return {
-    valid: errors.length === 0,
-    errors
+    valid: details.length === 0,
+    errors: details.map(({ path, message }) => `${path || '/'}: ${message}`),
+    details
   };
 }
 
@@ -75,59 +131,72 @@ export function validateMap(map) {
  * Validates a single directory entry
  * @param {string} dirPath - The directory path key
  * @param {Object} dirInfo - The directory information
- * @returns {string[]} Array of error messages
+ * @param {Function} report - Callback receiving (pointer, message) for each error
  */
-function validateDirectoryEntry(dirPath, dirInfo) {
-  const errors = [];
-  const prefix = `Directory '${dirPath}':`;
+function validateDirectoryEntry(dirPath, dirInfo, report) {
+  const at = (...segments) => jsonPointer('directories', dirPath, ...segments);
+
+  if (!dirPath.startsWith('/')) {
+    report(at(), 'directory keys must start with "/"');
+  }
 
-  if (typeof dirInfo !== 'object') {
-    return [`${prefix} must be an object`];
+  if (typeof dirInfo !== 'object' || dirInfo === null || Array.isArray(dirInfo)) {
+    report(at(), 'must be an object');
+    return;
   }
 
   // Check required fields
   if (dirInfo.purpose === undefined) {
-    errors.push(`${prefix} missing 'purpose' field`);
+    report(at('purpose'), 'missing required field');
+  } else if (typeof dirInfo.purpose !== 'string') {
+    report(at('purpose'), 'must be a string');
   }
 
   if (dirInfo.complexity !== undefined) {
     if (typeof dirInfo.complexity !== 'number' || dirInfo.complexity < 1 || dirInfo.complexity > 5) {
-      errors.push(`${prefix} complexity must be a number between 1 and 5`);
+      report(at('complexity'), 'must be a number between 1 and 5');
     }
   }
 
-  if (dirInfo.changeFrequency !== undefined) {
-    const validFrequencies = ['Stable', 'Moderate', 'Frequently Modified', 'Unknown'];
-    if (!validFrequencies.includes(dirInfo.changeFrequency)) {
-      errors.push(`${prefix} changeFrequency must be one of: ${validFrequencies.join(', ')}`);
-    }
+  if (dirInfo.changeFrequency !== undefined && !CHANGE_FREQUENCIES.includes(dirInfo.changeFrequency)) {
+    report(at('changeFrequency'), `must be one of: ${CHANGE_FREQUENCIES.join(', ')}`);
   }
 
   // Validate array fields
   const arrayFields = ['entryPoints', 'internalDeps', 'externalDeps', 'subdirectories'];
   for (const field of arrayFields) {
     if (dirInfo[field] !== undefined && !Array.isArray(dirInfo[field])) {
-      errors.push(`${prefix} ${field} must be an array`);
+      report(at(field), 'must be an array');
+    }
+  }
+
+  if (dirInfo.package !== undefined) {
+    if (typeof dirInfo.package !== 'object' || dirInfo.package === null || typeof dirInfo.package.name !== 'string') {
+      report(at('package'), "must be an object with a 'name' string");
+    }
+  }
+
+  if (dirInfo.fingerprint !== undefined) {
+    if (typeof dirInfo.fingerprint !== 'object' || dirInfo.fingerprint === null || typeof dirInfo.fingerprint.hash !== 'string') {
+      report(at('fingerprint'), "must be an object with a 'hash' string");
     }
   }
 
   // Validate keyFiles structure
   if (dirInfo.keyFiles !== undefined) {
     if (!Array.isArray(dirInfo.keyFiles)) {
-      errors.push(`${prefix} keyFiles must be an array`);
+      report(at('keyFiles'), 'must be an array');
     } else {
       dirInfo.keyFiles.forEach((kf, idx) => {
-        if (!kf.file) {
-          errors.push(`${prefix} keyFiles[${idx}] missing 'file' field`);
+        if (!kf || !kf.file) {
+          report(at('keyFiles', idx, 'file'), 'missing required field');
         }
-        if (!kf.description) {
-          errors.push(`${prefix} keyFiles[${idx}] missing 'description' field`);
+        if (!kf || !kf.description) {
+          report(at('keyFiles', idx, 'description'), 'missing required field');
         }
       });
     }
   }
-
-  return errors;
 }
 
 /**
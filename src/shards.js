@@ -0,0 +1,295 @@
+#!/usr/bin/env node
+
+/**
+ * Reading and writing the map in either layout: a single crmbl-map.json, or (with
+ * "sharded": true) a .crumb.json next to each documented directory, assembled into
+ * crmbl-map.json. Writes are deterministic: keys are sorted, unchanged files are left
+ * alone and "generated" only moves when the content does.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createEmptyMap } from './schema.js';
+import { walkDirectories } from './walker.js';
+import { CrmblError, ERROR_CODES } from './errors.js';
+import { migrateMap } from './migrate.js';
+
+/**
+ * Name of the per-directory map entry in sharded mode
+ */
+export const CRUMB_FILENAME = '.crumb.json';
+
+/**
+ * Path of a directory's crumb file
+ * @param {string} rootPath - Root directory
+ * @param {string} dir - Directory key, e.g. "/src/api"
+ * @returns {string} Absolute path of the .crumb.json
+ */
+export function crumbPath(rootPath, dir) {
+  return path.join(path.resolve(rootPath), dir, CRUMB_FILENAME);
+}
+
+/**
+ * Finds the crumb files in the scanned tree
+ * @param {Object} config - Configuration object
+ * @returns {Object} Absolute crumb paths keyed by directory, sorted
+ */
+export function findCrumbs(config) {
+  const { dirs } = walkDirectories(config.rootPath, config.ignore, {
+    useGitignore: config.useGitignore,
+    cachePath: config.cachePath
+  });
+
+  const crumbs = {};
+  for (const dir of ['/', ...dirs]) {
+    const filePath = crumbPath(config.rootPath, dir);
+    if (fs.existsSync(filePath)) {
+      crumbs[dir] = filePath;
+    }
+  }
+  return crumbs;
+}
+
+/**
+ * Reads every crumb file into map directory entries
+ * @param {Object} config - Configuration object
+ * @returns {Object} Directory entries keyed by directory
+ */
+export function readCrumbs(config) {
+  const directories = {};
+
+  for (const [dir, filePath] of Object.entries(findCrumbs(config))) {
+    let entry;
+    try {
+      entry = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+      throw new CrmblError(`Invalid ${filePath}: ${error.message}`, ERROR_CODES.MAP_INVALID, [error.message]);
+    }
+    if (typeof entry !== 'object' || entry === null || Array.isArray(entry)) {
+      throw new CrmblError(`Invalid ${filePath}`, ERROR_CODES.MAP_INVALID, ['A crumb must be a directory entry object']);
+    }
+    directories[dir] = entry;
+  }
+
+  return directories;
+}
+
+/**
+ * Reads a crmbl-map.json file
+ * @param {string} mapPath - Path to the map
+ * @returns {Object|null} The map, or null if there is no file
+ */
+export function readMapFile(mapPath) {
+  if (!fs.existsSync(mapPath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(mapPath, 'utf-8'));
+  } catch (error) {
+    throw new CrmblError(`Invalid crmbl-map.json: ${error.message}`, ERROR_CODES.MAP_INVALID, [error.message]);
+  }
+}
+
+/**
+ * Loads the map in whichever layout the config uses. In sharded mode the directory
+ * entries come from the crumbs and everything else (schemaVersion, packages) from crmbl-map.json.
+ * Maps written before schemaVersion existed are upgraded in memory; the file changes on the next write.
+ * @param {Object} config - Configuration object
+ * @param {Object} options - { migrate: false to return an unversioned map as it is on disk }
+ * @returns {Object|null} The map, or null if nothing has been documented yet
+ */
+export function loadMap(config, options = {}) {
+  const map = readLayout(config);
+  if (!map || map.schemaVersion !== undefined || options.migrate === false) {
+    return map;
+  }
+  return migrateMap(map).map;
+}
+
+/**
+ * Reads the map from crmbl-map.json and, in sharded mode, the crumbs
+ * @param {Object} config - Configuration object
+ * @returns {Object|null} The map as stored, or null if nothing has been documented yet
+ */
+function readLayout(config) {
+  const mapPath = path.resolve(config.outputPath);
+  const map = readMapFile(mapPath);
+  if (!config.sharded) {
+    return map;
+  }
+
+  const directories = readCrumbs(config);
+  if (Object.keys(directories).length === 0) {
+    if (map && Object.keys(map.directories || {}).length > 0) {
+      throw new CrmblError(`No ${CRUMB_FILENAME} files found, but ${path.basename(mapPath)} has entries`, ERROR_CODES.MAP_NOT_FOUND, [
+        'Run "crmbl assemble --split" to move them into crumb files'
+      ]);
+    }
+    if (!map) {
+      return null;
+    }
+  }
+
+  return { ...(map || createEmptyMap()), directories };
+}
+
+/**
+ * Saves the map in whichever layout the config uses. In sharded mode each entry is
+ * written to its crumb, crumbs of removed entries are deleted and crmbl-map.json is
+ * reassembled. Entries of directories that no longer exist have nowhere to live and are dropped.
+ * @param {Object} config - Configuration object
+ * @param {Object} map - The map
+ * @returns {Object} { written: files that changed, removed: crumb files deleted }
+ */
+export function saveMap(config, map) {
+  const mapPath = path.resolve(config.outputPath);
+  const written = [];
+  const removed = [];
+  let saved = map;
+
+  if (config.sharded) {
+    const directories = {};
+    for (const [dir, entry] of Object.entries(map.directories || {})) {
+      const filePath = crumbPath(config.rootPath, dir);
+      if (!fs.existsSync(path.dirname(filePath))) {
+        continue;
+      }
+      directories[dir] = entry;
+      if (writeIfChanged(filePath, JSON.stringify(entry, null, 2))) {
+        written.push(filePath);
+      }
+    }
+
+    for (const [dir, filePath] of Object.entries(findCrumbs(config))) {
+      if (!directories[dir]) {
+        fs.unlinkSync(filePath);
+        removed.push(filePath);
+      }
+    }
+    saved = { ...map, directories };
+  }
+
+  if (writeIfChanged(mapPath, serializeMap(saved, safeReadMapFile(mapPath)))) {
+    written.push(mapPath);
+  }
+
+  return { written, removed };
+}
+
+/**
+ * Serializes a map with sorted directory and package keys, keeping the previous
+ * "generated" timestamp unless something else changed
+ * @param {Object} map - The map
+ * @param {Object|null} previous - Map currently on disk
+ * @returns {string} JSON
+ */
+export function serializeMap(map, previous = null) {
+  const normalize = (value) => {
+    const normalized = { ...value, directories: sortKeys(value.directories || {}) };
+    if (value.packages) {
+      normalized.packages = sortKeys(value.packages);
+    }
+    return normalized;
+  };
+
+  const next = normalize(map);
+  if (previous && previous.generated) {
+    const withoutTimestamp = value => JSON.stringify({ ...value, generated: undefined });
+    if (withoutTimestamp(next) === withoutTimestamp(normalize(previous))) {
+      next.generated = previous.generated;
+    }
+  }
+
+  return JSON.stringify(next, null, 2);
+}
+
+/**
+ * Builds crmbl-map.json from the crumbs
+ * @param {Object} config - Configuration object (sharded)
+ * @returns {Object} { map, content: what crmbl-map.json should contain, upToDate: whether it already does }
+ */
+export function assembleMap(config) {
+  const mapPath = path.resolve(config.outputPath);
+  const previous = safeReadMapFile(mapPath);
+  // Stamped now, but serializeMap keeps the previous timestamp if nothing else changed
+  const map = { ...(loadMap(config) || createEmptyMap()), generated: new Date().toISOString() };
+  const content = serializeMap(map, previous);
+
+  return {
+    map,
+    content,
+    upToDate: fs.existsSync(mapPath) && fs.readFileSync(mapPath, 'utf-8') === content
+  };
+}
+
+/**
+ * Moves the entries of crmbl-map.json into crumb files, for switching to sharded mode
+ * @param {Object} config - Configuration object (sharded)
+ * @returns {Object} { written, removed } as from saveMap, plus skipped: entries whose directory no longer exists
+ */
+export function splitMap(config) {
+  const mapPath = path.resolve(config.outputPath);
+  const map = readMapFile(mapPath);
+  if (!map) {
+    throw new CrmblError(`No crmbl-map.json found at ${mapPath}`, ERROR_CODES.MAP_NOT_FOUND);
+  }
+
+  const skipped = Object.keys(map.directories || {})
+    .filter(dir => !fs.existsSync(path.dirname(crumbPath(config.rootPath, dir))));
+
+  return { ...saveMap(config, map), skipped };
+}
+
+/**
+ * Identifies the map's current content on disk, so readers can tell when to reload it
+ * @param {Object} config - Configuration object
+ * @returns {string|null} Modification times of the map files, null if there are none
+ */
+export function mapSignature(config) {
+  const files = [path.resolve(config.outputPath)];
+  if (config.sharded) {
+    files.push(...Object.values(findCrumbs(config)));
+  }
+
+  const parts = files
+    .filter(filePath => fs.existsSync(filePath))
+    .map(filePath => `${filePath}:${fs.statSync(filePath).mtimeMs}`);
+  return parts.length > 0 ? parts.join('\n') : null;
+}
+
+/**
+ * Reads crmbl-map.json for comparison, treating an unreadable file as absent
+ * @param {string} mapPath - Path to the map
+ * @returns {Object|null} The map
+ */
+function safeReadMapFile(mapPath) {
+  try {
+    return readMapFile(mapPath);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Writes a file unless it already has this content
+ * @param {string} filePath - File to write
+ * @param {string} content - Content
+ * @returns {boolean} Whether the file was written
+ */
+function writeIfChanged(filePath, content) {
+  if (fs.existsSync(filePath) && fs.readFileSync(filePath, 'utf-8') === content) {
+    return false;
+  }
+  fs.writeFileSync(filePath, content, 'utf-8');
+  return true;
+}
+
+/**
+ * Copies an object with its keys sorted
+ * @param {Object} object - Object to copy
+ * @returns {Object} Sorted copy
+ */
+function sortKeys(object) {
+  return Object.fromEntries(Object.keys(object).sort().map(key => [key, object[key]]));
+}
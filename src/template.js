@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+
+/**
+ * Small logic-light template language for prompt templates
+ *
+ *   {{name}}, {{dir.path}}          variables (dotted paths, looked up from the innermost scope out)
+ *   {{#each list}}…{{else}}…{{/each}} loops; inside, {{this}}, {{@index}}, {{@number}}, {{@first}}, {{@last}}
+ *   {{#if value}}…{{else}}…{{/if}}    conditionals (empty lists and strings are false)
+ *   {{#unless value}}…{{/unless}}     inverted conditionals
+ *   {{! comment }}                    ignored
+ *
+ * Referencing a variable that doesn't exist is an error, so typos in custom templates
+ * fail loudly instead of producing an incomplete prompt. Block tags on a line of their
+ * own don't leave blank lines behind.
+ */
+
+/**
+ * Error raised for malformed templates and unknown variables, with the line it happened on
+ */
+export class TemplateError extends Error {
+  constructor(message, line) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'TemplateError';
+    this.line = line;
+  }
+}
+
+const TAG_PATTERN = /\{\{\s*([#/!]?)\s*([\s\S]*?)\s*\}\}/g;
+const BLOCK_HELPERS = ['each', 'if', 'unless'];
+
+/**
+ * Counts the line number of an offset in the source
+ * @param {string} source - Template source
+ * @param {number} offset - Character offset
+ * @returns {number} 1-based line number
+ */
+function lineAt(source, offset) {
+  return source.slice(0, offset).split('\n').length;
+}
+
+/**
+ * Splits a template into text and tag tokens, dropping lines that only hold a block tag
+ * @param {string} source - Template source
+ * @returns {Object[]} Tokens with type, value and line
+ */
+function tokenize(source) {
+  const tokens = [];
+  let last = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    const [raw, sigil, body] = match;
+    const line = lineAt(source, match.index);
+    let start = match.index;
+    let end = match.index + raw.length;
+
+    const isBlockTag = sigil !== '' || body === 'else';
+    if (isBlockTag) {
+      // A block tag alone on its line takes the whole line with it
+      const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+      const newline = source.indexOf('\n', end);
+      const lineEnd = newline === -1 ? source.length : newline + 1;
+      if (lineStart >= last &&
+          source.slice(lineStart, start).trim() === '' &&
+          source.slice(end, lineEnd).trim() === '') {
+        start = lineStart;
+        end = lineEnd;
+      }
+    }
+
+    if (start > last) {
+      tokens.push({ type: 'text', value: source.slice(last, start), line: lineAt(source, last) });
+    }
+
+    if (sigil === '!') {
+      // Comments produce nothing
+    } else if (sigil === '#') {
+      const [helper, ...args] = body.split(/\s+/);
+      tokens.push({ type: 'open', helper, arg: args.join(' '), line });
+    } else if (sigil === '/') {
+      tokens.push({ type: 'close', helper: body, line });
+    } else if (body === 'else') {
+      tokens.push({ type: 'else', line });
+    } else {
+      tokens.push({ type: 'variable', name: body, line });
+    }
+
+    last = end;
+    TAG_PATTERN.lastIndex = end;
+  }
+
+  if (last < source.length) {
+    tokens.push({ type: 'text', value: source.slice(last), line: lineAt(source, last) });
+  }
+
+  return tokens;
+}
+
+/**
+ * Parses a template into a tree of text, variable and block nodes
+ * @param {string} source - Template source
+ * @returns {Object[]} Nodes
+ */
+export function parseTemplate(source) {
+  const root = { children: [] };
+  const stack = [root];
+
+  for (const token of tokenize(source)) {
+    const current = stack[stack.length - 1];
+    const target = current.inverse || current.children;
+
+    switch (token.type) {
+      case 'text':
+      case 'variable':
+        target.push(token);
+        break;
+      case 'open': {
+        if (!BLOCK_HELPERS.includes(token.helper)) {
+          throw new TemplateError(`Unknown block helper "#${token.helper}"`, token.line);
+        }
+        if (!token.arg) {
+          throw new TemplateError(`{{#${token.helper}}} needs a variable`, token.line);
+        }
+        const node = { type: 'block', helper: token.helper, name: token.arg, line: token.line, children: [], inverse: null };
+        target.push(node);
+        stack.push(node);
+        break;
+      }
+      case 'else':
+        if (stack.length === 1 || current.inverse) {
+          throw new TemplateError('{{else}} outside of a block', token.line);
+        }
+        current.inverse = [];
+        break;
+      case 'close':
+        if (stack.length === 1) {
+          throw new TemplateError(`Unexpected {{/${token.helper}}}`, token.line);
+        }
+        if (current.helper !== token.helper) {
+          throw new TemplateError(`{{/${token.helper}}} doesn't close {{#${current.helper}}} from line ${current.line}`, token.line);
+        }
+        stack.pop();
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new TemplateError(`{{#${open.helper} ${open.name}}} is never closed`, open.line);
+  }
+
+  return root.children;
+}
+
+/**
+ * Resolves a variable against the scope chain
+ * @param {Object[]} scopes - Scopes, innermost last
+ * @param {string} name - Variable name, e.g. "dir.path", "this", "@index"
+ * @param {number} line - Line for error messages
+ * @returns {*} Value
+ */
+function lookup(scopes, name, line) {
+  const [head, ...rest] = name.split('.');
+
+  let value;
+  let found = false;
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    if (head === 'this' && Object.prototype.hasOwnProperty.call(scope, '@this')) {
+      value = scope['@this'];
+      found = true;
+      break;
+    }
+    if (scope !== null && typeof scope === 'object' && Object.prototype.hasOwnProperty.call(scope, head)) {
+      value = scope[head];
+      found = true;
+      break;
+    }
+  }
+
+  if (!found) {
+    throw new TemplateError(`Unknown variable "${name}"`, line);
+  }
+
+  for (const key of rest) {
+    if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, key)) {
+      throw new TemplateError(`Unknown variable "${name}"`, line);
+    }
+    value = value[key];
+  }
+
+  return value;
+}
+
+/**
+ * Decides whether a value counts as true in {{#if}} and {{#unless}}
+ * @param {*} value - Value
+ * @returns {boolean} False for empty lists, empty strings, 0, null and undefined
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Converts a value to text for output
+ * @param {*} value - Value
+ * @returns {string} Lists are comma-separated, objects become JSON
+ */
+function stringify(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.map(stringify).join(', ');
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * Renders parsed nodes
+ * @param {Object[]} nodes - Result of parseTemplate
+ * @param {Object[]} scopes - Scope chain
+ * @returns {string} Output
+ */
+function renderNodes(nodes, scopes) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'variable') {
+      output += stringify(lookup(scopes, node.name, node.line));
+    } else if (node.helper === 'each') {
+      const list = lookup(scopes, node.name, node.line);
+      const items = Array.isArray(list) ? list : (list && typeof list === 'object' ? Object.values(list) : []);
+
+      if (items.length === 0) {
+        output += node.inverse ? renderNodes(node.inverse, scopes) : '';
+        continue;
+      }
+      items.forEach((item, idx) => {
+        const scope = {
+          '@this': item,
+          '@index': idx,
+          '@number': idx + 1,
+          '@first': idx === 0,
+          '@last': idx === items.length - 1
+        };
+        const itemScopes = item !== null && typeof item === 'object' && !Array.isArray(item)
+          ? [...scopes, scope, item]
+          : [...scopes, scope];
+        output += renderNodes(node.children, itemScopes);
+      });
+    } else {
+      const condition = isTruthy(lookup(scopes, node.name, node.line));
+      const pass = node.helper === 'if' ? condition : !condition;
+      if (pass) {
+        output += renderNodes(node.children, scopes);
+      } else if (node.inverse) {
+        output += renderNodes(node.inverse, scopes);
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Renders a template with the given variables
+ * @param {string|Object[]} template - Template source, or nodes from parseTemplate to render it repeatedly
+ * @param {Object} variables - Top-level variables
+ * @returns {string} Rendered text
+ */
+export function renderTemplate(template, variables) {
+  const nodes = typeof template === 'string' ? parseTemplate(template) : template;
+  return renderNodes(nodes, [variables]);
+}
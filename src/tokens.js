@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+
+/**
+ * Rough token accounting for text handed to agents
+ * Uses the common ~4 characters per token heuristic, which is close enough for
+ * budgeting without pulling in a model-specific tokenizer.
+ */
+
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimates how many tokens a piece of text uses
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Truncates text at a line boundary so it fits a token budget
+ * @param {string} text - Text to truncate
+ * @param {number} maxTokens - Budget for the returned text, including the marker
+ * @param {string} marker - Line appended when text was cut
+ * @returns {string} The text, or its leading lines plus the marker ('' if nothing fits)
+ */
+export function truncateToTokens(text, maxTokens, marker = '…') {
+  if (estimateTokens(text) <= maxTokens) {
+    return text;
+  }
+
+  const budget = (maxTokens - estimateTokens(marker + '\n')) * CHARS_PER_TOKEN;
+  const kept = [];
+  let used = 0;
+
+  for (const line of text.split('\n')) {
+    if (used + line.length + 1 > budget) {
+      break;
+    }
+    kept.push(line);
+    used += line.length + 1;
+  }
+
+  return kept.length > 0 ? [...kept, marker].join('\n') : '';
+}
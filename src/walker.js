@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+/**
+ * Directory-only tree walk with an on-disk cache keyed by directory mtime
+ *
+ * A directory's mtime changes whenever an entry is added to, removed from or renamed in it,
+ * so an unchanged mtime means its list of subdirectories is unchanged too. Cached directories
+ * cost one stat instead of a readdir over every file they contain.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createIgnoreMatcher } from './ignore.js';
+
+export const WALK_CACHE_VERSION = 1;
+
+// Directories modified this recently may change again within the same mtime tick,
+// so they aren't trusted on the next walk
+const RACY_WINDOW_MS = 2000;
+
+/**
+ * Reads a walk cache file
+ * @param {string} cachePath - Path to the cache JSON
+ * @param {string} absoluteRoot - Root the cache must have been written for
+ * @returns {Object} Cached directories keyed by directory key, empty if missing, stale or unreadable
+ */
+export function readWalkCache(cachePath, absoluteRoot) {
+  try {
+    const cache = JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+    if (cache.version === WALK_CACHE_VERSION && cache.root === absoluteRoot && cache.directories) {
+      return cache.directories;
+    }
+  } catch (error) {
+    // A missing or corrupt cache just means a full walk
+  }
+  return {};
+}
+
+/**
+ * Writes a walk cache file
+ * @param {string} cachePath - Path to the cache JSON
+ * @param {string} absoluteRoot - Root the cache was built for
+ * @param {Object} directories - Directory key to { mtimeMs, children }
+ */
+export function writeWalkCache(cachePath, absoluteRoot, directories) {
+  const content = JSON.stringify({ version: WALK_CACHE_VERSION, root: absoluteRoot, directories });
+  fs.mkdirSync(path.dirname(path.resolve(cachePath)), { recursive: true });
+  fs.writeFileSync(cachePath, content, 'utf-8');
+}
+
+/**
+ * Walks the directories under a root, pruning ignored subtrees before descending into them
+ * @param {string} rootPath - Root directory to walk
+ * @param {string[]} ignorePatterns - Config "ignore" list
+ * @param {Object} options - { useGitignore: boolean, cachePath: cache file, or null to walk without one }
+ * @returns {Object} { dirs: sorted directory keys, stats: { directories, cached, read, ignored } }
+ */
+export function walkDirectories(rootPath, ignorePatterns, options = {}) {
+  const absoluteRoot = path.resolve(rootPath);
+  const matcher = createIgnoreMatcher(absoluteRoot, ignorePatterns, options);
+  const cached = options.cachePath ? readWalkCache(options.cachePath, absoluteRoot) : {};
+  const nextCache = {};
+  const startedAt = Date.now();
+  const stats = { directories: 0, cached: 0, read: 0, ignored: 0 };
+  const dirs = [];
+
+  // Names of the subdirectories directly inside dirPath, from the cache when its mtime matches
+  const childDirectories = (dirPath) => {
+    const absoluteDir = path.join(absoluteRoot, dirPath);
+    let mtimeMs = null;
+
+    if (options.cachePath) {
+      try {
+        mtimeMs = fs.statSync(absoluteDir).mtimeMs;
+      } catch (error) {
+        return [];
+      }
+
+      const entry = cached[dirPath];
+      if (entry && entry.mtimeMs === mtimeMs) {
+        stats.cached++;
+        nextCache[dirPath] = entry;
+        return entry.children;
+      }
+    }
+
+    let entries;
+    try {
+      entries = fs.readdirSync(absoluteDir, { withFileTypes: true });
+    } catch (err) {
+      // Skip directories that can't be accessed
+      return [];
+    }
+
+    stats.read++;
+    const children = entries.filter(entry => entry.isDirectory()).map(entry => entry.name).sort();
+    if (mtimeMs !== null && startedAt - mtimeMs > RACY_WINDOW_MS) {
+      nextCache[dirPath] = { mtimeMs, children };
+    }
+    return children;
+  };
+
+  const walk = (dirPath) => {
+    for (const name of childDirectories(dirPath)) {
+      // Store as relative path with leading slash for consistency
+      const childPath = path.posix.join(dirPath, name);
+      if (matcher.isIgnored(childPath)) {
+        stats.ignored++;
+        continue;
+      }
+
+      dirs.push(childPath);
+      walk(childPath);
+    }
+  };
+
+  walk('/');
+  stats.directories = dirs.length;
+
+  if (options.cachePath) {
+    try {
+      writeWalkCache(options.cachePath, absoluteRoot, nextCache);
+    } catch (error) {
+      // The cache is only an optimization; a read-only checkout still scans
+    }
+  }
+
+  // Sort for consistent output
+  return { dirs: dirs.sort(), stats };
+}
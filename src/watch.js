@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+
+/**
+ * Watch mode: rescans the tree when directories are created, deleted or renamed
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { scanDirectories } from './scanner.js';
+import { CRUMB_FILENAME } from './shards.js';
+
+export const DEFAULT_WATCH_DEBOUNCE = 500;
+
+/**
+ * Lists every directory a scan saw, including ones rolled up by granularity rules
+ * @param {Object} results - Result of scanDirectories
+ * @returns {string[]} Directory keys, sorted
+ */
+function scannedDirectories(results) {
+  return [
+    ...results.newDirs,
+    ...results.unchangedDirs,
+    ...results.staleDirs,
+    ...Object.keys(results.collapsedDirs || {})
+  ].sort();
+}
+
+/**
+ * Compares two scans and describes what changed between them
+ * @param {Object} previous - Earlier result of scanDirectories
+ * @param {Object} current - Later result of scanDirectories
+ * @returns {Object} { added, removed, documented, stale } as sorted directory keys
+ */
+export function diffScanResults(previous, current) {
+  const before = new Set(scannedDirectories(previous));
+  const after = new Set(scannedDirectories(current));
+  const wasNew = new Set(previous.newDirs);
+  const wasStale = new Set(previous.staleDirs);
+  const isDocumented = new Set([...current.unchangedDirs, ...current.staleDirs]);
+
+  return {
+    added: [...after].filter(dir => !before.has(dir)).sort(),
+    removed: [...before].filter(dir => !after.has(dir)).sort(),
+    documented: [...wasNew].filter(dir => isDocumented.has(dir)).sort(),
+    stale: current.staleDirs.filter(dir => !wasStale.has(dir))
+  };
+}
+
+/**
+ * Checks whether a diff from diffScanResults has anything in it
+ * @param {Object} changes - Result of diffScanResults
+ * @returns {boolean} True if any directory changed
+ */
+export function hasChanges(changes) {
+  return Object.values(changes).some(dirs => dirs.length > 0);
+}
+
+/**
+ * Watches the scanned directories and rescans after each burst of changes
+ *
+ * Each directory gets its own non-recursive watcher, so ignored trees such as node_modules
+ * are never watched, and the watcher set is refreshed after every scan.
+ * @param {Object} config - Configuration object
+ * @param {Object} options - { debounce: quiet period in ms, onScan(results, changes), onError(error) }
+ * @returns {Object} { close(), ready: Promise resolved after the first scan }
+ */
+export function watchDirectories(config, options = {}) {
+  const absoluteRoot = path.resolve(config.rootPath);
+  const mapPath = path.resolve(config.outputPath);
+  const debounce = options.debounce === undefined ? DEFAULT_WATCH_DEBOUNCE : options.debounce;
+  const onScan = options.onScan || (() => {});
+  const onError = options.onError || (() => {});
+
+  const watchers = new Map();
+  let known = new Set(['/']);
+  let previous = null;
+  let timer = null;
+  let scanning = false;
+  let queued = false;
+  let closed = false;
+
+  const toKey = (absolutePath) => {
+    const relative = path.relative(absoluteRoot, absolutePath).split(path.sep).join('/');
+    return relative === '' ? '/' : `/${relative}`;
+  };
+
+  // Only directory changes and map (or crumb) edits matter. Files written by crmbl itself
+  // (scan-results.json, prompts) would otherwise trigger endless rescans.
+  const isRelevant = (absolutePath) => {
+    if (absolutePath === mapPath || known.has(toKey(absolutePath))) {
+      return true;
+    }
+    if (config.sharded && path.basename(absolutePath) === CRUMB_FILENAME) {
+      return true;
+    }
+    try {
+      return fs.statSync(absolutePath).isDirectory();
+    } catch (error) {
+      return false;
+    }
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(rescan, debounce);
+  };
+
+  const watch = (dir) => {
+    const absoluteDir = dir === '/' ? absoluteRoot : path.join(absoluteRoot, dir);
+    try {
+      const watcher = fs.watch(absoluteDir, (eventType, filename) => {
+        if (closed) {
+          return;
+        }
+        // Some platforms don't report the name, so assume it mattered
+        if (!filename || isRelevant(path.join(absoluteDir, filename.toString()))) {
+          schedule();
+        }
+      });
+      watcher.on('error', () => unwatch(dir));
+      watchers.set(dir, watcher);
+    } catch (error) {
+      // The directory disappeared before we got to it; the next scan catches up
+    }
+  };
+
+  const unwatch = (dir) => {
+    const watcher = watchers.get(dir);
+    if (watcher) {
+      watcher.close();
+      watchers.delete(dir);
+    }
+  };
+
+  const syncWatchers = (dirs) => {
+    const wanted = new Set(['/', ...dirs]);
+    // The map may live outside the root (e.g. a custom outputPath)
+    const mapDir = toKey(path.dirname(mapPath));
+    if (!mapDir.startsWith('/..')) {
+      wanted.add(mapDir);
+    }
+
+    for (const dir of [...watchers.keys()]) {
+      if (!wanted.has(dir)) {
+        unwatch(dir);
+      }
+    }
+    for (const dir of wanted) {
+      if (!watchers.has(dir)) {
+        watch(dir);
+      }
+    }
+    known = wanted;
+  };
+
+  async function rescan() {
+    if (closed) {
+      return;
+    }
+    if (scanning) {
+      queued = true;
+      return;
+    }
+
+    scanning = true;
+    try {
+      const results = await scanDirectories(config, { cache: true, writeMap: true });
+      if (!closed) {
+        syncWatchers(scannedDirectories(results));
+        const changes = previous ? diffScanResults(previous, results) : null;
+        previous = results;
+        onScan(results, changes);
+      }
+    } catch (error) {
+      onError(error);
+    } finally {
+      scanning = false;
+    }
+
+    if (queued) {
+      queued = false;
+      await rescan();
+    }
+  }
+
+  return {
+    ready: rescan(),
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      for (const dir of [...watchers.keys()]) {
+        unwatch(dir);
+      }
+    }
+  };
+}
@@ -0,0 +1,300 @@
+#!/usr/bin/env node
+
+/**
+ * Detection of monorepo workspace packages (npm/yarn/pnpm/lerna/Nx/Turborepo)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { minimatch } from 'minimatch';
+import yaml from 'js-yaml';
+import { CrmblError, ERROR_CODES } from './errors.js';
+
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+/**
+ * Reads and parses a JSON file
+ * @param {string} filePath - Absolute path
+ * @returns {Object|null} Parsed JSON or null if missing or invalid
+ */
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Extracts the "packages" list from pnpm-workspace.yaml
+ * @param {string} content - YAML contents
+ * @returns {string[]} Workspace globs, empty if the file isn't valid YAML or has no list
+ */
+export function parsePnpmWorkspace(content) {
+  let workspace;
+  try {
+    workspace = yaml.load(content);
+  } catch (err) {
+    return [];
+  }
+
+  const packages = workspace && Array.isArray(workspace.packages) ? workspace.packages : [];
+  return packages.filter(pattern => typeof pattern === 'string');
+}
+
+/**
+ * Collects workspace globs from package manager and monorepo tool configs
+ * @param {string} absoluteRoot - Absolute project root
+ * @returns {Object} { tools, patterns } where tools lists the detected configs
+ */
+function readWorkspacePatterns(absoluteRoot) {
+  const tools = [];
+  const patterns = [];
+
+  const pkg = readJson(path.join(absoluteRoot, 'package.json'));
+  if (pkg && pkg.workspaces) {
+    const workspaces = Array.isArray(pkg.workspaces) ? pkg.workspaces : pkg.workspaces.packages || [];
+    tools.push('package.json workspaces');
+    patterns.push(...workspaces);
+  }
+
+  const pnpmPath = path.join(absoluteRoot, 'pnpm-workspace.yaml');
+  if (fs.existsSync(pnpmPath)) {
+    tools.push('pnpm-workspace.yaml');
+    patterns.push(...parsePnpmWorkspace(fs.readFileSync(pnpmPath, 'utf-8')));
+  }
+
+  const lerna = readJson(path.join(absoluteRoot, 'lerna.json'));
+  if (lerna) {
+    tools.push('lerna.json');
+    patterns.push(...(lerna.packages || ['packages/*']));
+  }
+
+  if (fs.existsSync(path.join(absoluteRoot, 'nx.json'))) {
+    tools.push('nx.json');
+  }
+
+  // Turborepo reuses the package manager's workspaces, so it only needs recording
+  if (fs.existsSync(path.join(absoluteRoot, 'turbo.json'))) {
+    tools.push('turbo.json');
+  }
+
+  return { tools, patterns: Array.from(new Set(patterns)) };
+}
+
+/**
+ * Lists Nx projects declared in a legacy workspace.json
+ * @param {string} absoluteRoot - Absolute project root
+ * @returns {string[]} Directory keys of the projects
+ */
+function readNxWorkspaceJson(absoluteRoot) {
+  const workspace = readJson(path.join(absoluteRoot, 'workspace.json'));
+  if (!workspace || !workspace.projects) {
+    return [];
+  }
+
+  return Object.values(workspace.projects)
+    .map(project => (typeof project === 'string' ? project : project.root))
+    .filter(Boolean)
+    .map(root => '/' + root.replace(/^\.?\/+|\/+$/g, ''));
+}
+
+/**
+ * Checks whether a directory key matches workspace globs (supports "!" exclusions)
+ * @param {string} dirPath - Directory key
+ * @param {string[]} patterns - Workspace globs
+ * @returns {boolean} True if the directory is a workspace location
+ */
+function matchesWorkspace(dirPath, patterns) {
+  const relative = dirPath.slice(1);
+  let matched = false;
+
+  for (const pattern of patterns) {
+    const negate = pattern.startsWith('!');
+    const glob = (negate ? pattern.slice(1) : pattern).replace(/^\.\//, '').replace(/\/+$/, '');
+    if (minimatch(relative, glob, { dot: true })) {
+      matched = !negate;
+    }
+  }
+
+  return matched;
+}
+
+/**
+ * Detects workspace packages among the scanned directories
+ * @param {string} rootPath - Project root
+ * @param {string[]} dirs - Directory keys found by the scanner
+ * @returns {Object} { tools, packages } where packages maps name to { path, version, dependencies }
+ */
+export function detectWorkspaces(rootPath, dirs) {
+  const absoluteRoot = path.resolve(rootPath);
+  const { tools, patterns } = readWorkspacePatterns(absoluteRoot);
+  const nxRoots = new Set(readNxWorkspaceJson(absoluteRoot));
+  const isNx = tools.includes('nx.json') || nxRoots.size > 0;
+
+  const found = [];
+  for (const dir of dirs) {
+    const pkg = readJson(path.join(absoluteRoot, dir, 'package.json'));
+    const project = isNx ? readJson(path.join(absoluteRoot, dir, 'project.json')) : null;
+
+    if (pkg && pkg.name && matchesWorkspace(dir, patterns)) {
+      found.push({ dir, name: pkg.name, version: pkg.version || null, manifest: pkg });
+    } else if (project || (isNx && nxRoots.has(dir))) {
+      const name = (project && project.name) || (pkg && pkg.name) || path.posix.basename(dir);
+      found.push({ dir, name, version: (pkg && pkg.version) || null, manifest: pkg || {} });
+    }
+  }
+
+  const names = new Set(found.map(pkg => pkg.name));
+  const packages = {};
+
+  for (const { dir, name, version, manifest } of found) {
+    const dependencies = new Set();
+    for (const field of DEPENDENCY_FIELDS) {
+      for (const dep of Object.keys(manifest[field] || {})) {
+        if (names.has(dep) && dep !== name) {
+          dependencies.add(dep);
+        }
+      }
+    }
+
+    packages[name] = {
+      path: dir,
+      version,
+      dependencies: Array.from(dependencies).sort()
+    };
+  }
+
+  return { tools, packages };
+}
+
+/**
+ * Finds the workspace package that contains a directory
+ * @param {Object} workspace - Result of detectWorkspaces
+ * @param {string} dirPath - Directory key
+ * @returns {string|null} Package name, or null if the directory isn't in a package
+ */
+export function packageForDirectory(workspace, dirPath) {
+  let best = null;
+  for (const [name, pkg] of Object.entries(workspace.packages)) {
+    if (isWithin(dirPath, pkg.path) && (!best || pkg.path.length > workspace.packages[best].path.length)) {
+      best = name;
+    }
+  }
+  return best;
+}
+
+/**
+ * Checks whether a directory is the given directory or inside it
+ * @param {string} dirPath - Directory key
+ * @param {string} parent - Parent directory key
+ * @returns {boolean} True if dirPath is parent or a descendant of it
+ */
+export function isWithin(dirPath, parent) {
+  return dirPath === parent || dirPath.startsWith(parent + '/');
+}
+
+/**
+ * Returns a copy of the map containing only directories inside a package
+ * @param {Object} map - The crmbl-map.json content
+ * @param {string} pkgPath - Directory key of the package
+ * @returns {Object} Scoped map
+ */
+export function scopeMapToPackage(map, pkgPath) {
+  return {
+    ...map,
+    directories: Object.fromEntries(
+      Object.entries(map.directories).filter(([dir]) => isWithin(dir, pkgPath))
+    )
+  };
+}
+
+/**
+ * Returns a copy of the scan results containing only directories inside a package
+ * @param {Object} scanResults - Result of scanDirectories
+ * @param {string} pkgPath - Directory key of the package
+ * @returns {Object} Scoped scan results with recomputed stats
+ */
+export function scopeScanResultsToPackage(scanResults, pkgPath) {
+  const inPackage = dir => isWithin(dir, pkgPath);
+  const scoped = {
+    ...scanResults,
+    newDirs: scanResults.newDirs.filter(inPackage),
+    missingDirs: scanResults.missingDirs.filter(inPackage),
+    unchangedDirs: scanResults.unchangedDirs.filter(inPackage),
+    staleDirs: (scanResults.staleDirs || []).filter(inPackage)
+  };
+
+  scoped.stats = {
+    ...scanResults.stats,
+    total: scoped.newDirs.length + scoped.unchangedDirs.length + scoped.staleDirs.length,
+    new: scoped.newDirs.length,
+    missing: scoped.missingDirs.length,
+    stale: scoped.staleDirs.length,
+    documented: scoped.unchangedDirs.length
+  };
+
+  return scoped;
+}
+
+/**
+ * Records package names, versions and the package dependency graph in the map
+ * @param {Object} map - The crmbl-map.json content (modified in place)
+ * @param {Object} workspace - Result of detectWorkspaces
+ * @returns {boolean} True if the map changed
+ */
+export function syncWorkspaceTags(map, workspace) {
+  const before = JSON.stringify({ packages: map.packages, tags: tagsOf(map) });
+
+  for (const entry of Object.values(map.directories)) {
+    delete entry.package;
+  }
+  for (const [name, pkg] of Object.entries(workspace.packages)) {
+    const entry = map.directories[pkg.path];
+    if (entry) {
+      entry.package = { name, version: pkg.version };
+    }
+  }
+
+  if (Object.keys(workspace.packages).length > 0) {
+    map.packages = workspace.packages;
+  } else {
+    delete map.packages;
+  }
+
+  const changed = JSON.stringify({ packages: map.packages, tags: tagsOf(map) }) !== before;
+  if (changed) {
+    map.generated = new Date().toISOString();
+  }
+  return changed;
+}
+
+/**
+ * Collects the package tags of every map entry
+ * @param {Object} map - The crmbl-map.json content
+ * @returns {Object} Map of directory key to package tag
+ */
+function tagsOf(map) {
+  return Object.fromEntries(
+    Object.entries(map.directories)
+      .filter(([, entry]) => entry.package)
+      .map(([dir, entry]) => [dir, entry.package])
+  );
+}
+
+/**
+ * Looks up the directory of a workspace package by name
+ * @param {Object} workspace - Result of detectWorkspaces (or an object with a packages map)
+ * @param {string} name - Package name, e.g. "@org/api"
+ * @returns {string} Directory key of the package
+ * @throws {CrmblError} INVALID_OPTION if there is no such package
+ */
+export function packagePath(workspace, name) {
+  const pkg = workspace.packages[name];
+  if (!pkg) {
+    const known = Object.keys(workspace.packages);
+    const hint = known.length > 0 ? `Known packages: ${known.join(', ')}` : 'No workspace packages were detected';
+    throw new CrmblError(`Unknown package "${name}"`, ERROR_CODES.INVALID_OPTION, [hint]);
+  }
+  return pkg.path;
+}
@@ -0,0 +1,91 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { renderAgentIndex, upsertManagedBlock, exportAgentFiles, MANAGED_BLOCK_START, MANAGED_BLOCK_END } from '../src/agents.js';
+import { createEmptyMap, createDirectoryEntry } from '../src/schema.js';
+
+describe('Agent files', () => {
+  let tempDir;
+  let config;
+  let map;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crmbl-agents-'));
+    config = { rootPath: tempDir, outputPath: './crmbl-map.json' };
+    map = createEmptyMap();
+    map.directories['/packages/api'] = createDirectoryEntry({ purpose: 'HTTP API', complexity: 4, changeFrequency: 'Moderate' });
+    map.directories['/packages/api/src'] = createDirectoryEntry({ purpose: 'API sources', entryPoints: ['server.ts'] });
+    map.directories['/packages/core'] = createDirectoryEntry({ purpose: 'Domain model', complexity: 5, changeFrequency: 'Frequently Modified' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('renderAgentIndex', () => {
+    it('should list top-level areas, entry points and hot spots', () => {
+      const index = renderAgentIndex(map, config);
+
+      expect(index).toContain('- `/packages/api` - HTTP API\n- `/packages/core` - Domain model\n');
+      expect(index).not.toContain('- `/packages/api/src` - API sources');
+      expect(index).toContain('- `/packages/api`: `/packages/api/src/server.ts`');
+      expect(index.indexOf('`/packages/core` (complexity 5/5, frequently modified)'))
+        .toBeLessThan(index.indexOf('`/packages/api` (complexity 4/5, moderate)'));
+    });
+
+    it('should produce the same output for the same map', () => {
+      expect(renderAgentIndex(map, config)).toBe(renderAgentIndex(map, config));
+    });
+  });
+
+  describe('upsertManagedBlock', () => {
+    it('should append the block after hand-written content', () => {
+      const content = upsertManagedBlock('# Rules\n\nUse pnpm.\n', 'INDEX');
+      expect(content.startsWith('# Rules\n\nUse pnpm.\n\n' + MANAGED_BLOCK_START)).toBe(true);
+      expect(content).toContain('INDEX\n' + MANAGED_BLOCK_END + '\n');
+    });
+
+    it('should only replace the content between the markers', () => {
+      const before = upsertManagedBlock('# Rules\n', 'OLD') + '\nFooter\n';
+      const after = upsertManagedBlock(before, 'NEW');
+
+      expect(after).toContain('NEW');
+      expect(after).not.toContain('OLD');
+      expect(after.startsWith('# Rules\n')).toBe(true);
+      expect(after.endsWith('\nFooter\n')).toBe(true);
+    });
+
+    it('should reject a file with only one marker', () => {
+      expect(() => upsertManagedBlock(`${MANAGED_BLOCK_START}\nhalf`, 'INDEX'))
+        .toThrow(`Found ${MANAGED_BLOCK_START} without its matching marker`);
+    });
+  });
+
+  describe('exportAgentFiles', () => {
+    it('should create the files and report them unchanged on the next run', () => {
+      fs.writeFileSync(path.join(tempDir, 'CLAUDE.md'), '# Team rules\n');
+
+      const first = exportAgentFiles(config, map);
+      expect(first.map(result => [result.file, result.status])).toEqual([
+        ['AGENTS.md', 'created'],
+        ['CLAUDE.md', 'updated'],
+        ['.cursorrules', 'created']
+      ]);
+      expect(fs.readFileSync(path.join(tempDir, 'CLAUDE.md'), 'utf-8')).toMatch(/^# Team rules\n\n<!-- crmbl:start -->/);
+
+      const second = exportAgentFiles(config, map);
+      expect(second.every(result => result.status === 'unchanged')).toBe(true);
+    });
+
+    it('should not write anything in a dry run', () => {
+      const results = exportAgentFiles(config, map, { targets: ['agents'], dryRun: true });
+
+      expect(results).toEqual([{ target: 'agents', file: 'AGENTS.md', path: path.join(tempDir, 'AGENTS.md'), status: 'created' }]);
+      expect(fs.existsSync(path.join(tempDir, 'AGENTS.md'))).toBe(false);
+    });
+
+    it('should reject unknown targets', () => {
+      expect(() => exportAgentFiles(config, map, { targets: ['copilot'] })).toThrow('Unknown target "copilot"');
+    });
+  });
+});
@@ -0,0 +1,151 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as crmbl from '../src/index.js';
+
+const { scan, verify, prompt, readMap, writeMap, CrmblError, ERROR_CODES, DEFAULT_CONFIG, createEmptyMap, updateMap, EXIT_CODES } = crmbl;
+
+describe('API', () => {
+  let tempDir;
+  let config;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crmbl-api-'));
+    fs.mkdirSync(path.join(tempDir, 'src', 'api'), { recursive: true });
+    fs.writeFileSync(path.join(tempDir, 'src', 'index.js'), 'export const a = 1;\n');
+    fs.writeFileSync(path.join(tempDir, 'src', 'api', 'server.js'), 'export const b = 2;\n');
+    config = {
+      ...DEFAULT_CONFIG,
+      rootPath: tempDir,
+      outputPath: path.join(tempDir, 'crmbl-map.json'),
+      cachePath: null
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should export the library without starting the CLI', () => {
+    expect(typeof crmbl.scan).toBe('function');
+    expect(crmbl).not.toHaveProperty('program');
+  });
+
+  describe('readMap', () => {
+    it('should throw MAP_NOT_FOUND with a hint for legacy maps', () => {
+      fs.writeFileSync(path.join(tempDir, 'monorepo-map.json'), '{}');
+
+      expect(() => readMap(config)).toThrow(CrmblError);
+      expect(() => readMap(config)).toThrow(expect.objectContaining({
+        code: ERROR_CODES.MAP_NOT_FOUND,
+        details: ['Found monorepo-map.json, run "crmbl migrate" to upgrade it']
+      }));
+    });
+
+    it('should throw MAP_INVALID for unparseable or invalid maps', () => {
+      fs.writeFileSync(config.outputPath, '{ nope');
+      expect(() => readMap(config)).toThrow(expect.objectContaining({ code: ERROR_CODES.MAP_INVALID }));
+
+      fs.writeFileSync(config.outputPath, '{"schemaVersion": "1", "directories": {}}');
+      expect(readMap(config)).toEqual({ schemaVersion: '1', directories: {} });
+      expect(() => readMap(config, { validate: true })).toThrow(expect.objectContaining({
+        code: ERROR_CODES.MAP_INVALID,
+        details: expect.arrayContaining([expect.stringContaining('/schemaVersion')])
+      }));
+    });
+
+    it('should upgrade maps written before schemaVersion in memory', () => {
+      const unversioned = { generated: '2025-01-01T00:00:00.000Z', directories: { 'src': { purpose: 'Sources', complexity: '2' } } };
+      fs.writeFileSync(config.outputPath, JSON.stringify(unversioned));
+
+      const map = readMap(config, { validate: true });
+      expect(map.schemaVersion).toBe(1);
+      expect(map.directories['/src'].complexity).toBe(2);
+      expect(JSON.parse(fs.readFileSync(config.outputPath, 'utf-8'))).toEqual(unversioned);
+    });
+
+    it('should read back what writeMap wrote', () => {
+      const map = updateMap(createEmptyMap(), '/src', { purpose: 'Sources' });
+      writeMap(config, map);
+      expect(readMap(config, { validate: true })).toEqual(map);
+    });
+  });
+
+  describe('scan', () => {
+    it('should return the scan results', async () => {
+      const results = await scan(config);
+
+      expect(results.newDirs).toEqual(['/src', '/src/api']);
+      expect(results.stats).toMatchObject({ total: 2, new: 2 });
+      expect(fs.existsSync(path.join(tempDir, 'scan-results.json'))).toBe(false);
+    });
+
+    it('should only write the map and walk cache when asked to', async () => {
+      const cachePath = path.join(tempDir, 'walk-cache.json');
+      const map = updateMap(createEmptyMap(), '/src', { purpose: 'Sources' });
+      writeMap(config, map);
+      const before = fs.readFileSync(config.outputPath, 'utf-8');
+      fs.writeFileSync(path.join(tempDir, 'tsconfig.json'), '{ nope');
+
+      const results = await scan({ ...config, cachePath });
+      expect(fs.readFileSync(config.outputPath, 'utf-8')).toBe(before);
+      expect(fs.existsSync(cachePath)).toBe(false);
+      expect(results.warnings).toEqual([expect.stringContaining('Could not read')]);
+
+      await scan({ ...config, cachePath }, { cache: true, writeMap: true });
+      expect(readMap(config).directories['/src'].fingerprint).toBeDefined();
+      expect(fs.existsSync(cachePath)).toBe(true);
+    });
+
+    it('should reject a malformed map instead of treating it as empty', async () => {
+      fs.writeFileSync(config.outputPath, '{ nope');
+      await expect(scan(config)).rejects.toMatchObject({ code: ERROR_CODES.MAP_INVALID });
+    });
+
+    it('should reject an invalid configuration', async () => {
+      await expect(scan({ ...config, ignore: 'node_modules' })).rejects.toMatchObject({
+        code: ERROR_CODES.CONFIG_INVALID,
+        details: ['ignore must be an array']
+      });
+    });
+  });
+
+  describe('verify', () => {
+    it('should report missing READMEs instead of exiting', async () => {
+      writeMap(config, updateMap(createEmptyMap(), '/src', { purpose: 'Sources', readmePath: '/src/README.md' }));
+
+      const result = await verify(config);
+
+      expect(result.valid).toBe(false);
+      expect(result.exitCode).toBe(EXIT_CODES.DOCS_INCOMPLETE);
+      expect(result.findings.map(finding => finding.rule)).toContain('readme-missing');
+      expect(result.coverage).toMatchObject({ total: 2, documented: 0 });
+    });
+
+    it('should reject an unknown package as an invalid option', async () => {
+      writeMap(config, createEmptyMap());
+      await expect(verify(config, { package: 'nope' })).rejects.toMatchObject({
+        code: ERROR_CODES.INVALID_OPTION,
+        message: expect.stringContaining('Unknown package "nope"')
+      });
+    });
+
+    it('should reject updateBaseline without a configured baseline', async () => {
+      writeMap(config, createEmptyMap());
+      await expect(verify(config, { updateBaseline: true })).rejects.toMatchObject({ code: ERROR_CODES.INVALID_OPTION });
+    });
+  });
+
+  describe('prompt', () => {
+    it('should return batches for new directories and none when everything is documented', async () => {
+      const results = await scan(config);
+
+      const { batches } = prompt(config, results, { template: 'Document:\n{{#each newDirs}}- {{path}}\n{{/each}}' });
+      expect(batches).toHaveLength(1);
+      expect(batches[0].newDirs).toEqual(['/src', '/src/api']);
+      expect(batches[0].prompt).toContain('- /src/api');
+
+      expect(prompt(config, { ...results, newDirs: [] }).batches).toEqual([]);
+    });
+  });
+});
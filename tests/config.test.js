@@ -0,0 +1,166 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig, findConfig, mergeConfig, DEFAULT_CONFIG } from '../src/config.js';
+import { CrmblError, ERROR_CODES } from '../src/errors.js';
+
+describe('Config', () => {
+  let tempDir;
+
+  const write = (relativePath, content) => {
+    const filePath = path.join(tempDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+    return filePath;
+  };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crmbl-config-'));
+    fs.mkdirSync(path.join(tempDir, 'packages', 'api'), { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('findConfig', () => {
+    it('should find the nearest config walking up', () => {
+      const configPath = write('.crmbl-config.yaml', 'ignore: []\n');
+      expect(findConfig(path.join(tempDir, 'packages', 'api'))).toBe(configPath);
+
+      const nested = write('packages/.crmbl-config.json', {});
+      expect(findConfig(path.join(tempDir, 'packages', 'api'))).toBe(nested);
+    });
+
+    it('should only use package.json when it has a crmbl key', () => {
+      write('packages/api/package.json', { name: 'api' });
+      const rootPackage = write('package.json', { name: 'root', crmbl: { outputPath: 'map.json' } });
+
+      expect(findConfig(path.join(tempDir, 'packages', 'api'))).toBe(rootPackage);
+    });
+  });
+
+  describe('loadConfig', () => {
+    it('should fall back to the defaults relative to cwd', async () => {
+      const config = await loadConfig({ cwd: tempDir, env: {} });
+
+      expect(config.ignore).toEqual(DEFAULT_CONFIG.ignore);
+      expect(config.rootPath).toBe(tempDir);
+      expect(config.outputPath).toBe(path.join(tempDir, 'crmbl-map.json'));
+    });
+
+    it('should resolve paths against the config file found from a subdirectory', async () => {
+      write('.crmbl-config.json', { outputPath: './docs/map.json', prompt: { maxTokens: 500 } });
+
+      const config = await loadConfig({ cwd: path.join(tempDir, 'packages', 'api'), env: {} });
+
+      expect(config.rootPath).toBe(tempDir);
+      expect(config.outputPath).toBe(path.join(tempDir, 'docs', 'map.json'));
+      expect(config.prompt).toEqual({ ...DEFAULT_CONFIG.prompt, maxTokens: 500 });
+    });
+
+    it('should read YAML, JavaScript and package.json configs', async () => {
+      write('yaml/.crmbl-config.yml', 'ignore:\n  - vendor\n');
+      write('js/.crmbl-config.mjs', 'export default async () => ({ ignore: ["generated"] });\n');
+      write('pkg/package.json', { name: 'pkg', crmbl: { ignore: ['tmp'] } });
+
+      expect((await loadConfig({ cwd: path.join(tempDir, 'yaml'), env: {} })).ignore).toEqual(['vendor']);
+      expect((await loadConfig({ cwd: path.join(tempDir, 'js'), env: {} })).ignore).toEqual(['generated']);
+      expect((await loadConfig({ cwd: path.join(tempDir, 'pkg'), env: {} })).ignore).toEqual(['tmp']);
+    });
+
+    it('should merge presets from extends below the config', async () => {
+      write('node_modules/@acme/crmbl-preset/package.json', { name: '@acme/crmbl-preset', main: 'preset.json' });
+      write('node_modules/@acme/crmbl-preset/preset.json', {
+        ignore: ['vendor'],
+        lint: { rules: { 'readme-sections': 'error', 'key-file-missing': 'warn' } }
+      });
+      write('presets/strict.yaml', 'extends: "@acme/crmbl-preset"\ncoverage:\n  minimum: 90\n  baseline: ./coverage.json\n');
+      write('.crmbl-config.json', {
+        extends: ['./presets/strict.yaml'],
+        lint: { rules: { 'readme-sections': 'off' } }
+      });
+
+      const config = await loadConfig({ cwd: tempDir, env: {} });
+
+      expect(config.ignore).toEqual(['vendor']);
+      expect(config.lint.rules).toMatchObject({ 'readme-sections': 'off', 'key-file-missing': 'warn' });
+      expect(config.coverage.minimum).toBe(90);
+      // Preset paths resolve against the project's config, not the preset
+      expect(config.coverage.baseline).toBe(path.join(tempDir, 'coverage.json'));
+      expect(config).not.toHaveProperty('extends');
+    });
+
+    it('should apply environment variables and then overrides', async () => {
+      write('.crmbl-config.json', { outputPath: './from-file.json', cachePath: './cache.json' });
+      const cwd = path.join(tempDir, 'packages');
+
+      const config = await loadConfig({
+        cwd,
+        env: { CRMBL_MAP: 'from-env.json', CRMBL_CACHE: 'false', CRMBL_IGNORE: 'a, b', CRMBL_COVERAGE_MINIMUM: '75' },
+        overrides: { rootPath: 'api' }
+      });
+
+      expect(config.outputPath).toBe(path.join(cwd, 'from-env.json'));
+      expect(config.cachePath).toBeNull();
+      expect(config.ignore).toEqual(['a', 'b']);
+      expect(config.coverage.minimum).toBe(75);
+      expect(config.rootPath).toBe(path.join(cwd, 'api'));
+
+      const overridden = await loadConfig({ cwd, env: { CRMBL_MAP: 'from-env.json' }, overrides: { outputPath: 'flag.json' } });
+      expect(overridden.outputPath).toBe(path.join(cwd, 'flag.json'));
+    });
+
+    it('should name the file an invalid setting came from', async () => {
+      const presetPath = write('base.json', { prompt: { maxTokens: -1 } });
+      write('.crmbl-config.json', { extends: './base.json' });
+
+      await expect(loadConfig({ cwd: tempDir, env: {} })).rejects.toMatchObject({
+        message: `Invalid configuration in ${presetPath}`,
+        code: ERROR_CODES.CONFIG_INVALID,
+        details: ['prompt.maxTokens must be a positive integer']
+      });
+
+      fs.writeFileSync(presetPath, '{}');
+      await expect(loadConfig({ cwd: tempDir, env: { CRMBL_USE_GITIGNORE: 'maybe' } })).rejects.toMatchObject({
+        message: 'Invalid configuration in CRMBL_* environment variables',
+        details: ['useGitignore must be a boolean']
+      });
+    });
+
+    it('should fail on unparseable files, missing presets and extends cycles', async () => {
+      const configPath = write('.crmbl-config.yaml', 'ignore: [\n');
+      await expect(loadConfig({ cwd: tempDir, env: {} })).rejects.toThrow(`Could not read config file ${configPath}`);
+
+      fs.writeFileSync(configPath, 'extends: missing-preset\n');
+      await expect(loadConfig({ cwd: tempDir, env: {} })).rejects.toMatchObject({ code: ERROR_CODES.CONFIG_NOT_FOUND });
+
+      write('a.json', { extends: './b.json' });
+      write('b.json', { extends: './a.json' });
+      fs.writeFileSync(configPath, 'extends: ./a.json\n');
+      await expect(loadConfig({ cwd: tempDir, env: {} })).rejects.toThrow(CrmblError);
+      await expect(loadConfig({ cwd: tempDir, env: {} })).rejects.toThrow(/Circular extends/);
+    });
+
+    it('should use an explicit config file instead of searching', async () => {
+      write('.crmbl-config.json', { ignore: ['found'] });
+      write('ci/crmbl.yaml', 'ignore: [explicit]\n');
+
+      expect((await loadConfig({ cwd: tempDir, configPath: 'ci/crmbl.yaml', env: {} })).ignore).toEqual(['explicit']);
+      expect((await loadConfig({ cwd: tempDir, env: { CRMBL_CONFIG: 'ci/crmbl.yaml' } })).ignore).toEqual(['explicit']);
+      await expect(loadConfig({ cwd: tempDir, configPath: 'nope.json', env: {} })).rejects.toMatchObject({
+        code: ERROR_CODES.CONFIG_NOT_FOUND
+      });
+    });
+  });
+
+  describe('mergeConfig', () => {
+    it('should replace arrays and merge sections key by key', () => {
+      const merged = mergeConfig(DEFAULT_CONFIG, { ignore: ['x'], history: { thresholds: { Moderate: 2 } } });
+
+      expect(merged.ignore).toEqual(['x']);
+      expect(merged.history.windows).toEqual(DEFAULT_CONFIG.history.windows);
+      expect(merged.history.thresholds).toEqual({ ...DEFAULT_CONFIG.history.thresholds, Moderate: 2 });
+    });
+  });
+});
@@ -0,0 +1,96 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildChain, buildContext, resolveDirectoryKey } from '../src/context.js';
+import { estimateTokens, truncateToTokens } from '../src/tokens.js';
+import { createEmptyMap, createDirectoryEntry } from '../src/schema.js';
+import { ERROR_CODES } from '../src/errors.js';
+
+describe('Context', () => {
+  let tempRoot;
+  let map;
+
+  beforeEach(() => {
+    tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crmbl-context-'));
+    fs.mkdirSync(path.join(tempRoot, 'packages/api/src/routes'), { recursive: true });
+    fs.writeFileSync(path.join(tempRoot, 'packages/api/src/routes/users.ts'), '');
+    fs.writeFileSync(path.join(tempRoot, 'packages/api/src/README.md'), '# src\n\n## Purpose\n\nServer code.\n');
+
+    map = createEmptyMap();
+    map.directories['/packages'] = createDirectoryEntry({ purpose: 'Workspace packages', subdirectories: ['/packages/api'] });
+    map.directories['/packages/api'] = createDirectoryEntry({ purpose: 'Public API' });
+    map.directories['/packages/api/src'] = createDirectoryEntry({
+      purpose: 'Server code',
+      complexity: 3,
+      entryPoints: ['index.ts'],
+      internalDeps: ['/packages'],
+      externalDeps: ['fastify'],
+      readmePath: '/packages/api/src/README.md',
+      keyFiles: [{ file: 'server.ts', description: 'Boots the server' }]
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  });
+
+  describe('resolveDirectoryKey', () => {
+    it('should map files to their directory and accept map keys', () => {
+      expect(resolveDirectoryKey(tempRoot, path.join(tempRoot, 'packages/api/src/routes/users.ts'))).toBe('/packages/api/src/routes');
+      expect(resolveDirectoryKey(tempRoot, '/packages/api/')).toBe('/packages/api');
+    });
+  });
+
+  describe('buildChain', () => {
+    it('should follow subdirectories and fall back to path ancestors', () => {
+      expect(buildChain(map, '/packages/api/src/routes')).toEqual(['/packages', '/packages/api', '/packages/api/src']);
+    });
+
+    it('should fail when nothing covers the path', () => {
+      expect(() => buildChain(map, '/tools')).toThrow('No entry in crmbl-map.json covers /tools');
+    });
+  });
+
+  describe('buildContext', () => {
+    it('should render the chain, target details and README excerpts', () => {
+      const context = buildContext({ rootPath: tempRoot }, map, '/packages/api/src/routes', { readme: true });
+
+      expect(context.target).toBe('/packages/api/src');
+      expect(context.markdown).toContain('  - `/packages/api` - Public API');
+      expect(context.markdown).toContain('| `server.ts` | Boots the server |');
+      expect(context.markdown).toContain('- `/packages` - Workspace packages');
+      expect(context.markdown).toContain('## README: /packages/api/src/README.md\n\n### Purpose');
+      expect(context.omitted).toEqual([]);
+    });
+
+    it('should drop lower-priority blocks to fit the token budget', () => {
+      const context = buildContext({ rootPath: tempRoot }, map, '/packages/api/src', { readme: true, maxTokens: 90 });
+
+      expect(context.markdown).toContain('### Entry Points');
+      expect(context.omitted).toContain('README for /packages/api/src');
+      expect(context.markdown).toContain('_Omitted to fit 90 tokens');
+    });
+
+    it('should keep the output, omission note included, within the budget', () => {
+      for (const maxTokens of [80, 90, 100, 120, 150]) {
+        const context = buildContext({ rootPath: tempRoot }, map, '/packages/api/src', { readme: true, maxTokens });
+        expect(context.tokens).toBeLessThanOrEqual(maxTokens);
+      }
+    });
+
+    it('should refuse a budget the chain and summary alone exceed', () => {
+      expect(() => buildContext({ rootPath: tempRoot }, map, '/packages/api/src', { maxTokens: 20 })).toThrow(
+        expect.objectContaining({ code: ERROR_CODES.INVALID_OPTION })
+      );
+    });
+  });
+
+  describe('tokens', () => {
+    it('should estimate and truncate at line boundaries', () => {
+      expect(estimateTokens('abcdefgh')).toBe(2);
+      const text = ['one', 'two', 'three', 'four'].join('\n');
+      expect(truncateToTokens(text, 100)).toBe(text);
+      expect(truncateToTokens(text, 3, '…')).toBe('one\ntwo\n…');
+    });
+  });
+});
@@ -0,0 +1,115 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { measureCoverage, checkCoverage, createBaseline, readBaseline, writeBaseline } from '../src/coverage.js';
+import { createEmptyMap, createDirectoryEntry } from '../src/schema.js';
+import { DEFAULT_CONFIG, validateConfig } from '../src/config.js';
+
+describe('Coverage', () => {
+  const dirs = ['/apps', '/apps/web', '/packages', '/packages/api', '/packages/api/src', '/packages/api/src/__tests__', '/packages/ui', '/packages/ui/src'];
+  let tempRoot;
+  let config;
+  let map;
+
+  const documentDir = (dir) => {
+    fs.writeFileSync(path.join(tempRoot, dir, 'README.md'), `# ${dir}\n`);
+    map.directories[dir] = createDirectoryEntry({ purpose: dir, readmePath: `${dir}/README.md` });
+  };
+
+  beforeEach(() => {
+    tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crmbl-coverage-'));
+    dirs.forEach(dir => fs.mkdirSync(path.join(tempRoot, dir), { recursive: true }));
+
+    map = createEmptyMap();
+    ['/apps', '/packages', '/packages/api', '/packages/api/src'].forEach(documentDir);
+    // An entry without a README on disk doesn't count as documented
+    map.directories['/packages/ui'] = createDirectoryEntry({ purpose: 'UI', readmePath: '/packages/ui/README.md' });
+
+    config = {
+      ...DEFAULT_CONFIG,
+      rootPath: tempRoot,
+      coverage: { minimum: 0, groupDepth: 1, policies: [{ path: 'packages/*/src', minimum: 100 }], baseline: null }
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  });
+
+  describe('measureCoverage', () => {
+    it('should count documentable directories overall, per prefix and per policy', () => {
+      const coverage = measureCoverage(config, map, dirs);
+
+      expect(coverage).toMatchObject({ total: 7, documented: 4, percent: 57.1 });
+      expect(coverage.undocumented).toEqual(['/apps/web', '/packages/ui', '/packages/ui/src']);
+      expect(coverage.groups).toEqual([
+        { prefix: '/apps', total: 2, documented: 1, percent: 50, undocumented: ['/apps/web'] },
+        { prefix: '/packages', total: 5, documented: 3, percent: 60, undocumented: ['/packages/ui', '/packages/ui/src'] }
+      ]);
+      expect(coverage.policies).toEqual([
+        { path: 'packages/*/src', minimum: 100, total: 2, documented: 1, percent: 50, undocumented: ['/packages/ui/src'] }
+      ]);
+    });
+
+    it('should group by deeper prefixes', () => {
+      config.coverage.groupDepth = 2;
+      const prefixes = measureCoverage(config, map, dirs).groups.map(group => group.prefix);
+      expect(prefixes).toEqual(['/apps', '/apps/web', '/packages', '/packages/api', '/packages/ui']);
+    });
+  });
+
+  describe('checkCoverage', () => {
+    it('should fail below the overall minimum and policy minimums', () => {
+      const coverage = measureCoverage(config, map, dirs);
+      const failures = checkCoverage(coverage, { minimum: 60 });
+
+      expect(failures).toEqual([
+        expect.objectContaining({ rule: 'coverage-minimum', scope: '/', message: 'Documentation coverage is 57.1%, below the minimum of 60%' }),
+        expect.objectContaining({ rule: 'coverage-policy', scope: 'packages/*/src', directories: ['/packages/ui/src'] })
+      ]);
+    });
+
+    it('should pass once the required paths are documented', () => {
+      documentDir('/packages/ui/src');
+      expect(checkCoverage(measureCoverage(config, map, dirs), config.coverage)).toEqual([]);
+    });
+
+    it('should fail when coverage drops below the baseline', () => {
+      documentDir('/packages/ui/src');
+      const baselinePath = path.join(tempRoot, '.crmbl-coverage.json');
+      writeBaseline(baselinePath, measureCoverage(config, map, dirs));
+      expect(readBaseline(baselinePath)).toEqual({
+        overall: 71.4,
+        groups: { '/apps': 50, '/packages': 80 },
+        policies: { 'packages/*/src': 100 }
+      });
+
+      fs.rmSync(path.join(tempRoot, 'apps/README.md'));
+      const coverage = measureCoverage(config, map, dirs);
+      const failures = checkCoverage(coverage, { minimum: 0 }, readBaseline(baselinePath));
+
+      expect(failures.map(failure => [failure.rule, failure.scope])).toEqual([
+        ['coverage-regression', '/'],
+        ['coverage-regression', '/apps']
+      ]);
+      expect(failures[1].message).toBe('Coverage of /apps dropped from 50% to 0%');
+      expect(createBaseline(coverage).overall).toBe(57.1);
+    });
+  });
+
+  describe('config', () => {
+    it('should validate coverage settings', () => {
+      const { errors } = validateConfig({
+        ...DEFAULT_CONFIG,
+        coverage: { minimum: 120, groupDepth: 0, baseline: 5, policies: [{ path: '', minimum: 50 }] }
+      });
+
+      expect(errors).toEqual([
+        'coverage.minimum must be a percentage between 0 and 100',
+        'coverage.groupDepth must be a positive integer',
+        'coverage.baseline must be a file path or null',
+        'coverage.policies[0].path must be a non-empty string'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { extractImports, packageName, detectDependencies, compareDependencies } from '../src/deps.js';
+
+function writeFiles(root, files) {
+  for (const [file, content] of Object.entries(files)) {
+    const fullPath = path.join(root, file);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, content, 'utf-8');
+  }
+}
+
+describe('Dependency detection', () => {
+  let tempRoot;
+
+  beforeEach(() => {
+    tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crmbl-deps-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  });
+
+  describe('extractImports', () => {
+    it('should find import, export-from, require and dynamic import', () => {
+      const source = `
+        import express from 'express';
+        import { a,
+          b } from './a.js';
+        import './side-effect';
+        export * from '../shared';
+        const fs = require('fs');
+        const lazy = await import('lodash/fp');
+        // import ignored from 'commented-out';
+      `;
+
+      expect(extractImports(source)).toEqual([
+        'express', './a.js', './side-effect', '../shared', 'fs', 'lodash/fp'
+      ]);
+    });
+
+    it('should not treat comment markers inside strings as comments', () => {
+      const source = `
+        const pattern = 'src/*';
+        const url = "http://example.com";
+        import chalk from 'chalk';
+        /* import hidden from 'hidden'; */
+        const done = '*/';
+      `;
+
+      expect(extractImports(source)).toEqual(['chalk']);
+    });
+  });
+
+  describe('packageName', () => {
+    it('should strip subpaths and keep scopes', () => {
+      expect(packageName('lodash/fp')).toBe('lodash');
+      expect(packageName('@scope/pkg/sub')).toBe('@scope/pkg');
+    });
+  });
+
+  describe('detectDependencies', () => {
+    it('should resolve relative imports and classify packages', () => {
+      writeFiles(tempRoot, {
+        'src/api/index.ts': "import { db } from '../database';\nimport express from 'express';\nimport path from 'node:path';",
+        'src/api/routes.ts': "import { helper } from '../utils/helper.js';\nimport './index';",
+        'src/database/index.ts': 'export const db = {};',
+        'src/utils/helper.ts': 'export const helper = 1;'
+      });
+
+      const detected = detectDependencies(tempRoot, ['/src/api']);
+
+      expect(detected['/src/api']).toEqual({
+        internalDeps: ['/src/database', '/src/utils'],
+        externalDeps: ['express']
+      });
+    });
+
+    it('should resolve tsconfig paths aliases', () => {
+      writeFiles(tempRoot, {
+        'tsconfig.json': '{\n  // comment\n  "compilerOptions": { "baseUrl": ".", "paths": { "@lib/*": ["src/lib/*"] } }\n}',
+        'src/app/main.ts': "import { x } from '@lib/core';\nimport zod from 'zod';",
+        'src/lib/core/index.ts': 'export const x = 1;'
+      });
+
+      const detected = detectDependencies(tempRoot, ['/src/app']);
+
+      expect(detected['/src/app'].internalDeps).toEqual(['/src/lib/core']);
+      expect(detected['/src/app'].externalDeps).toEqual(['zod']);
+    });
+  });
+
+  describe('compareDependencies', () => {
+    it('should return null when declared and detected deps agree', () => {
+      const deps = { internalDeps: ['/src/a'], externalDeps: ['zod'] };
+      expect(compareDependencies(deps, deps)).toBeNull();
+    });
+
+    it('should report undeclared and unused deps', () => {
+      const declared = { internalDeps: ['/src/old'], externalDeps: ['zod'] };
+      const detected = { internalDeps: ['/src/new'], externalDeps: ['zod', 'express'] };
+
+      expect(compareDependencies(declared, detected)).toEqual({
+        undeclaredInternal: ['/src/new'],
+        unusedInternal: ['/src/old'],
+        undeclaredExternal: ['express'],
+        unusedExternal: []
+      });
+    });
+  });
+});
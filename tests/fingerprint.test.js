@@ -0,0 +1,90 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fingerprintDirectory, diffFingerprints, describeStaleness, recordFingerprints, hasCurrentFingerprint } from '../src/fingerprint.js';
+import { scanDirectories } from '../src/scanner.js';
+import { createEmptyMap, createDirectoryEntry } from '../src/schema.js';
+
+describe('Fingerprints', () => {
+  let tempRoot;
+
+  beforeEach(() => {
+    tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crmbl-fingerprint-'));
+    fs.mkdirSync(path.join(tempRoot, 'src'));
+    fs.writeFileSync(path.join(tempRoot, 'src/a.js'), 'export const a = 1;');
+    fs.writeFileSync(path.join(tempRoot, 'src/b.js'), 'export const b = 2;');
+    fs.writeFileSync(path.join(tempRoot, 'src/README.md'), '# src');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  });
+
+  describe('fingerprintDirectory', () => {
+    it('should ignore README edits', () => {
+      const before = fingerprintDirectory(tempRoot, '/src');
+      fs.writeFileSync(path.join(tempRoot, 'src/README.md'), '# src\n\nMore docs');
+      const after = fingerprintDirectory(tempRoot, '/src');
+
+      expect(Object.keys(before.files)).toEqual(['a.js', 'b.js']);
+      expect(diffFingerprints(before, after)).toBeNull();
+    });
+
+    it('should report added, removed and modified files', () => {
+      const before = fingerprintDirectory(tempRoot, '/src');
+      fs.writeFileSync(path.join(tempRoot, 'src/a.js'), 'export const a = 42;');
+      fs.unlinkSync(path.join(tempRoot, 'src/b.js'));
+      fs.writeFileSync(path.join(tempRoot, 'src/c.js'), 'export const c = 3;');
+
+      const diff = diffFingerprints(before, fingerprintDirectory(tempRoot, '/src'));
+
+      expect(diff).toEqual({ added: ['c.js'], removed: ['b.js'], modified: ['a.js'] });
+      expect(describeStaleness(diff)).toBe('files added: c.js; files removed: b.js; files modified: a.js');
+    });
+  });
+
+  describe('recordFingerprints', () => {
+    it('should record fingerprints without touching lastUpdated', () => {
+      const map = createEmptyMap();
+      map.directories['/src'] = createDirectoryEntry({ lastUpdated: '2025-01-01T00:00:00.000Z' });
+
+      expect(recordFingerprints(tempRoot, map)).toEqual(['/src']);
+      expect(map.directories['/src'].lastUpdated).toBe('2025-01-01T00:00:00.000Z');
+      expect(hasCurrentFingerprint(map.directories['/src'])).toBe(true);
+    });
+  });
+
+  describe('scanDirectories', () => {
+    it('should list documented directories that changed as stale', async () => {
+      const map = createEmptyMap();
+      map.directories['/src'] = createDirectoryEntry({ readmePath: '/src/README.md' });
+      recordFingerprints(tempRoot, map);
+
+      const outputPath = path.join(tempRoot, 'crmbl-map.json');
+      fs.writeFileSync(outputPath, JSON.stringify(map), 'utf-8');
+      fs.writeFileSync(path.join(tempRoot, 'src/d.js'), 'export const d = 4;');
+
+      const results = await scanDirectories({ rootPath: tempRoot, ignore: [], outputPath });
+
+      expect(results.staleDirs).toEqual(['/src']);
+      expect(results.unchangedDirs).toEqual([]);
+      expect(results.staleReasons['/src'].added).toEqual(['d.js']);
+      expect(results.stats.stale).toBe(1);
+    });
+
+    it('should bump generated when it records fingerprints in the map', async () => {
+      const map = createEmptyMap();
+      map.generated = '2025-01-01T00:00:00.000Z';
+      map.directories['/src'] = createDirectoryEntry({ readmePath: '/src/README.md' });
+      const outputPath = path.join(tempRoot, 'crmbl-map.json');
+      fs.writeFileSync(outputPath, JSON.stringify(map), 'utf-8');
+
+      const results = await scanDirectories({ rootPath: tempRoot, ignore: [], outputPath }, { writeMap: true });
+
+      const saved = JSON.parse(fs.readFileSync(outputPath, 'utf-8'));
+      expect(results.fingerprinted).toEqual(['/src']);
+      expect(saved.directories['/src'].fingerprint).toBeDefined();
+      expect(Date.parse(saved.generated)).toBeGreaterThan(Date.parse(map.generated));
+    });
+  });
+});
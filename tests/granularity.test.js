@@ -0,0 +1,73 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { evaluateDirectory, applyGranularity } from '../src/granularity.js';
+import { scanDirectories } from '../src/scanner.js';
+
+function touch(root, file) {
+  fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+  fs.writeFileSync(path.join(root, file), '');
+}
+
+describe('Granularity', () => {
+  let tempRoot;
+
+  beforeEach(() => {
+    tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crmbl-granularity-'));
+    touch(tempRoot, 'src/api/index.ts');
+    touch(tempRoot, 'src/api/routes.ts');
+    touch(tempRoot, 'src/api/__tests__/routes.test.ts');
+    touch(tempRoot, 'src/api/fixtures/users/a.json');
+    touch(tempRoot, 'src/assets/logo.png');
+    touch(tempRoot, 'src/util/a.ts');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  });
+
+  describe('evaluateDirectory', () => {
+    it('should collapse matching directories and their subtrees', () => {
+      expect(evaluateDirectory(tempRoot, '/src/api/__tests__', {}).documentable).toBe(false);
+      expect(evaluateDirectory(tempRoot, '/src/api/fixtures/users', {}).reason)
+        .toBe('collapsed into parent by "**/fixtures"');
+      expect(evaluateDirectory(tempRoot, '/src/api', {}).documentable).toBe(true);
+    });
+
+    it('should apply maxDepth, minFiles, include and exclude', () => {
+      expect(evaluateDirectory(tempRoot, '/src/api', { maxDepth: 1 }).documentable).toBe(false);
+      expect(evaluateDirectory(tempRoot, '/src/assets', { minFiles: 1 }).documentable).toBe(false);
+      expect(evaluateDirectory(tempRoot, '/src/util', { minFiles: 1 }).documentable).toBe(true);
+      expect(evaluateDirectory(tempRoot, '/src/util', { include: ['src/api'] }).documentable).toBe(false);
+      expect(evaluateDirectory(tempRoot, '/src/util', { exclude: ['**/util'] }).documentable).toBe(false);
+    });
+  });
+
+  describe('applyGranularity', () => {
+    it('should roll rejected directories up into the nearest documentable ancestor', () => {
+      const dirs = ['/src', '/src/api', '/src/api/__tests__', '/src/assets'];
+      const { documentable, collapsed } = applyGranularity(tempRoot, dirs, { minFiles: 1 });
+
+      expect(documentable).toEqual(['/src/api']);
+      expect(collapsed['/src/api/__tests__'].into).toBe('/src/api');
+      expect(collapsed['/src/assets'].into).toBeNull();
+    });
+  });
+
+  describe('scanDirectories', () => {
+    it('should not list collapsed directories as new', async () => {
+      const results = await scanDirectories({
+        rootPath: tempRoot,
+        ignore: [],
+        outputPath: path.join(tempRoot, 'crmbl-map.json'),
+        granularity: { minFiles: 1 }
+      });
+
+      expect(results.newDirs).toEqual(['/src/api', '/src/util']);
+      expect(Object.keys(results.collapsedDirs)).toEqual([
+        '/src', '/src/api/__tests__', '/src/api/fixtures', '/src/api/fixtures/users', '/src/assets'
+      ]);
+      expect(results.stats.collapsed).toBe(5);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+import { buildGraph, findCycles, findForbiddenDependencies, describeForbiddenDependency, renderGraph } from '../src/graph.js';
+import { createEmptyMap, createDirectoryEntry } from '../src/schema.js';
+import { DEFAULT_CONFIG, validateConfig } from '../src/config.js';
+
+describe('Graph', () => {
+  let map;
+
+  beforeEach(() => {
+    map = createEmptyMap();
+    const add = (dir, internalDeps) => {
+      map.directories[dir] = createDirectoryEntry({ purpose: dir, internalDeps });
+    };
+    add('/apps/web', ['/packages/ui', '/packages/core']);
+    add('/packages/ui', ['/packages/core', '/packages/server/src']);
+    add('/packages/ui/src', ['/packages/core/src']);
+    add('/packages/server', ['/packages/core']);
+    add('/packages/server/src', []);
+    add('/packages/core', ['/packages/ui']);
+    add('/packages/core/src', []);
+  });
+
+  describe('buildGraph', () => {
+    it('should build adjacency lists from internalDeps', () => {
+      const graph = buildGraph(map);
+
+      expect(graph.nodes).toHaveLength(7);
+      expect(graph.edges['/apps/web']).toEqual(['/packages/core', '/packages/ui']);
+      expect(graph.edges['/packages/server/src']).toEqual([]);
+    });
+
+    it('should filter by subtree and collapse deeper directories', () => {
+      const graph = buildGraph(map, { root: '/packages', depth: 1 });
+
+      expect(graph.nodes).toEqual(['/packages/core', '/packages/server', '/packages/ui']);
+      expect(graph.edges).toEqual({
+        '/packages/core': ['/packages/ui'],
+        '/packages/server': ['/packages/core'],
+        '/packages/ui': ['/packages/core', '/packages/server']
+      });
+    });
+  });
+
+  describe('findCycles', () => {
+    it('should report one path per cycle', () => {
+      expect(findCycles(buildGraph(map))).toEqual([['/packages/core', '/packages/ui', '/packages/core']]);
+    });
+
+    it('should report self-dependencies', () => {
+      map.directories['/packages/core/src'].internalDeps = ['/packages/core/src'];
+      expect(findCycles(buildGraph(map))).toContainEqual(['/packages/core/src', '/packages/core/src']);
+    });
+
+    it('should return nothing for an acyclic graph', () => {
+      map.directories['/packages/core'].internalDeps = [];
+      expect(findCycles(buildGraph(map))).toEqual([]);
+    });
+  });
+
+  describe('findForbiddenDependencies', () => {
+    it('should match rules against directories and their subtrees', () => {
+      const rule = { from: 'packages/ui', to: 'packages/server', reason: 'Use the HTTP client' };
+      const violations = findForbiddenDependencies(buildGraph(map), [rule, { from: 'packages/*', to: 'apps/**' }]);
+
+      expect(violations).toEqual([{ from: '/packages/ui', to: '/packages/server/src', rule }]);
+      expect(describeForbiddenDependency(violations[0])).toBe(
+        '/packages/ui depends on /packages/server/src, but "packages/ui" must not depend on "packages/server": Use the HTTP client'
+      );
+    });
+  });
+
+  describe('renderGraph', () => {
+    let graph;
+    let problems;
+
+    beforeEach(() => {
+      graph = buildGraph(map, { root: '/packages', depth: 1 });
+      problems = { cycles: findCycles(graph), violations: [] };
+    });
+
+    it('should render Mermaid with cycle edges highlighted', () => {
+      expect(renderGraph('mermaid', graph, problems)).toBe([
+        'graph LR',
+        '  n0["/packages/core"]',
+        '  n1["/packages/server"]',
+        '  n2["/packages/ui"]',
+        '  n0 --> n2',
+        '  n1 --> n0',
+        '  n2 --> n0',
+        '  n2 --> n1',
+        '  linkStyle 0,2 stroke:#d33,stroke-width:2px',
+        ''
+      ].join('\n'));
+    });
+
+    it('should render DOT and JSON', () => {
+      const dot = renderGraph('dot', graph, problems);
+      expect(dot).toContain('"/packages/core" -> "/packages/ui" [color=red];');
+      expect(dot).toContain('"/packages/ui" -> "/packages/server";');
+
+      const json = JSON.parse(renderGraph('json', graph, problems));
+      expect(json.adjacency['/packages/server']).toEqual(['/packages/core']);
+      expect(json.cycles).toHaveLength(1);
+    });
+
+    it('should reject unknown formats', () => {
+      expect(() => renderGraph('svg', graph)).toThrow('Unknown graph format "svg"');
+    });
+  });
+
+  describe('config', () => {
+    it('should validate forbidden dependency rules', () => {
+      const { errors } = validateConfig({ ...DEFAULT_CONFIG, graph: { forbidden: [{ from: 'packages/ui' }, { from: 'a', to: 'b', reason: 1 }] } });
+      expect(errors).toEqual([
+        'graph.forbidden[0].to must be a non-empty string',
+        'graph.forbidden[1].reason must be a string'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { classifyFrequency, computeHistory, fillLastUpdated, findFrequencyMismatches } from '../src/history.js';
+import { createEmptyMap, createDirectoryEntry } from '../src/schema.js';
+
+function git(cwd, ...args) {
+  execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], {
+    cwd,
+    stdio: 'ignore'
+  });
+}
+
+function commitFile(cwd, file, content, author, date) {
+  fs.mkdirSync(path.dirname(path.join(cwd, file)), { recursive: true });
+  fs.writeFileSync(path.join(cwd, file), content);
+  git(cwd, 'add', '-A');
+  git(cwd, 'commit', '-q', '-m', `Update ${file}`, `--author=${author} <${author}@example.com>`, ...(date ? [`--date=${date}`] : []));
+}
+
+describe('Git history', () => {
+  let tempRoot;
+
+  beforeEach(() => {
+    tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crmbl-history-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  });
+
+  describe('classifyFrequency', () => {
+    it('should map commit counts onto the changeFrequency enum', () => {
+      const thresholds = { 'Moderate': 2, 'Frequently Modified': 4 };
+      expect(classifyFrequency(1, thresholds)).toBe('Stable');
+      expect(classifyFrequency(2, thresholds)).toBe('Moderate');
+      expect(classifyFrequency(4, thresholds)).toBe('Frequently Modified');
+    });
+  });
+
+  describe('computeHistory', () => {
+    it('should fall back when there is no git history', () => {
+      expect(computeHistory(tempRoot, ['/src'])).toEqual({ available: false, directories: {} });
+    });
+
+    it('should count commits, authors and last touched date per directory', () => {
+      git(tempRoot, 'init', '-q');
+      commitFile(tempRoot, 'src/api/a.js', '1', 'alice');
+      commitFile(tempRoot, 'src/api/a.js', '2', 'bob');
+      commitFile(tempRoot, 'src/api/b.js', '3', 'alice');
+      commitFile(tempRoot, 'src/db/c.js', '4', 'carol');
+
+      const history = computeHistory(tempRoot, ['/src/api', '/src/db', '/src'], {
+        windows: [30],
+        classifyWindow: 30,
+        thresholds: { 'Moderate': 2, 'Frequently Modified': 3 }
+      });
+
+      expect(history.available).toBe(true);
+      expect(history.directories['/src/api'].commits).toEqual({ 30: 3 });
+      expect(history.directories['/src/api'].changeFrequency).toBe('Frequently Modified');
+      expect(history.directories['/src/api'].topAuthors).toEqual([
+        { name: 'alice', commits: 2 },
+        { name: 'bob', commits: 1 }
+      ]);
+      expect(history.directories['/src/db'].changeFrequency).toBe('Stable');
+      expect(history.directories['/src'].lastTouched).toBeNull();
+
+      const map = createEmptyMap();
+      map.directories['/src/api'] = createDirectoryEntry({ changeFrequency: 'Stable' });
+      map.directories['/src/db'] = createDirectoryEntry({ changeFrequency: 'Stable' });
+
+      expect(findFrequencyMismatches(map, history)).toEqual([{
+        directory: '/src/api',
+        declared: 'Stable',
+        computed: 'Frequently Modified',
+        commits: { 30: 3 }
+      }]);
+    });
+
+    it('should pick the last touched date by instant, not by local time', () => {
+      git(tempRoot, 'init', '-q');
+      const recent = new Date(Date.now() - 24 * 60 * 60 * 1000);
+      // Written later on the clock face, but two hours earlier in UTC
+      const earlier = new Date(recent.getTime() - 2 * 60 * 60 * 1000);
+      const local = new Date(earlier.getTime() + 10 * 60 * 60 * 1000).toISOString().slice(0, 19);
+      commitFile(tempRoot, 'src/a.js', '1', 'alice', recent.toISOString());
+      commitFile(tempRoot, 'src/b.js', '2', 'bob', `${local}+10:00`);
+
+      const history = computeHistory(tempRoot, ['/src'], { windows: [30], classifyWindow: 30 });
+
+      expect(history.directories['/src'].lastTouched).toBe(new Date(Math.floor(recent.getTime() / 1000) * 1000).toISOString());
+    });
+  });
+
+  describe('fillLastUpdated', () => {
+    it('should fill missing lastUpdated from the README\'s last commit', () => {
+      git(tempRoot, 'init', '-q');
+      commitFile(tempRoot, 'src/README.md', '# src', 'alice', '2026-03-01T12:00:00+02:00');
+      commitFile(tempRoot, 'lib/README.md', '# lib', 'alice', '2026-03-02T12:00:00Z');
+
+      const map = createEmptyMap();
+      map.directories['/src'] = { purpose: 'Sources', readmePath: '/src/README.md' };
+      map.directories['/lib'] = { purpose: 'Library', readmePath: '/lib/README.md', lastUpdated: '2026-04-01T00:00:00.000Z' };
+      map.directories['/new'] = { purpose: 'Uncommitted', readmePath: '/new/README.md' };
+
+      expect(fillLastUpdated(tempRoot, map, { fillLastUpdated: false })).toEqual([]);
+      expect(fillLastUpdated(tempRoot, map)).toEqual(['/src']);
+      expect(map.directories['/src'].lastUpdated).toBe('2026-03-01T10:00:00.000Z');
+      expect(map.directories['/lib'].lastUpdated).toBe('2026-04-01T00:00:00.000Z');
+      expect(map.directories['/new'].lastUpdated).toBeUndefined();
+    });
+  });
+});
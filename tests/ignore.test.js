@@ -0,0 +1,91 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseIgnoreRules, createIgnoreMatcher } from '../src/ignore.js';
+import { findAllDirectories } from '../src/scanner.js';
+
+function mkdirs(root, dirs) {
+  for (const dir of dirs) {
+    fs.mkdirSync(path.join(root, dir), { recursive: true });
+  }
+}
+
+describe('Ignore rules', () => {
+  let tempRoot;
+
+  beforeEach(() => {
+    tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crmbl-ignore-'));
+    mkdirs(tempRoot, [
+      'node_modules/pkg',
+      'packages/core/generated',
+      'packages/api/generated',
+      'packages/api/tmp',
+      'packages/api/src',
+      'out',
+      'docs/out',
+      '.github/workflows'
+    ]);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  });
+
+  describe('parseIgnoreRules', () => {
+    it('should parse negation, anchoring and directory-only patterns', () => {
+      const rules = parseIgnoreRules('# comment\n\n/out/\n!keep\nbuild\nsrc/*.js\n', '/', '/.gitignore');
+
+      expect(rules.map(({ pattern, negate, dirOnly, anchored, source }) => ({ pattern, negate, dirOnly, anchored, source })))
+        .toEqual([
+          { pattern: 'out', negate: false, dirOnly: true, anchored: true, source: '/.gitignore:3' },
+          { pattern: 'keep', negate: true, dirOnly: false, anchored: false, source: '/.gitignore:4' },
+          { pattern: 'build', negate: false, dirOnly: false, anchored: false, source: '/.gitignore:5' },
+          { pattern: 'src/*.js', negate: false, dirOnly: false, anchored: true, source: '/.gitignore:6' }
+        ]);
+    });
+  });
+
+  describe('findAllDirectories', () => {
+    it('should honor .gitignore, nested .gitignore and .crmblignore negations', async () => {
+      fs.writeFileSync(path.join(tempRoot, '.gitignore'), '/out/\n');
+      fs.writeFileSync(path.join(tempRoot, 'packages/api/.gitignore'), 'tmp/\n');
+      fs.writeFileSync(path.join(tempRoot, '.crmblignore'), 'packages/*/generated\n!packages/core/generated\n');
+
+      const dirs = await findAllDirectories(tempRoot, ['node_modules']);
+
+      expect(dirs).toEqual([
+        '/docs',
+        '/docs/out',
+        '/packages',
+        '/packages/api',
+        '/packages/api/src',
+        '/packages/core',
+        '/packages/core/generated'
+      ]);
+    });
+
+    it('should skip .gitignore when useGitignore is false', async () => {
+      fs.writeFileSync(path.join(tempRoot, '.gitignore'), 'docs\n');
+
+      const dirs = await findAllDirectories(tempRoot, ['node_modules', 'packages'], { useGitignore: false });
+
+      expect(dirs).toEqual(['/docs', '/docs/out', '/out']);
+    });
+  });
+
+  describe('explain', () => {
+    it('should name the rule that decided', () => {
+      fs.writeFileSync(path.join(tempRoot, '.crmblignore'), 'packages/*/generated\n!packages/core/generated\n');
+      const matcher = createIgnoreMatcher(tempRoot, ['node_modules']);
+
+      expect(matcher.explain('/packages/api/generated').reason)
+        .toBe('excluded by "packages/*/generated" (/.crmblignore:1)');
+      expect(matcher.explain('/packages/core/generated').reason)
+        .toBe('re-included by "!packages/core/generated" (/.crmblignore:2)');
+      expect(matcher.explain('/node_modules/pkg').reason)
+        .toBe('parent directory /node_modules is excluded');
+      expect(matcher.explain('/node_modules').rule.source).toBe('.crmbl-config.json ignore[0]');
+      expect(matcher.explain('/packages/api/src').ignored).toBe(false);
+    });
+  });
+});
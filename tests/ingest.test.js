@@ -0,0 +1,137 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseReadme, ingestReadmes } from '../src/ingest.js';
+import { createEmptyMap, createDirectoryEntry } from '../src/schema.js';
+
+const README = `# api
+
+**Last Updated:** 2025-01-15
+
+## Purpose
+
+REST API endpoints
+and business logic.
+
+## Complexity Score
+
+**4/5** - Many routes
+
+## Change Frequency
+
+**Frequently Modified**
+
+## Key Files
+
+| File | Description |
+|------|-------------|
+| \`routes.ts\` | Route definitions |
+| \`middleware.ts\` | Auth middleware |
+
+## Entry Points
+
+- \`index.ts\` - Main entry point
+
+## Dependencies
+
+### Internal Dependencies
+
+- \`/src/database\` - Data access
+
+### External Dependencies
+
+- \`express\` - HTTP server
+- None
+
+## Architecture Notes
+
+Nothing special.
+`;
+
+describe('Ingest', () => {
+  describe('parseReadme', () => {
+    it('should extract every templated section', () => {
+      const { info, errors } = parseReadme(README);
+
+      expect(errors).toEqual([]);
+      expect(info).toEqual({
+        purpose: 'REST API endpoints and business logic.',
+        complexity: 4,
+        changeFrequency: 'Frequently Modified',
+        keyFiles: [
+          { file: 'routes.ts', description: 'Route definitions' },
+          { file: 'middleware.ts', description: 'Auth middleware' }
+        ],
+        entryPoints: ['index.ts'],
+        internalDeps: ['/src/database'],
+        externalDeps: ['express']
+      });
+    });
+
+    it('should report malformed sections with line numbers', () => {
+      const content = [
+        '# x',
+        '## Purpose',
+        '[Brief description of what this directory does and why it exists]',
+        '## Complexity Score',
+        '**[1-5]/5** - [Brief justification]',
+        '## Change Frequency',
+        '**Sometimes**'
+      ].join('\n');
+
+      const { info, errors } = parseReadme(content);
+
+      expect(info.purpose).toBeUndefined();
+      expect(errors.map(e => e.line)).toEqual([2, 5, 7]);
+    });
+  });
+
+  describe('ingestReadmes', () => {
+    let tempRoot;
+
+    beforeEach(() => {
+      tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crmbl-ingest-'));
+      fs.mkdirSync(path.join(tempRoot, 'src/api'), { recursive: true });
+      fs.writeFileSync(path.join(tempRoot, 'src/api/README.md'), README, 'utf-8');
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempRoot, { recursive: true, force: true });
+    });
+
+    it('should merge README metadata into the map and validate it', () => {
+      const map = createEmptyMap();
+      map.directories['/src/api'] = createDirectoryEntry({
+        purpose: 'stale',
+        subdirectories: ['/src/api/v1']
+      });
+
+      const result = ingestReadmes({ rootPath: tempRoot }, map, ['/src/api', '/src/undocumented']);
+
+      expect(result.ingested).toEqual(['/src/api']);
+      expect(result.validation.valid).toBe(true);
+
+      const entry = result.map.directories['/src/api'];
+      expect(entry.purpose).toBe('REST API endpoints and business logic.');
+      expect(entry.readmePath).toBe('/src/api/README.md');
+      expect(entry.subdirectories).toEqual(['/src/api/v1']);
+      expect(result.map.directories['/src/undocumented']).toBeUndefined();
+    });
+
+    it('should seed new entries with detected dependencies', () => {
+      fs.mkdirSync(path.join(tempRoot, 'src/jobs'), { recursive: true });
+      fs.mkdirSync(path.join(tempRoot, 'src/database'), { recursive: true });
+      fs.writeFileSync(path.join(tempRoot, 'src/database/index.js'), 'export const db = {};\n');
+      fs.writeFileSync(path.join(tempRoot, 'src/jobs/index.js'), "import cron from 'node-cron';\nimport { db } from '../database/index.js';\n");
+      fs.writeFileSync(path.join(tempRoot, 'src/jobs/README.md'), '# jobs\n\n## Purpose\n\nBackground jobs\n');
+
+      const result = ingestReadmes({ rootPath: tempRoot }, createEmptyMap(), ['/src/api', '/src/jobs'], {
+        detectedDeps: { '/src/api': { internalDeps: ['/src/auth'], externalDeps: ['fastify'] } }
+      });
+
+      expect(result.map.directories['/src/jobs']).toMatchObject({ internalDeps: ['/src/database'], externalDeps: ['node-cron'] });
+      // The README's own lists win over detected ones
+      expect(result.map.directories['/src/api']).toMatchObject({ internalDeps: ['/src/database'], externalDeps: ['express'] });
+    });
+  });
+});
@@ -0,0 +1,145 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { analyzeReadmeTemplate, lintReadme, lintDocumentation, resolveRuleSeverities } from '../src/lint.js';
+import { loadReadmeTemplate } from '../src/scaffold.js';
+import { createEmptyMap, createDirectoryEntry } from '../src/schema.js';
+import { DEFAULT_CONFIG, validateConfig } from '../src/config.js';
+
+const COMPLETE_README = `# api
+
+## Purpose
+
+Serves the public API.
+
+## Complexity Score
+
+**2/5** - Thin routing layer
+
+## Change Frequency
+
+**Stable**
+
+## Key Files
+
+| File | Description |
+|------|-------------|
+| \`index.js\` | Boots the server |
+
+## Entry Points
+
+- \`index.js\` - Main entry point
+
+## Dependencies
+
+None.
+
+## Architecture Notes
+
+Nothing unusual.
+
+## Related Directories
+
+None.
+`;
+
+describe('Lint', () => {
+  const templateInfo = analyzeReadmeTemplate(loadReadmeTemplate());
+
+  describe('analyzeReadmeTemplate', () => {
+    it('should read sections and placeholders from the template', () => {
+      expect(templateInfo.sections).toContain('Purpose');
+      expect(templateInfo.sections).toContain('Related Directories');
+      expect(templateInfo.placeholders).toContain('[Directory Name]');
+      expect(templateInfo.placeholders).toContain('[YYYY-MM-DD]');
+    });
+  });
+
+  describe('lintReadme', () => {
+    it('should accept a complete README', () => {
+      expect(lintReadme(COMPLETE_README, templateInfo)).toEqual([]);
+    });
+
+    it('should report missing sections and unfilled placeholders with their line', () => {
+      const readme = '# [Directory Name]\n\n## Purpose\n\nTODO(crmbl): describe it\n\n```\n[Directory Name]\n```\n';
+      const problems = lintReadme(readme, templateInfo);
+
+      expect(problems).toContainEqual({ rule: 'readme-placeholder', line: 1, message: 'Unfilled placeholder [Directory Name]' });
+      expect(problems).toContainEqual({ rule: 'readme-placeholder', line: 5, message: 'Unfilled TODO(crmbl): marker' });
+      expect(problems.filter(problem => problem.rule === 'readme-placeholder')).toHaveLength(2);
+      expect(problems).toContainEqual({ rule: 'readme-sections', line: 1, message: 'Missing "## Key Files" section' });
+      expect(problems).not.toContainEqual(expect.objectContaining({ message: 'Missing "## Purpose" section' }));
+    });
+  });
+
+  describe('lintDocumentation', () => {
+    let tempRoot;
+    let config;
+    let map;
+
+    beforeEach(() => {
+      tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crmbl-lint-'));
+      fs.mkdirSync(path.join(tempRoot, 'api/routes'), { recursive: true });
+      fs.mkdirSync(path.join(tempRoot, 'api/handlers'), { recursive: true });
+      fs.writeFileSync(path.join(tempRoot, 'api/index.js'), '');
+      fs.writeFileSync(path.join(tempRoot, 'api/routes/users.js'), '');
+      fs.writeFileSync(path.join(tempRoot, 'api/handlers/users.js'), '');
+      fs.writeFileSync(path.join(tempRoot, 'api/README.md'), COMPLETE_README.replace('Nothing unusual.', '[Any important architectural decisions, patterns used, or gotchas to be aware of]'));
+
+      config = { ...DEFAULT_CONFIG, rootPath: tempRoot };
+      map = createEmptyMap();
+      map.directories['/api'] = createDirectoryEntry({
+        purpose: 'Public API',
+        readmePath: '/api/README.md',
+        keyFiles: [{ file: 'index.js', description: 'Boots the server' }, { file: 'server.js', description: 'Deleted' }],
+        entryPoints: ['index.js', 'main.js'],
+        internalDeps: ['/shared'],
+        subdirectories: ['/api/routes', '/api/legacy']
+      });
+      map.directories['/old'] = createDirectoryEntry({ purpose: 'Removed' });
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempRoot, { recursive: true, force: true });
+    });
+
+    it('should report each problem under its own rule', () => {
+      const violations = lintDocumentation(config, map);
+      const byRule = rule => violations.filter(violation => violation.rule === rule);
+
+      expect(byRule('key-file-missing')).toEqual([expect.objectContaining({ severity: 'error', directory: '/api', message: 'Key file server.js does not exist' })]);
+      expect(byRule('entry-point-missing')).toEqual([expect.objectContaining({ message: 'Entry point main.js does not exist' })]);
+      expect(byRule('internal-dep-missing')).toEqual([expect.objectContaining({ message: 'Internal dependency /shared does not exist' })]);
+      expect(byRule('subdirectory-missing')).toEqual([expect.objectContaining({ message: 'Subdirectory /api/legacy does not exist' })]);
+      expect(byRule('subdirectory-unlisted')).toEqual([expect.objectContaining({ severity: 'warn', message: 'Subdirectory /api/handlers is not listed in subdirectories' })]);
+      expect(byRule('readme-placeholder')).toEqual([expect.objectContaining({ file: '/api/README.md', line: 31 })]);
+      expect(byRule('directory-missing')).toEqual([expect.objectContaining({ directory: '/old', severity: 'warn' })]);
+      expect(violations[violations.length - 1].severity).toBe('warn');
+    });
+
+    it('should apply configured severities', () => {
+      config.lint = { rules: { 'key-file-missing': 'warn', 'subdirectory-unlisted': 'off', 'directory-missing': 'off' } };
+      const violations = lintDocumentation(config, map, { skip: ['/old'] });
+
+      expect(violations.find(violation => violation.rule === 'key-file-missing').severity).toBe('warn');
+      expect(violations.some(violation => violation.rule === 'subdirectory-unlisted')).toBe(false);
+      expect(violations.some(violation => violation.directory === '/old')).toBe(false);
+    });
+  });
+
+  describe('config', () => {
+    it('should resolve defaults and validate rule settings', () => {
+      expect(resolveRuleSeverities({ rules: { 'readme-sections': 'error' } })).toMatchObject({
+        'readme-sections': 'error',
+        'readme-placeholder': 'error',
+        'subdirectory-unlisted': 'warn'
+      });
+
+      const { errors } = validateConfig({ ...DEFAULT_CONFIG, lint: { rules: { 'readme-typo': 'warn', 'key-file-missing': 'fatal' } } });
+      expect(errors).toEqual([
+        'lint.rules: unknown rule "readme-typo"',
+        'lint.rules["key-file-missing"] must be one of: off, warn, error'
+      ]);
+    });
+  });
+});
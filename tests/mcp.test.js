@@ -0,0 +1,131 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PassThrough } from 'stream';
+import { createMcpServer, serveStdio, MCP_TOOLS, RPC_ERRORS } from '../src/mcp.js';
+import { createEmptyMap, createDirectoryEntry } from '../src/schema.js';
+import { DEFAULT_CONFIG } from '../src/config.js';
+
+/**
+ * Minimal MCP client that talks to serveStdio over in-memory streams
+ */
+function createClient(server) {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  const pending = new Map();
+  let buffer = '';
+  let nextId = 1;
+
+  output.on('data', chunk => {
+    buffer += chunk;
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const message = JSON.parse(buffer.slice(0, newline));
+      buffer = buffer.slice(newline + 1);
+      pending.get(message.id)(message);
+      pending.delete(message.id);
+    }
+  });
+
+  const closed = serveStdio(server, input, output);
+
+  return {
+    request(method, params) {
+      const id = nextId++;
+      return new Promise(resolve => {
+        pending.set(id, resolve);
+        input.write(JSON.stringify({ jsonrpc: '2.0', id, method, params }) + '\n');
+      });
+    },
+    notify(method, params) {
+      input.write(JSON.stringify({ jsonrpc: '2.0', method, params }) + '\n');
+    },
+    close() {
+      input.end();
+      return closed;
+    }
+  };
+}
+
+describe('MCP server', () => {
+  let tempRoot;
+  let config;
+
+  beforeEach(() => {
+    tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crmbl-mcp-'));
+    fs.mkdirSync(path.join(tempRoot, 'src/api'), { recursive: true });
+    fs.mkdirSync(path.join(tempRoot, 'src/db'), { recursive: true });
+    fs.writeFileSync(path.join(tempRoot, 'src/db/README.md'), '# db\n');
+
+    const map = createEmptyMap();
+    map.directories['/src/api'] = createDirectoryEntry({
+      purpose: 'HTTP routes',
+      internalDeps: ['/src/db'],
+      externalDeps: ['express'],
+      readmePath: '/src/api/README.md'
+    });
+    map.directories['/src/db'] = createDirectoryEntry({ purpose: 'Database access', readmePath: '/src/db/README.md' });
+    fs.writeFileSync(path.join(tempRoot, 'crmbl-map.json'), JSON.stringify(map));
+
+    config = { ...DEFAULT_CONFIG, rootPath: tempRoot, outputPath: path.join(tempRoot, 'crmbl-map.json') };
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  });
+
+  it('should complete the handshake and list tools over stdio', async () => {
+    const client = createClient(createMcpServer(config, { name: 'crmbl', version: '1.0.0' }));
+
+    const init = await client.request('initialize', { protocolVersion: '2024-11-05', capabilities: {} });
+    expect(init.result.serverInfo).toEqual({ name: 'crmbl', version: '1.0.0' });
+    expect(init.result.capabilities).toEqual({ tools: {} });
+
+    client.notify('notifications/initialized');
+    const list = await client.request('tools/list');
+    expect(list.result.tools.map(tool => tool.name)).toEqual(MCP_TOOLS.map(tool => tool.name));
+
+    await client.close();
+  });
+
+  it('should answer tool calls from the map', async () => {
+    const client = createClient(createMcpServer(config));
+    const call = async (name, args) => {
+      const response = await client.request('tools/call', { name, arguments: args });
+      return response.result;
+    };
+
+    const listed = JSON.parse((await call('list_directories', {})).content[0].text);
+    expect(listed.map(dir => [dir.directory, dir.hasReadme])).toEqual([['/src/api', false], ['/src/db', true]]);
+
+    const described = JSON.parse((await call('describe_directory', { path: 'src/db' })).content[0].text);
+    expect(described.dependents).toEqual(['/src/api']);
+
+    const users = JSON.parse((await call('find_by_dependency', { dependency: 'express' })).content[0].text);
+    expect(users.map(dir => dir.directory)).toEqual(['/src/api']);
+
+    expect((await call('get_readme', { path: '/src/db' })).content[0].text).toBe('# db\n');
+    expect((await call('get_readme', { path: '/src/api' })).isError).toBe(true);
+    expect((await call('describe_directory', {})).isError).toBe(true);
+
+    const found = JSON.parse((await call('search', { query: 'where is database access handled' })).content[0].text);
+    expect(found.map(dir => dir.directory)).toEqual(['/src/db']);
+
+    // READMEs written after the map was loaded are picked up
+    fs.writeFileSync(path.join(tempRoot, 'src/api/README.md'), '# api\n');
+    const relisted = JSON.parse((await call('list_directories', {})).content[0].text);
+    expect(relisted.every(dir => dir.hasReadme)).toBe(true);
+
+    await client.close();
+  });
+
+  it('should report protocol errors', () => {
+    const server = createMcpServer(config);
+
+    expect(server.handleMessage({ jsonrpc: '2.0', id: 1, method: 'resources/list' }).error.code)
+      .toBe(RPC_ERRORS.METHOD_NOT_FOUND);
+    expect(server.handleMessage({ jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'nope' } }).error.code)
+      .toBe(RPC_ERRORS.INVALID_PARAMS);
+    expect(server.handleMessage({ jsonrpc: '2.0', method: 'notifications/cancelled' })).toBeNull();
+  });
+});
@@ -0,0 +1,105 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { migrateMap, locateMap, LEGACY_MAP_FILENAME } from '../src/migrate.js';
+import { createEmptyMap, createDirectoryEntry, validateMap, jsonPointer, SCHEMA_VERSION } from '../src/schema.js';
+
+describe('Map schema and migrations', () => {
+  describe('validateMap', () => {
+    it('should accept a new map', () => {
+      const map = createEmptyMap();
+      map.directories['/src'] = createDirectoryEntry({ purpose: 'Source' });
+      expect(validateMap(map)).toEqual({ valid: true, errors: [], details: [] });
+    });
+
+    it('should accept the shipped example map', () => {
+      const example = path.join(path.dirname(fileURLToPath(import.meta.url)), '../examples/sample-output/crmbl-map.json');
+      expect(validateMap(JSON.parse(fs.readFileSync(example, 'utf-8'))).errors).toEqual([]);
+    });
+
+    it('should report errors with JSON pointers', () => {
+      const map = createEmptyMap();
+      map.directories['/src/api'] = createDirectoryEntry({ purpose: 'API', complexity: 9 });
+      map.directories['/src/api'].keyFiles = [{ file: 'a.js' }];
+
+      const result = validateMap(map);
+      expect(result.valid).toBe(false);
+      expect(result.details).toEqual([
+        { path: '/directories/~1src~1api/complexity', message: 'must be a number between 1 and 5' },
+        { path: '/directories/~1src~1api/keyFiles/0/description', message: 'missing required field' }
+      ]);
+      expect(result.errors[0]).toBe('/directories/~1src~1api/complexity: must be a number between 1 and 5');
+    });
+
+    it('should require a supported schemaVersion', () => {
+      const map = createEmptyMap();
+      delete map.schemaVersion;
+      expect(validateMap(map).details[0].path).toBe('/schemaVersion');
+
+      map.schemaVersion = SCHEMA_VERSION + 1;
+      expect(validateMap(map).errors[0]).toContain('newer than this crmbl supports');
+    });
+
+    it('should escape "~" and "/" in pointers', () => {
+      expect(jsonPointer('directories', '/a~b/c', 'purpose')).toBe('/directories/~1a~0b~1c/purpose');
+    });
+  });
+
+  describe('migrateMap', () => {
+    it('should upgrade unversioned maps', () => {
+      const legacy = {
+        generated: '2025-01-15T10:30:00Z',
+        directories: {
+          'src/api': { purpose: 'API', complexity: '3' },
+          '/src/db': { purpose: 'DB' }
+        }
+      };
+
+      const result = migrateMap(legacy);
+
+      expect(result.from).toBe(0);
+      expect(result.to).toBe(SCHEMA_VERSION);
+      expect(Object.keys(result.map)[0]).toBe('schemaVersion');
+      expect(Object.keys(result.map.directories)).toEqual(['/src/api', '/src/db']);
+      expect(result.map.directories['/src/api'].complexity).toBe(3);
+      expect(result.changes).toContain('renamed key "src/api" to "/src/api"');
+      expect(validateMap(result.map).valid).toBe(true);
+      expect(legacy.schemaVersion).toBeUndefined();
+    });
+
+    it('should leave current maps untouched', () => {
+      const map = createEmptyMap();
+      const result = migrateMap(map);
+      expect(result.changes).toEqual([]);
+      expect(result.map).toEqual(map);
+    });
+
+    it('should refuse maps from a newer crmbl', () => {
+      expect(() => migrateMap({ schemaVersion: SCHEMA_VERSION + 1, directories: {} })).toThrow('newer');
+    });
+  });
+
+  describe('locateMap', () => {
+    let tempRoot;
+
+    beforeEach(() => {
+      tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crmbl-migrate-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempRoot, { recursive: true, force: true });
+    });
+
+    it('should fall back to the legacy filename', () => {
+      const outputPath = path.join(tempRoot, 'crmbl-map.json');
+      expect(locateMap(outputPath)).toBeNull();
+
+      fs.writeFileSync(path.join(tempRoot, LEGACY_MAP_FILENAME), '{}');
+      expect(locateMap(outputPath)).toEqual({ path: path.join(tempRoot, LEGACY_MAP_FILENAME), legacy: true });
+
+      fs.writeFileSync(outputPath, '{}');
+      expect(locateMap(outputPath)).toEqual({ path: outputPath, legacy: false });
+    });
+  });
+});
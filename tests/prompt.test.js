@@ -0,0 +1,145 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { generatePromptBatches, describeDirectoryForPrompt, batchFilePath, generateDefaultPromptTemplate } from '../src/prompt.js';
+import { createIgnoreMatcher } from '../src/ignore.js';
+import { DEFAULT_CONFIG } from '../src/config.js';
+
+function scanResultsFor(newDirs, extra = {}) {
+  return {
+    newDirs,
+    unchangedDirs: [],
+    staleDirs: [],
+    staleReasons: {},
+    stats: { new: newDirs.length },
+    ...extra
+  };
+}
+
+describe('Prompt generation', () => {
+  let tempRoot;
+  let config;
+
+  beforeEach(() => {
+    tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crmbl-prompt-'));
+    config = { ...DEFAULT_CONFIG, rootPath: tempRoot };
+
+    for (let i = 1; i <= 6; i++) {
+      fs.mkdirSync(path.join(tempRoot, `lib${i}/helpers`), { recursive: true });
+      fs.writeFileSync(path.join(tempRoot, `lib${i}/index.js`), 'x'.repeat(100));
+      fs.writeFileSync(path.join(tempRoot, `lib${i}/helpers/util.js`), 'y'.repeat(2048));
+    }
+    fs.writeFileSync(path.join(tempRoot, 'lib1/package.json'), JSON.stringify({
+      name: 'lib1',
+      main: 'index.js',
+      dependencies: { zod: '^3.0.0' },
+      devDependencies: { jest: '^29.0.0' }
+    }));
+    fs.writeFileSync(path.join(tempRoot, 'lib1/README.md'), '# lib1\n\nOld notes.\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  });
+
+  describe('describeDirectoryForPrompt', () => {
+    it('should include the file tree, size and package/README excerpts', () => {
+      const block = describeDirectoryForPrompt('/lib1', scanResultsFor(['/lib1']), config, {
+        ownDirs: new Set(['/lib1']),
+        matcher: createIgnoreMatcher(tempRoot, config.ignore)
+      });
+
+      expect(block).toContain('### /lib1');
+      expect(block).toContain('- Size: 4 files,');
+      expect(block).toContain('helpers/\n  util.js (2.0 KB)');
+      expect(block).toContain('"dependencies": [\n    "zod"\n  ]');
+      expect(block).not.toContain('jest');
+      expect(block).toContain('Existing README.md (excerpt):');
+    });
+
+    it('should not expand subdirectories that are documented separately', () => {
+      const block = describeDirectoryForPrompt('/lib2', scanResultsFor(['/lib2', '/lib2/helpers']), config, {
+        ownDirs: new Set(['/lib2', '/lib2/helpers']),
+        matcher: createIgnoreMatcher(tempRoot, config.ignore)
+      });
+
+      expect(block).toContain('helpers/ (documented separately)');
+      expect(block).not.toContain('util.js');
+      expect(block).toContain('- Size: 1 file, 100 B');
+    });
+  });
+
+  describe('generatePromptBatches', () => {
+    const dirs = ['/lib1', '/lib2', '/lib3', '/lib4', '/lib5', '/lib6'];
+
+    it('should produce a single prompt when everything fits', () => {
+      const batches = generatePromptBatches(generateDefaultPromptTemplate(), scanResultsFor(dirs), config);
+
+      expect(batches).toHaveLength(1);
+      expect(batches[0].newDirs).toEqual(dirs);
+      expect(batches[0].prompt).not.toContain('Batch 1');
+      expect(batches[0].prompt).not.toContain('{{');
+      expect(batches[0].prompt).toContain('"schemaVersion": 1');
+    });
+
+    it('should split directories into batches under the token budget', () => {
+      const batches = generatePromptBatches(generateDefaultPromptTemplate(), scanResultsFor(dirs), config, { maxTokens: 600 });
+
+      expect(batches.length).toBeGreaterThan(1);
+      expect(batches.flatMap(batch => batch.newDirs)).toEqual(dirs);
+      batches.forEach((batch, idx) => {
+        expect(batch.tokens).toBeLessThanOrEqual(600);
+        expect(batch.prompt).toContain(`Batch ${idx + 1} of ${batches.length}`);
+      });
+    });
+
+    it('should put stale directories in their own section', () => {
+      const scanResults = scanResultsFor(['/lib1'], {
+        staleDirs: ['/lib2'],
+        staleReasons: { '/lib2': { added: ['new.js'], removed: [], modified: [] } }
+      });
+      const batches = generatePromptBatches(generateDefaultPromptTemplate(), scanResults, config, { includeStale: true });
+
+      expect(batches[0].staleDirs).toEqual(['/lib2']);
+      expect(batches[0].prompt).toContain('## Stale Directories to Re-document');
+      expect(batches[0].prompt).toContain('Changed since last documented: files added: new.js');
+    });
+  });
+
+  describe('custom templates', () => {
+    it('should expose per-directory objects, missing directories and config', () => {
+      const map = { directories: { '/lib1': { purpose: 'First library' }, '/gone': { purpose: 'Old code' } } };
+      const scanResults = scanResultsFor(['/lib1/helpers'], { unchangedDirs: ['/lib1'], missingDirs: ['/gone'] });
+      const template = [
+        '{{#each newDirs}}',
+        '{{path}} in {{parent}} ({{parentPurpose}}): {{files}}',
+        '{{/each}}',
+        '{{#each missingDirs}}',
+        'gone: {{path}} - {{purpose}}',
+        '{{/each}}',
+        'history window: {{config.history.classifyWindow}}'
+      ].join('\n');
+
+      const [batch] = generatePromptBatches(template, scanResults, config, { map });
+
+      expect(batch.prompt).toBe([
+        '/lib1/helpers in /lib1 (First library): util.js',
+        'gone: /gone - Old code',
+        'history window: 90'
+      ].join('\n'));
+    });
+
+    it('should fail on unknown variables', () => {
+      expect(() => generatePromptBatches('{{#each newDirs}}{{nmae}}{{/each}}', scanResultsFor(['/lib1']), config))
+        .toThrow('Unknown variable "nmae"');
+    });
+  });
+
+  describe('batchFilePath', () => {
+    it('should number files only when there are several batches', () => {
+      expect(batchFilePath('./crmbl-prompt.txt', 1, 1)).toBe('./crmbl-prompt.txt');
+      expect(batchFilePath('./crmbl-prompt.txt', 2, 3)).toBe('./crmbl-prompt-002.txt');
+      expect(batchFilePath('out/prompt', 1, 2)).toBe('out/prompt-001');
+    });
+  });
+});
@@ -0,0 +1,106 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { detectMoves, fingerprintSimilarity, migrateEntry, planPrune, applyPrunePlan } from '../src/prune.js';
+import { EMPTY_FILE_HASH, recordFingerprints } from '../src/fingerprint.js';
+import { createEmptyMap, createDirectoryEntry } from '../src/schema.js';
+
+describe('Prune', () => {
+  let tempRoot;
+  let map;
+
+  beforeEach(() => {
+    tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crmbl-prune-'));
+    fs.mkdirSync(path.join(tempRoot, 'src/auth'), { recursive: true });
+    fs.writeFileSync(path.join(tempRoot, 'src/auth/login.js'), 'export const login = 1;');
+    fs.writeFileSync(path.join(tempRoot, 'src/auth/session.js'), 'export const session = 2;');
+
+    map = createEmptyMap();
+    map.directories['/src/auth'] = createDirectoryEntry({
+      purpose: 'Authentication',
+      readmePath: '/src/auth/README.md',
+      keyFiles: [{ file: 'login.js', description: 'Login flow' }]
+    });
+    map.directories['/src/api'] = createDirectoryEntry({
+      purpose: 'API',
+      internalDeps: ['/src/auth', '/src/legacy']
+    });
+    map.directories['/src/legacy'] = createDirectoryEntry({ purpose: 'Old code' });
+    recordFingerprints(tempRoot, map);
+
+    // Move /src/auth to /packages/auth
+    fs.mkdirSync(path.join(tempRoot, 'packages'));
+    fs.renameSync(path.join(tempRoot, 'src/auth'), path.join(tempRoot, 'packages/auth'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  });
+
+  describe('detectMoves', () => {
+    it('should match missing directories to new ones by fingerprint', () => {
+      const moves = detectMoves(tempRoot, map, ['/src/auth', '/src/legacy'], ['/packages', '/packages/auth']);
+
+      expect(moves).toEqual([
+        { from: '/src/auth', to: '/packages/auth', method: 'fingerprint', score: 1 }
+      ]);
+    });
+
+    it('should not match directories that only share empty files or too few files', () => {
+      const legacyDir = path.join(tempRoot, 'src/legacy');
+      fs.mkdirSync(legacyDir);
+      fs.writeFileSync(path.join(legacyDir, 'index.js'), '');
+      fs.writeFileSync(path.join(legacyDir, '.gitkeep'), '');
+      fs.writeFileSync(path.join(legacyDir, 'login.js'), 'export const login = 1;');
+      recordFingerprints(tempRoot, map, ['/src/legacy']);
+      fs.renameSync(legacyDir, path.join(tempRoot, 'packages/legacy'));
+
+      const fresh = path.join(tempRoot, 'packages/fresh');
+      fs.mkdirSync(fresh);
+      fs.writeFileSync(path.join(fresh, 'index.js'), '');
+      fs.writeFileSync(path.join(fresh, '.gitkeep'), '');
+
+      // One non-empty file in common is below MIN_MOVE_FILES
+      expect(detectMoves(tempRoot, map, ['/src/legacy'], ['/packages/fresh', '/packages/legacy'])).toEqual([]);
+
+      const emptyFiles = { files: { 'index.js': EMPTY_FILE_HASH, 'types.js': EMPTY_FILE_HASH } };
+      expect(fingerprintSimilarity(emptyFiles, emptyFiles)).toBe(0);
+    });
+  });
+
+  describe('migrateEntry', () => {
+    it('should move the entry and rewrite references', () => {
+      migrateEntry(map, '/src/auth', '/packages/auth');
+
+      expect(map.directories['/src/auth']).toBeUndefined();
+      expect(map.directories['/packages/auth'].readmePath).toBe('/packages/auth/README.md');
+      expect(map.directories['/packages/auth'].purpose).toBe('Authentication');
+      expect(map.directories['/src/api'].internalDeps).toEqual(['/packages/auth', '/src/legacy']);
+    });
+  });
+
+  describe('applyPrunePlan', () => {
+    it('should migrate moves and remove the rest', () => {
+      const scanResults = {
+        missingDirs: ['/src/auth', '/src/legacy'],
+        newDirs: ['/packages', '/packages/auth']
+      };
+
+      const plan = planPrune(tempRoot, map, scanResults);
+      expect(plan.removals).toEqual(['/src/legacy']);
+
+      const result = applyPrunePlan(map, plan);
+
+      expect(Object.keys(result.directories).sort()).toEqual(['/packages/auth', '/src/api']);
+      expect(result.directories['/src/api'].internalDeps).toEqual(['/packages/auth']);
+    });
+
+    it('should remove everything when move detection is disabled', () => {
+      const plan = planPrune(tempRoot, map, { missingDirs: ['/src/auth'], newDirs: ['/packages/auth'] }, {
+        detectMoves: false
+      });
+
+      expect(plan).toEqual({ moves: [], removals: ['/src/auth'] });
+    });
+  });
+});
@@ -0,0 +1,92 @@
+import { queryMap, tokenize, searchTerms, parseComplexityRange, parseFrequencies } from '../src/query.js';
+import { createEmptyMap, createDirectoryEntry } from '../src/schema.js';
+
+describe('Query', () => {
+  let map;
+
+  beforeEach(() => {
+    map = createEmptyMap();
+    map.directories['/src/auth'] = createDirectoryEntry({
+      purpose: 'Session handling and login',
+      complexity: 4,
+      changeFrequency: 'Frequently Modified',
+      internalDeps: ['/src/database/users'],
+      externalDeps: ['jsonwebtoken'],
+      keyFiles: [{ file: 'session.ts', description: 'Creates auth sessions' }]
+    });
+    map.directories['/src/api'] = createDirectoryEntry({
+      purpose: 'HTTP routes; delegates to authentication middleware',
+      complexity: 3,
+      changeFrequency: 'Moderate',
+      internalDeps: ['/src/auth', '/src/database'],
+      externalDeps: ['@fastify/cors']
+    });
+    map.directories['/src/database'] = createDirectoryEntry({
+      purpose: 'Postgres access',
+      complexity: 2,
+      changeFrequency: 'Stable'
+    });
+  });
+
+  describe('tokenize', () => {
+    it('should lowercase and split on punctuation and slashes', () => {
+      expect(tokenize('Where is AUTH handled? /src/auth')).toEqual(['where', 'is', 'auth', 'handled', 'src']);
+    });
+
+    it('should drop stopwords from search terms unless nothing else is left', () => {
+      expect(searchTerms('Where is AUTH handled?')).toEqual(['auth', 'handled']);
+      expect(searchTerms('what is this')).toEqual(['what', 'is', 'this']);
+    });
+  });
+
+  describe('parseComplexityRange', () => {
+    it('should accept scores, ranges and comparisons', () => {
+      expect(parseComplexityRange('3')).toEqual({ min: 3, max: 3 });
+      expect(parseComplexityRange('2-4')).toEqual({ min: 2, max: 4 });
+      expect(parseComplexityRange('>=4')).toEqual({ min: 4, max: 5 });
+      expect(parseComplexityRange('<3')).toEqual({ min: 1, max: 2 });
+      expect(() => parseComplexityRange('high')).toThrow('Invalid complexity filter');
+    });
+  });
+
+  describe('parseFrequencies', () => {
+    it('should accept case-insensitive, comma-separated values', () => {
+      expect(parseFrequencies('stable, frequently modified')).toEqual(['Stable', 'Frequently Modified']);
+      expect(() => parseFrequencies('often')).toThrow('Invalid change frequency');
+    });
+  });
+
+  describe('queryMap', () => {
+    it('should rank exact matches above partial ones', () => {
+      const results = queryMap(map, { text: 'auth' });
+      expect(results.map(r => r.directory)).toEqual(['/src/auth', '/src/api']);
+      expect(results[0].matches).toEqual(['path', 'keyFiles:session.ts']);
+    });
+
+    it('should rank entries matching more of the terms first', () => {
+      expect(queryMap(map, { text: 'session postgres' }).map(r => r.directory)).toEqual(['/src/auth', '/src/database']);
+      // /src/auth matches "auth" better, but /src/api matches both terms
+      expect(queryMap(map, { text: 'auth middleware' }).map(r => r.directory)).toEqual(['/src/api', '/src/auth']);
+    });
+
+    it('should answer natural-language questions', () => {
+      const results = queryMap(map, { text: 'where is auth handled' });
+      expect(results.map(r => r.directory)).toEqual(['/src/auth', '/src/api']);
+    });
+
+    it('should filter by complexity and change frequency', () => {
+      expect(queryMap(map, { complexity: '>=3', changeFrequency: 'Moderate' }).map(r => r.directory)).toEqual(['/src/api']);
+    });
+
+    it('should find reverse dependencies on directories and packages', () => {
+      expect(queryMap(map, { dependsOn: '/src/database' }).map(r => r.directory)).toEqual(['/src/api', '/src/auth']);
+      expect(queryMap(map, { dependsOn: '@fastify/cors' })[0].matches).toEqual(['dependsOn:@fastify/cors']);
+    });
+
+    it('should filter by path prefix or glob and apply the limit', () => {
+      expect(queryMap(map, { path: '/src/auth' }).map(r => r.directory)).toEqual(['/src/auth']);
+      expect(queryMap(map, { path: 'src/a*' }).map(r => r.directory)).toEqual(['/src/api', '/src/auth']);
+      expect(queryMap(map, { limit: 1 })).toHaveLength(1);
+    });
+  });
+});
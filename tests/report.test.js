@@ -0,0 +1,145 @@
+import path from 'path';
+import { formatReport, verificationFindings, scanFindings, toWorkspacePath, EXIT_CODES } from '../src/report.js';
+
+const verification = {
+  valid: false,
+  missingReadmes: [{ directory: '/web', expectedReadme: '/web/README.md' }],
+  violations: [
+    { rule: 'readme-sections', severity: 'warn', directory: '/api', file: '/api/README.md', line: 1, message: 'Missing "## Purpose" section' },
+    { rule: 'readme-placeholder', severity: 'error', directory: '/api', file: '/api/README.md', line: 3, message: 'Unfilled placeholder [Directory Name]' }
+  ],
+  dependencyMismatches: [{
+    directory: '/api',
+    undeclaredInternal: [],
+    unusedInternal: [],
+    undeclaredExternal: ['zod'],
+    unusedExternal: []
+  }],
+  frequencyMismatches: [{ directory: '/api', declared: 'Stable', computed: 'Moderate', commits: { 90: 4 } }],
+  skippedDirs: []
+};
+
+function reportFor(findings) {
+  return {
+    command: 'verify',
+    valid: false,
+    exitCode: EXIT_CODES.DOCS_INCOMPLETE,
+    summary: { errors: 2 },
+    directories: ['/api', '/lib', '/web'],
+    findings,
+    rootPath: process.cwd(),
+    version: '1.2.3'
+  };
+}
+
+describe('Report', () => {
+  describe('verificationFindings', () => {
+    it('should turn every problem into a finding, errors first', () => {
+      const findings = verificationFindings(verification, { classifyWindow: 90 });
+
+      expect(findings.map(finding => [finding.rule, finding.level])).toEqual([
+        ['readme-missing', 'error'],
+        ['readme-placeholder', 'error'],
+        ['readme-sections', 'warning'],
+        ['dependency-mismatch', 'warning'],
+        ['change-frequency-mismatch', 'warning']
+      ]);
+      expect(findings[3].message).toBe('imported but not in externalDeps: zod');
+      expect(findings[4].message).toBe('changeFrequency is Stable, git history says Moderate (4 commits in 90 days)');
+    });
+
+    it('should treat dependency mismatches as errors with strictDeps', () => {
+      const findings = verificationFindings(verification, { strictDeps: true });
+      expect(findings.find(finding => finding.rule === 'dependency-mismatch').level).toBe('error');
+    });
+
+    it('should point coverage failures at each undocumented directory', () => {
+      const findings = verificationFindings({ missingReadmes: [] }, {
+        coverageFailures: [{ rule: 'coverage-policy', scope: 'packages/*/src', directories: ['/packages/ui/src'], message: 'Coverage of packages/*/src is 50%' }]
+      });
+
+      expect(findings).toEqual([{
+        rule: 'coverage-policy',
+        level: 'error',
+        directory: '/packages/ui/src',
+        file: '/packages/ui/src',
+        line: null,
+        message: '/packages/ui/src is not documented. Coverage of packages/*/src is 50%'
+      }]);
+    });
+  });
+
+  describe('scanFindings', () => {
+    it('should report new, stale and missing directories', () => {
+      const findings = scanFindings({
+        newDirs: ['/new'],
+        staleDirs: ['/old'],
+        staleReasons: { '/old': { added: ['a.js'], removed: [], modified: [] } },
+        missingDirs: ['/gone']
+      });
+
+      expect(findings.map(finding => finding.rule)).toEqual(['undocumented-directory', 'stale-directory', 'missing-directory']);
+      expect(findings[1].message).toContain('files added: a.js');
+    });
+  });
+
+  describe('formatReport', () => {
+    const findings = verificationFindings(verification, { classifyWindow: 90 });
+
+    it('should render JSON with summary and findings', () => {
+      const output = JSON.parse(formatReport('json', reportFor(findings)));
+      expect(output).toMatchObject({ command: 'verify', valid: false, exitCode: 1, summary: { errors: 2 } });
+      expect(output.findings).toHaveLength(5);
+    });
+
+    it('should render one JUnit test case per directory', () => {
+      const output = formatReport('junit', reportFor(findings));
+
+      expect(output).toContain('<testsuite name="crmbl verify" tests="3" failures="2">');
+      expect(output).toContain('<testcase classname="crmbl.verify" name="/lib">\n    </testcase>');
+      expect(output).toContain('<failure type="readme-placeholder" message="Unfilled placeholder [Directory Name]">/api/README.md:3 Unfilled placeholder [Directory Name]</failure>');
+      expect(output).toContain('warning: Missing &quot;## Purpose&quot; section (readme-sections)');
+    });
+
+    it('should render SARIF results with rule metadata and locations', () => {
+      const output = JSON.parse(formatReport('sarif', reportFor(findings)));
+      const run = output.runs[0];
+
+      expect(output.version).toBe('2.1.0');
+      expect(run.tool.driver).toMatchObject({ name: 'crmbl', version: '1.2.3' });
+      expect(run.tool.driver.rules.map(rule => rule.id)).toContain('readme-placeholder');
+
+      const placeholder = run.results.find(result => result.ruleId === 'readme-placeholder');
+      expect(placeholder.level).toBe('error');
+      expect(run.tool.driver.rules[placeholder.ruleIndex].id).toBe('readme-placeholder');
+      expect(placeholder.locations[0].physicalLocation).toEqual({
+        artifactLocation: { uri: 'api/README.md', uriBaseId: '%SRCROOT%' },
+        region: { startLine: 3 }
+      });
+    });
+
+    it('should render GitHub workflow commands with escaped values', () => {
+      const output = formatReport('github', reportFor([
+        { rule: 'readme-placeholder', level: 'error', directory: '/api', file: '/api/README.md', line: 3, message: '100% done\nnot really' },
+        { rule: 'stale-directory', level: 'warning', directory: '/a,b', file: '/a,b', line: null, message: 'changed' }
+      ]));
+
+      expect(output.split('\n')).toEqual([
+        '::error file=api/README.md,line=3,title=crmbl readme-placeholder::100%25 done%0Anot really',
+        '::warning file=a%2Cb,title=crmbl stale-directory::changed'
+      ]);
+    });
+
+    it('should reject unknown formats', () => {
+      expect(() => formatReport('xml', reportFor([]))).toThrow('Unknown format "xml"');
+    });
+  });
+
+  describe('toWorkspacePath', () => {
+    it('should resolve map paths against the configured root', () => {
+      expect(toWorkspacePath('./packages', '/api/README.md')).toBe('packages/api/README.md');
+      expect(toWorkspacePath(process.cwd(), '/')).toBe('.');
+      expect(toWorkspacePath(path.join(process.cwd(), '..'), '/x')).toBe('../x');
+    });
+  });
+});
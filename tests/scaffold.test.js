@@ -0,0 +1,65 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { scaffoldReadmes, detectEntryPoints, TODO_MARKER } from '../src/scaffold.js';
+import { parseReadme } from '../src/ingest.js';
+
+describe('Scaffold', () => {
+  let tempRoot;
+  let config;
+
+  beforeEach(() => {
+    tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crmbl-scaffold-'));
+    fs.mkdirSync(path.join(tempRoot, 'src/api/v1'), { recursive: true });
+    fs.writeFileSync(path.join(tempRoot, 'src/api/index.ts'), "import express from 'express';\nimport { db } from '../db';");
+    fs.writeFileSync(path.join(tempRoot, 'src/api/routes.ts'), '');
+    fs.mkdirSync(path.join(tempRoot, 'src/db'));
+    fs.writeFileSync(path.join(tempRoot, 'src/db/index.ts'), '');
+    config = { rootPath: tempRoot, readmeTemplate: 'does-not-exist.md' };
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  });
+
+  describe('detectEntryPoints', () => {
+    it('should include conventional names and package.json targets', () => {
+      fs.writeFileSync(path.join(tempRoot, 'src/api/package.json'), JSON.stringify({ main: './dist/server.js', bin: { api: 'cli.js' } }));
+      const files = ['index.ts', 'package.json', 'routes.ts'];
+
+      expect(detectEntryPoints(path.join(tempRoot, 'src/api'), files)).toEqual(['cli.js', 'dist/server.js', 'index.ts']);
+    });
+  });
+
+  describe('scaffoldReadmes', () => {
+    it('should fill in detectable facts and leave judgment sections as TODOs', () => {
+      const result = scaffoldReadmes(config, ['/src/api'], { knownDirs: ['/src/api', '/src/api/v1', '/src/db'] });
+
+      expect(result).toEqual({ created: ['/src/api/README.md'], skipped: [] });
+
+      const readme = fs.readFileSync(path.join(tempRoot, 'src/api/README.md'), 'utf-8');
+      expect(readme).toMatch(/^# api\n/);
+      expect(readme).not.toContain('[YYYY-MM-DD]');
+      expect(readme).toContain('| `routes.ts` |');
+      expect(readme).toContain('- `/src/db` -');
+      expect(readme).toContain('- `express` -');
+      expect(readme).toContain('- `/src/api/v1` - Subdirectory');
+      expect(readme).toContain(`${TODO_MARKER} Describe what this directory does`);
+
+      const { info, errors } = parseReadme(readme);
+      expect(info.purpose).toBeUndefined();
+      expect(info.entryPoints).toEqual(['index.ts']);
+      expect(errors.length).toBeGreaterThan(0);
+    });
+
+    it('should never overwrite an existing README unless forced', () => {
+      fs.writeFileSync(path.join(tempRoot, 'src/api/README.md'), 'hand written');
+
+      expect(scaffoldReadmes(config, ['/src/api']).skipped).toEqual(['/src/api/README.md']);
+      expect(fs.readFileSync(path.join(tempRoot, 'src/api/README.md'), 'utf-8')).toBe('hand written');
+
+      expect(scaffoldReadmes(config, ['/src/api'], { force: true }).created).toEqual(['/src/api/README.md']);
+      expect(fs.readFileSync(path.join(tempRoot, 'src/api/README.md'), 'utf-8')).not.toBe('hand written');
+    });
+  });
+});
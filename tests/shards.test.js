@@ -0,0 +1,133 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CRUMB_FILENAME, loadMap, saveMap, serializeMap, assembleMap, splitMap, mapSignature } from '../src/shards.js';
+import { DEFAULT_CONFIG } from '../src/config.js';
+import { createEmptyMap, updateMap } from '../src/schema.js';
+import { readMap, writeMap, scan, ERROR_CODES } from '../src/api.js';
+
+describe('Sharded map', () => {
+  let tempDir;
+  let config;
+
+  const crumb = dir => path.join(tempDir, dir, CRUMB_FILENAME);
+  const readJson = filePath => JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crmbl-shards-'));
+    fs.mkdirSync(path.join(tempDir, 'src', 'api'), { recursive: true });
+    fs.mkdirSync(path.join(tempDir, 'lib'));
+    config = {
+      ...DEFAULT_CONFIG,
+      rootPath: tempDir,
+      outputPath: path.join(tempDir, 'crmbl-map.json'),
+      cachePath: null,
+      sharded: true
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('serializeMap', () => {
+    it('should sort keys and keep the timestamp when nothing else changed', () => {
+      const previous = { schemaVersion: 1, generated: '2026-01-01T00:00:00.000Z', directories: { '/a': { purpose: 'A' }, '/b': { purpose: 'B' } } };
+      const map = { schemaVersion: 1, generated: '2026-05-01T00:00:00.000Z', directories: { '/b': { purpose: 'B' }, '/a': { purpose: 'A' } } };
+
+      const unchanged = JSON.parse(serializeMap(map, previous));
+      expect(Object.keys(unchanged.directories)).toEqual(['/a', '/b']);
+      expect(unchanged.generated).toBe(previous.generated);
+
+      const changed = JSON.parse(serializeMap({ ...map, directories: { '/a': { purpose: 'New' } } }, previous));
+      expect(changed.generated).toBe(map.generated);
+    });
+  });
+
+  describe('saveMap and loadMap', () => {
+    it('should write one crumb per directory and read them back', () => {
+      let map = updateMap(createEmptyMap(), '/src', { purpose: 'Sources' });
+      map = updateMap(map, '/src/api', { purpose: 'API' });
+      map = updateMap(map, '/gone', { purpose: 'Deleted directory' });
+
+      saveMap(config, map);
+
+      expect(readJson(crumb('src')).purpose).toBe('Sources');
+      expect(readJson(crumb('src/api')).purpose).toBe('API');
+      expect(fs.existsSync(path.join(tempDir, 'gone'))).toBe(false);
+      expect(Object.keys(readJson(config.outputPath).directories)).toEqual(['/src', '/src/api']);
+
+      // Crumbs are the source of truth, whatever crmbl-map.json says
+      fs.writeFileSync(crumb('lib'), JSON.stringify({ purpose: 'Library' }));
+      expect(Object.keys(loadMap(config).directories)).toEqual(['/lib', '/src', '/src/api']);
+    });
+
+    it('should delete crumbs of removed entries and leave unchanged files alone', () => {
+      const map = updateMap(updateMap(createEmptyMap(), '/src', { purpose: 'Sources' }), '/lib', { purpose: 'Library' });
+      saveMap(config, map);
+
+      const { '/lib': removedEntry, ...rest } = map.directories;
+      const result = saveMap(config, { ...map, directories: rest });
+
+      expect(result.removed).toEqual([crumb('lib')]);
+      expect(result.written).toEqual([config.outputPath]);
+      expect(saveMap(config, { ...map, directories: rest })).toEqual({ written: [], removed: [] });
+    });
+
+    it('should ask for a split when only crmbl-map.json has entries', () => {
+      fs.writeFileSync(config.outputPath, serializeMap(updateMap(createEmptyMap(), '/src', { purpose: 'Sources' })));
+
+      expect(() => loadMap(config)).toThrow(expect.objectContaining({ code: ERROR_CODES.MAP_NOT_FOUND }));
+      expect(loadMap({ ...config, sharded: false }).directories['/src'].purpose).toBe('Sources');
+    });
+  });
+
+  describe('assembleMap', () => {
+    it('should build the root map deterministically from crumbs', () => {
+      fs.writeFileSync(crumb('src'), JSON.stringify({ purpose: 'Sources' }));
+      fs.writeFileSync(crumb(''), JSON.stringify({ purpose: 'Root' }));
+
+      const first = assembleMap(config);
+      expect(first.upToDate).toBe(false);
+      expect(Object.keys(JSON.parse(first.content).directories)).toEqual(['/', '/src']);
+
+      fs.writeFileSync(config.outputPath, first.content);
+      const second = assembleMap(config);
+      expect(second.upToDate).toBe(true);
+      expect(second.content).toBe(first.content);
+    });
+  });
+
+  describe('splitMap', () => {
+    it('should move existing entries into crumbs and skip missing directories', () => {
+      let map = updateMap(createEmptyMap(), '/lib', { purpose: 'Library' });
+      map = updateMap(map, '/gone', { purpose: 'Deleted directory' });
+      fs.writeFileSync(config.outputPath, JSON.stringify(map));
+
+      const result = splitMap(config);
+
+      expect(result.written).toContain(crumb('lib'));
+      expect(result.skipped).toEqual(['/gone']);
+      expect(Object.keys(loadMap(config).directories)).toEqual(['/lib']);
+    });
+  });
+
+  describe('through the API', () => {
+    it('should read and write either layout transparently', async () => {
+      writeMap(config, updateMap(createEmptyMap(), '/src', { purpose: 'Sources' }));
+      expect(readMap(config, { validate: true }).directories['/src'].purpose).toBe('Sources');
+
+      const results = await scan(config);
+      expect(results.newDirs).toEqual(['/lib', '/src/api']);
+      expect(readJson(crumb('src')).fingerprint).toBeUndefined();
+
+      await scan(config, { writeMap: true });
+      expect(readJson(crumb('src')).fingerprint).toBeDefined();
+    });
+
+    it('should report a missing sharded map', () => {
+      expect(() => readMap(config)).toThrow(expect.objectContaining({ code: ERROR_CODES.MAP_NOT_FOUND }));
+      expect(mapSignature(config)).toBeNull();
+    });
+  });
+});
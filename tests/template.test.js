@@ -0,0 +1,59 @@
+import { renderTemplate, parseTemplate, TemplateError } from '../src/template.js';
+
+describe('Template engine', () => {
+  describe('variables', () => {
+    it('should replace every occurrence and resolve dotted paths', () => {
+      const output = renderTemplate('{{name}} and {{name}} in {{config.rootPath}}', {
+        name: 'api',
+        config: { rootPath: './' }
+      });
+      expect(output).toBe('api and api in ./');
+    });
+
+    it('should join lists and report unknown variables with their line', () => {
+      expect(renderTemplate('{{deps}}', { deps: ['a', 'b'] })).toBe('a, b');
+      expect(() => renderTemplate('ok\n{{missing}}', {})).toThrow('Unknown variable "missing" (line 2)');
+      expect(() => renderTemplate('{{config.nope}}', { config: {} })).toThrow(TemplateError);
+    });
+  });
+
+  describe('blocks', () => {
+    it('should loop over objects with access to outer variables', () => {
+      const template = [
+        '{{#each dirs}}',
+        '{{@number}}. {{path}} ({{files.length}} files, root {{rootPath}}){{#unless @last}};{{/unless}}',
+        '{{/each}}'
+      ].join('\n');
+      const output = renderTemplate(template, {
+        rootPath: '/repo',
+        dirs: [{ path: '/a', files: ['x.js'] }, { path: '/b', files: [] }]
+      });
+      expect(output).toBe('1. /a (1 files, root /repo);\n2. /b (0 files, root /repo)\n');
+    });
+
+    it('should loop over plain values with this', () => {
+      expect(renderTemplate('{{#each items}}[{{this}}]{{/each}}', { items: ['a', 'b'] })).toBe('[a][b]');
+    });
+
+    it('should render else branches for empty lists and false conditions', () => {
+      const template = '{{#each items}}x{{else}}none{{/each}} {{#if flag}}yes{{else}}no{{/if}}';
+      expect(renderTemplate(template, { items: [], flag: [] })).toBe('none no');
+      expect(renderTemplate(template, { items: [1], flag: 'on' })).toBe('x yes');
+    });
+
+    it('should drop lines that only hold block tags and ignore comments', () => {
+      const template = 'start\n  {{#if show}}\nshown\n  {{/if}}\n{{! note }}\nend';
+      expect(renderTemplate(template, { show: true })).toBe('start\nshown\nend');
+      expect(renderTemplate(template, { show: false })).toBe('start\nend');
+    });
+  });
+
+  describe('parseTemplate', () => {
+    it('should report malformed blocks', () => {
+      expect(() => parseTemplate('{{#each dirs}}')).toThrow('{{#each dirs}} is never closed (line 1)');
+      expect(() => parseTemplate('{{#if a}}\n{{/each}}')).toThrow("{{/each}} doesn't close {{#if}} from line 1 (line 2)");
+      expect(() => parseTemplate('{{#with a}}{{/with}}')).toThrow('Unknown block helper "#with"');
+      expect(() => parseTemplate('{{else}}')).toThrow('{{else}} outside of a block');
+    });
+  });
+});
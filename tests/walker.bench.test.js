@@ -0,0 +1,107 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { walkDirectories } from '../src/walker.js';
+
+// Benchmarks the walker on a generated tree. Skipped unless CRMBL_BENCH is set; scale
+// it up with CRMBL_BENCH_SCALE, e.g. CRMBL_BENCH=1 CRMBL_BENCH_SCALE=4 npm test -- walker.bench
+const describeBench = process.env.CRMBL_BENCH ? describe : describe.skip;
+const SCALE = Number(process.env.CRMBL_BENCH_SCALE) || 1;
+const PACKAGES = 8 * SCALE;
+const DIRS_PER_LEVEL = 6;
+const FILES_PER_DIR = 8;
+
+/**
+ * Generates packages/<n>/src/<a>/<b> with source files in every directory
+ * plus a node_modules tree the walk must prune
+ * @param {string} root - Directory to generate into
+ * @returns {Object} { dirs: documented directory count, files: file count }
+ */
+function generateTree(root) {
+  let dirs = 0;
+  let files = 0;
+  const fill = (dir) => {
+    fs.mkdirSync(dir, { recursive: true });
+    dirs++;
+    for (let i = 0; i < FILES_PER_DIR; i++) {
+      fs.writeFileSync(path.join(dir, `file${i}.js`), '');
+      files++;
+    }
+  };
+
+  for (let p = 0; p < PACKAGES; p++) {
+    const pkg = path.join(root, 'packages', `pkg${p}`);
+    fill(pkg);
+    fill(path.join(pkg, 'src'));
+    for (let a = 0; a < DIRS_PER_LEVEL; a++) {
+      fill(path.join(pkg, 'src', `a${a}`));
+      for (let b = 0; b < DIRS_PER_LEVEL; b++) {
+        fill(path.join(pkg, 'src', `a${a}`, `b${b}`));
+      }
+    }
+    fs.mkdirSync(path.join(pkg, 'node_modules', 'dep', 'lib'), { recursive: true });
+  }
+
+  // Backdate directories so the cache trusts them
+  const past = new Date(Date.now() - 60 * 60 * 1000);
+  const age = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.isDirectory()) {
+        age(path.join(dir, entry.name));
+      }
+    }
+    fs.utimesSync(dir, past, past);
+  };
+  age(root);
+
+  return { dirs: dirs + 1, files };
+}
+
+/**
+ * Times a function
+ * @param {Function} fn - Function to run
+ * @returns {Object} { result, ms }
+ */
+function time(fn) {
+  const began = process.hrtime.bigint();
+  const result = fn();
+  return { result, ms: Number(process.hrtime.bigint() - began) / 1e6 };
+}
+
+describeBench('Walker benchmark', () => {
+  let tempRoot;
+  let cacheDir;
+  let tree;
+
+  beforeEach(() => {
+    tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crmbl-bench-'));
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crmbl-bench-cache-'));
+    tree = generateTree(tempRoot);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  it('should walk a synthetic tree cold and warm', () => {
+    const cachePath = path.join(cacheDir, 'cache.json');
+    const ignore = ['node_modules'];
+
+    const uncached = time(() => walkDirectories(tempRoot, ignore));
+    const cold = time(() => walkDirectories(tempRoot, ignore, { cachePath }));
+    const warm = time(() => walkDirectories(tempRoot, ignore, { cachePath }));
+
+    expect(uncached.result.dirs).toHaveLength(tree.dirs);
+    expect(cold.result.dirs).toEqual(uncached.result.dirs);
+    expect(warm.result.dirs).toEqual(uncached.result.dirs);
+    expect(warm.result.stats).toMatchObject({ read: 0, cached: tree.dirs + 1, ignored: PACKAGES });
+
+    console.log([
+      `Walked ${tree.dirs} directories, ${tree.files} files:`,
+      `  no cache  ${uncached.ms.toFixed(1)} ms`,
+      `  cold      ${cold.ms.toFixed(1)} ms`,
+      `  warm      ${warm.ms.toFixed(1)} ms`
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,96 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { walkDirectories, readWalkCache, WALK_CACHE_VERSION } from '../src/walker.js';
+
+/**
+ * Backdates every directory so the walk cache trusts it
+ */
+function age(root) {
+  const past = new Date(Date.now() - 60 * 60 * 1000);
+  const visit = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.isDirectory()) {
+        visit(path.join(dir, entry.name));
+      }
+    }
+    fs.utimesSync(dir, past, past);
+  };
+  visit(root);
+}
+
+describe('Walker', () => {
+  let tempRoot;
+  let cacheDir;
+  let cachePath;
+
+  beforeEach(() => {
+    tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crmbl-walker-'));
+    // Outside the tree, so writing it doesn't touch the root's mtime
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crmbl-walker-cache-'));
+    cachePath = path.join(cacheDir, 'cache.json');
+    fs.mkdirSync(path.join(tempRoot, 'src', 'api'), { recursive: true });
+    fs.mkdirSync(path.join(tempRoot, 'src', 'web'), { recursive: true });
+    fs.mkdirSync(path.join(tempRoot, 'node_modules', 'pkg'), { recursive: true });
+    fs.writeFileSync(path.join(tempRoot, 'src', 'index.js'), '');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  it('should prune ignored subtrees without reading them', () => {
+    const { dirs, stats } = walkDirectories(tempRoot, ['node_modules']);
+
+    expect(dirs).toEqual(['/src', '/src/api', '/src/web']);
+    expect(stats).toEqual({ directories: 3, cached: 0, read: 4, ignored: 1 });
+  });
+
+  it('should reuse cached directory listings while mtimes are unchanged', () => {
+    age(tempRoot);
+    walkDirectories(tempRoot, ['node_modules'], { cachePath });
+
+    const cache = JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+    expect(cache.version).toBe(WALK_CACHE_VERSION);
+    expect(cache.directories['/src'].children).toEqual(['api', 'web']);
+
+    const { dirs, stats } = walkDirectories(tempRoot, ['node_modules'], { cachePath });
+    expect(dirs).toEqual(['/src', '/src/api', '/src/web']);
+    expect(stats).toMatchObject({ cached: 4, read: 0 });
+  });
+
+  it('should re-read directories whose entries changed', () => {
+    age(tempRoot);
+    walkDirectories(tempRoot, ['node_modules'], { cachePath });
+
+    fs.mkdirSync(path.join(tempRoot, 'src', 'cli'));
+    fs.rmSync(path.join(tempRoot, 'src', 'web'), { recursive: true });
+
+    const { dirs, stats } = walkDirectories(tempRoot, ['node_modules'], { cachePath });
+    expect(dirs).toEqual(['/src', '/src/api', '/src/cli']);
+    expect(stats).toMatchObject({ cached: 2, read: 2 });
+  });
+
+  it('should apply ignore rules to cached listings', () => {
+    age(tempRoot);
+    walkDirectories(tempRoot, ['node_modules'], { cachePath });
+
+    const { dirs } = walkDirectories(tempRoot, ['node_modules', 'web'], { cachePath });
+    expect(dirs).toEqual(['/src', '/src/api']);
+  });
+
+  it('should not trust directories modified within the last moments', () => {
+    walkDirectories(tempRoot, ['node_modules'], { cachePath });
+
+    expect(walkDirectories(tempRoot, ['node_modules'], { cachePath }).stats.cached).toBe(0);
+  });
+
+  it('should ignore caches written for another root or version', () => {
+    fs.writeFileSync(cachePath, JSON.stringify({ version: WALK_CACHE_VERSION, root: '/elsewhere', directories: { '/': {} } }));
+    expect(readWalkCache(cachePath, tempRoot)).toEqual({});
+
+    fs.writeFileSync(cachePath, '{ not json');
+    expect(readWalkCache(cachePath, tempRoot)).toEqual({});
+  });
+});
@@ -0,0 +1,78 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { diffScanResults, hasChanges, watchDirectories } from '../src/watch.js';
+
+function scan(overrides) {
+  return { newDirs: [], unchangedDirs: [], staleDirs: [], collapsedDirs: {}, ...overrides };
+}
+
+describe('Watch', () => {
+  describe('diffScanResults', () => {
+    it('should report added, removed, documented and newly stale directories', () => {
+      const previous = scan({ newDirs: ['/api', '/web'], unchangedDirs: ['/lib'], staleDirs: ['/old'] });
+      const current = scan({ newDirs: ['/web/src'], unchangedDirs: ['/api', '/old'], staleDirs: ['/lib'], collapsedDirs: { '/web': '/' } });
+
+      expect(diffScanResults(previous, current)).toEqual({
+        added: ['/web/src'],
+        removed: [],
+        documented: ['/api'],
+        stale: ['/lib']
+      });
+    });
+
+    it('should treat a rename as a removal and an addition', () => {
+      const changes = diffScanResults(scan({ unchangedDirs: ['/a'] }), scan({ newDirs: ['/b'] }));
+
+      expect(changes).toMatchObject({ added: ['/b'], removed: ['/a'] });
+      expect(hasChanges(changes)).toBe(true);
+      expect(hasChanges(diffScanResults(scan({ newDirs: ['/a'] }), scan({ newDirs: ['/a'] })))).toBe(false);
+    });
+  });
+
+  describe('watchDirectories', () => {
+    let tempDir;
+    let watcher;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crmbl-watch-'));
+      fs.mkdirSync(path.join(tempDir, 'src'));
+    });
+
+    afterEach(() => {
+      if (watcher) {
+        watcher.close();
+      }
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should rescan once after a burst of new directories', async () => {
+      const scans = [];
+      const config = { rootPath: tempDir, ignore: ['node_modules'], outputPath: path.join(tempDir, 'crmbl-map.json') };
+      let resolveChange;
+      const changed = new Promise(resolve => {
+        resolveChange = resolve;
+      });
+
+      watcher = watchDirectories(config, {
+        debounce: 100,
+        onScan: (results, changes) => {
+          scans.push(changes);
+          if (changes) {
+            resolveChange(changes);
+          }
+        }
+      });
+      await watcher.ready;
+      expect(scans).toEqual([null]);
+
+      fs.mkdirSync(path.join(tempDir, 'src', 'api'));
+      fs.mkdirSync(path.join(tempDir, 'src', 'web'));
+      fs.mkdirSync(path.join(tempDir, 'node_modules'));
+
+      const changes = await changed;
+      expect(changes.added).toEqual(['/src/api', '/src/web']);
+      expect(scans).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parsePnpmWorkspace, detectWorkspaces, packageForDirectory, syncWorkspaceTags } from '../src/workspaces.js';
+import { createEmptyMap, createDirectoryEntry, validateMap } from '../src/schema.js';
+
+function writeJson(root, file, value) {
+  fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+  fs.writeFileSync(path.join(root, file), JSON.stringify(value));
+}
+
+describe('Workspaces', () => {
+  let tempRoot;
+
+  beforeEach(() => {
+    tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crmbl-workspaces-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  });
+
+  describe('parsePnpmWorkspace', () => {
+    it('should read block and flow lists', () => {
+      const block = "packages:\n  - 'packages/*'\n  - \"apps/**\" # apps\n  - '!**/test/**'\ncatalog:\n  react: ^18\n";
+      expect(parsePnpmWorkspace(block)).toEqual(['packages/*', 'apps/**', '!**/test/**']);
+      expect(parsePnpmWorkspace("packages: ['a/*', 'b']")).toEqual(['a/*', 'b']);
+    });
+
+    it('should handle comments, quoting and flow lists spanning lines', () => {
+      const content = "# workspace\npackages: [\n  'packages/*', # libraries\n  \"apps/#web\",\n]\n";
+      expect(parsePnpmWorkspace(content)).toEqual(['packages/*', 'apps/#web']);
+      expect(parsePnpmWorkspace('packages:\n  - a/*\n  -   "b: c"\n')).toEqual(['a/*', 'b: c']);
+      expect(parsePnpmWorkspace('packages: [\n')).toEqual([]);
+      expect(parsePnpmWorkspace('catalog:\n  react: ^18\n')).toEqual([]);
+    });
+  });
+
+  describe('detectWorkspaces', () => {
+    it('should detect package.json workspaces and build the package graph', () => {
+      writeJson(tempRoot, 'package.json', { name: 'root', workspaces: ['packages/*'] });
+      writeJson(tempRoot, 'packages/api/package.json', {
+        name: '@org/api',
+        version: '1.2.0',
+        dependencies: { '@org/db': 'workspace:*', express: '^4.0.0' }
+      });
+      writeJson(tempRoot, 'packages/db/package.json', { name: '@org/db', version: '0.1.0' });
+      writeJson(tempRoot, 'tools/script/package.json', { name: 'not-a-workspace' });
+
+      const workspace = detectWorkspaces(tempRoot, ['/packages', '/packages/api', '/packages/api/src', '/packages/db', '/tools/script']);
+
+      expect(workspace.tools).toEqual(['package.json workspaces']);
+      expect(workspace.packages).toEqual({
+        '@org/api': { path: '/packages/api', version: '1.2.0', dependencies: ['@org/db'] },
+        '@org/db': { path: '/packages/db', version: '0.1.0', dependencies: [] }
+      });
+      expect(packageForDirectory(workspace, '/packages/api/src')).toBe('@org/api');
+      expect(packageForDirectory(workspace, '/tools/script')).toBeNull();
+    });
+
+    it('should detect Nx projects from project.json', () => {
+      writeJson(tempRoot, 'nx.json', {});
+      writeJson(tempRoot, 'libs/ui/project.json', { name: 'ui' });
+
+      const workspace = detectWorkspaces(tempRoot, ['/libs', '/libs/ui']);
+
+      expect(workspace.tools).toEqual(['nx.json']);
+      expect(workspace.packages.ui.path).toBe('/libs/ui');
+    });
+  });
+
+  describe('syncWorkspaceTags', () => {
+    it('should tag package directories and report changes', () => {
+      const map = createEmptyMap();
+      map.directories['/packages/api'] = createDirectoryEntry({ purpose: 'API' });
+      const workspace = {
+        tools: [],
+        packages: { '@org/api': { path: '/packages/api', version: '1.0.0', dependencies: [] } }
+      };
+
+      expect(syncWorkspaceTags(map, workspace)).toBe(true);
+      expect(map.directories['/packages/api'].package).toEqual({ name: '@org/api', version: '1.0.0' });
+      expect(map.packages).toEqual(workspace.packages);
+      expect(validateMap(map).valid).toBe(true);
+      expect(syncWorkspaceTags(map, workspace)).toBe(false);
+    });
+  });
+});